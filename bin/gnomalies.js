@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const Cli = require("../lib/Cli.js");
+
+new Cli().run(process.argv.slice(2)).then((code) => { process.exitCode = code; });
@@ -1,6 +1,14 @@
 const Anomaly  = require("./lib/Anomaly");
 const Processor = require("./lib/Processor");
 const Errors = require("./lib/Errors");
+const Diff = require("./lib/Diff");
+const Recorder = require("./lib/Recorder");
+const Merkle = require("./lib/Merkle");
+const Report = require("./lib/Report");
+const Metrics = require("./lib/Metrics");
+const Cli = require("./lib/Cli");
+const { Store, FileStore } = require("./lib/Store");
+const { KeyExtractor, Key } = require("./lib/KeyExtractor");
 
 /**
  * @module Gnomalies
@@ -9,6 +17,19 @@ const Errors = require("./lib/Errors");
 module.exports = exports = {
     Anomaly : Anomaly,
     Processor : Processor,
+    Diff : Diff,
+    Recorder : Recorder,
+    Merkle : Merkle,
+    Report : Report,
+    Metrics : Metrics,
+    Cli : Cli,
+    Key : Key,
+    KeyExtractor : KeyExtractor,
+    Store : Store,
+    FileStore : FileStore,
     NominalError : Errors.NominalARError,
-    FatalError : Errors.FatalARError
+    FatalError : Errors.FatalARError,
+    TimeoutError : Errors.TimeoutARError,
+    EvaluationError : Errors.EvaluationARError,
+    FingerprintError : Errors.FingerprintError
 };
\ No newline at end of file
@@ -2,6 +2,11 @@ const { EventEmitter } = require("events");
 const Errors = require("./Errors");
 const crypto = require("crypto");
 const { KeyExtractor, Key } = require("../lib/KeyExtractor");
+const Diff = require("./Diff");
+const Recorder = require("./Recorder");
+const Merkle = require("./Merkle");
+
+const TO_SNAPSHOT = Symbol.for("gnomalies.toSnapshot");
 
 /**
  * Paused
@@ -49,7 +54,7 @@ const { KeyExtractor, Key } = require("../lib/KeyExtractor");
  * Anomaly
  * 
  * To use this class, extend it and override .detect(), .action(), and any other methods you need.
- * If you are saving the anomaly for later use, you should also make sure .serialize() and .deserialize() will meet your needs.
+ * If you are saving the anomaly for later use, you should also make sure .persisted (and if necessary ._serialize() and ._deserialize()) will meet your needs.
  * If your processor will be using fingerprints, you should also make sure .fingerprint() will meet your needs.
  * 
  * @alias module:Gnomalies.Anomaly
@@ -62,22 +67,41 @@ class Anomaly extends EventEmitter {
     #name;          // Not settable - this is the name of the class
     #description;
     #paused;
+    #pause_reason;  // Why we were last paused, while we are paused
     #dirty;     
     #fingerprint_keys;    
     #fingerprints;  // A list of fingerprints for this anomaly
+    #keep_digests;  // Whether action() should keep per-key digests
+    #digests;       // Per-key digests, parallel to #fingerprints
+    #record_changes;    // Whether action() should record changes so the default _revert() can undo them
+    #journal;       // Changes recorded during the last action()
+    #trees;         // Merkle trees taken during the last action(), if the class uses them (not persisted)
+    #verdict;       // The verdict from the last evaluate(), if _evaluate() returned one
+    #phase;         // The phase we are in ("action" | "revert" | "evaluate"), for log entries, or null
+    #correlation_id;    // The id of the run we are part of, for log entries, or null (not persisted)
+    #resolved;      // The fingerprint keys last logged as resolved, so we only log them when they change (not persisted)
+
+    static #adapters = new Map();     // Constructor -> snapshot adapter, see register_snapshot()
 
     /**
      * constructor
      * 
      * @param {object} params parameters for this object
-     * @param {array} [params.history] the log
+     * @param {array} [params.history] the log (trimmed to the class's `history_retention`)
      * @param {string} [params.id] the id
      * @param {string} [params.description] a short description of this anomaly type
      * @param {string} [params.state] the state
      * @param {boolean} [params.paused] whether the anomaly is paused 
+     * @param {string} [params.pause_reason = null] why the anomaly was paused
      * @param {boolean} [params.dirty] whether the anomaly is dirty
-     * @param {array} [params.fingerprint_keys = null] the keys that will be used to generate fingerprints, or null for all keys.  Expects full paths into the systems to be analyzed, e.g. ["a.name", "b.name.first"]
+     * @param {array} [params.fingerprint_keys = null] the keys that will be used to generate fingerprints, or null for all keys.  Expects full paths into the systems to be analyzed, e.g. ["a.name", "b.name.first"], 
+     * or patterns: `*` matches within one path segment, `**` matches any number of segments, a leading `!` excludes matching keys, and a trailing `?` makes a key optional (see fingerprint())
      * @param {object} [params.fingerprints] the fingerprints
+     * @param {boolean} [params.keep_digests = false] whether action() should keep per-key digests so that fingerprint mismatches can be explained with a `Diff`
+     * @param {object} [params.digests] the digests
+     * @param {boolean} [params.record_changes = false] whether action() should record every change _action() makes, so that the default _revert() can undo them
+     * @param {array<object>} [params.journal] the recorded changes
+     * @param {object} [params.verdict] the verdict from the last evaluation
      * @throws {Error} error on invalid parameter
      */
     constructor(params = {}) {
@@ -91,17 +115,33 @@ class Anomaly extends EventEmitter {
         this.#description = params?.description ?? "";
         this.#name = this.constructor.name;
         this.#paused = params?.paused ?? false;
+        this.#pause_reason = params?.pause_reason ?? null;
         this.#dirty = params?.dirty ?? false;
         this.#fingerprint_keys = params?.fingerprint_keys ?? null;
         this.#fingerprints = params?.fingerprints ?? { preaction : null, postaction: null };
+        this.#keep_digests = params?.keep_digests ?? false;
+        this.#digests = params?.digests ?? { preaction : null, postaction: null };
+        this.#record_changes = params?.record_changes ?? false;
+        this.#journal = params?.journal ?? [];
+        this.#trees = { preaction : null, postaction : null };
+        this.#verdict = (params?.verdict === undefined || params?.verdict === null) ? null : Anomaly._verdict(params.verdict);
+        this.#phase = null;
+        this.#correlation_id = null;
+        this.#resolved = null;
 
         // Check for invalid entries
-        if(!Anomaly.allowed_states.includes(this.#state)) throw new Error(`Invalid state: ${this.#state}`);
+        if(!this.constructor.allowed_states.includes(this.#state)) throw new Error(`Invalid state: ${this.#state}`);
         if(!Array.isArray(this.#log)) throw new Error("Invalid history: " + this.#log);
         if(!this.#id) throw new Error("Invalid id: " + this.#id);
         if(typeof this.#paused !== "boolean") throw new Error("Invalid 'paused' parameter: " + this.#paused);
+        if(this.#pause_reason !== null && typeof this.#pause_reason !== "string") throw new Error("Invalid 'pause_reason' parameter: " + this.#pause_reason);
         if(typeof this.#dirty !== "boolean") throw new Error("Invalid 'dirty' parameter: " + this.#dirty);
         if(this.#fingerprint_keys !== null && !Array.isArray(this.#fingerprint_keys)) throw new Error("Fingerprint keys must be null or an array: " + this.#fingerprint_keys);
+        this.#fingerprint_keys?.forEach((pattern) => Anomaly._key_pattern(pattern));
+        if(typeof this.#keep_digests !== "boolean") throw new Error("Invalid 'keep_digests' parameter: " + this.#keep_digests);
+        if(typeof this.#record_changes !== "boolean") throw new Error("Invalid 'record_changes' parameter: " + this.#record_changes);
+        if(!Array.isArray(this.#journal)) throw new Error("Invalid journal: " + this.#journal);
+        this._retain();
 
         
         // Internal logging
@@ -123,9 +163,26 @@ class Anomaly extends EventEmitter {
      */
     static async _detect(system, opts) { return false; }
     async _action(system, opts) {}  
-    async _revert(system, opts) {}
     async _evaluate(system, opts) {}
 
+    /**
+     * Default reversion
+     * 
+     * If `record_changes` is set, undo the changes recorded during action().  Otherwise, do nothing.
+     * Override me if you are not recording changes.
+     * 
+     * @param {object} system the system being analyzed
+     * @param {object} opts arbitrary options
+     * @throws {Error} error if the recorded changes can't be undone
+     */
+    async _revert(system, opts) {
+
+        if(!this.#record_changes) return;
+
+        this.log.debug(`_revert(): undoing ${this.#journal.length} recorded changes`);
+        Recorder.undo(await this.snapshot(system), this.#journal);
+    }
+
     /**
      * Detect an anomaly.
      * Don't override me. Override _detect() instead!
@@ -144,6 +201,9 @@ class Anomaly extends EventEmitter {
      * Action
      * 
      * Performs the action for this anomaly.  If the anomaly is not in a preaction state, an error is thrown.  When using fingerprints, we take the fingerprint before and after calling _action().
+     * If `keep_digests` is set, per-key digests are kept alongside each fingerprint.  If the class uses `merkle` fingerprints, the trees are kept too (see tree()).
+     * If `record_changes` is set, _action() is passed a recording proxy of the system snapshot instead of the system itself.  Changes made through the proxy are kept in `.journal`.
+     * _action() is subject to the timeout and abort signal described in _limit().  If either fires, action() throws and the anomaly is left in the postaction state.
      * Do not override me. Override _action() instead!
      * 
      * @param {object} system the system being analyzed
@@ -154,80 +214,96 @@ class Anomaly extends EventEmitter {
      */
     async action(system, opts) {
 
-        this.log.info(`action() called`);
-        if(system === undefined) throw new Error(`system is undefined`);
-        if(this.state !== "preaction") throw new Error(`Cannot action an anomaly not in a preaction state`);
+        return this._in_phase("action", async () => {
 
-        this.emit("activity", { anomaly: this, activity: "action", progress: 0 });
+            this.log.info(`action() called`);
+            if(system === undefined) throw new Error(`system is undefined`);
+            if(this.state !== "preaction") throw new Error(`Cannot action an anomaly not in a preaction state`);
 
-        // Take fingerprints
-        this.log.debug(`action(): taking preaction fingerprint`);
-        this.#fingerprints.postaction = null;   // In case _action throws an error, we don't want to keep the old fingerprint
-        this.#fingerprints.preaction = this.fingerprint(system); 
-        
-        // Run our action
-        try {
+            this.emit("activity", { anomaly: this, activity: "action", progress: 0 });
 
-            this.log.debug(`action(): calling _action()`);
-            await this._action(system, opts);
-        
-        } catch(e) {
+            // Take fingerprints
+            this.log.debug(`action(): taking preaction fingerprint`);
+            this.#fingerprints.postaction = null;   // In case _action throws an error, we don't want to keep the old fingerprint
+            this.#digests.postaction = null;
+            this.#trees.postaction = null;
+            await this._take("preaction", system);
 
-            // _action failed.  We will have to re-throw the error, but we catch it here so we can put ourselves in a postaction state
-            this.log.error(`action(): _action() failed: ${e}`);
-            this.#fingerprints.postaction = this.fingerprint(system);
-            this._state = "postaction";
-            throw e;
-        }
+            // Run our action
+            try {
+
+                this.log.debug(`action(): calling _action()`);
+                await this._limit("action", opts, async (o) => this._action(await this._recordable(system), o));
+
+            } catch(e) {
+
+                // _action failed.  We will have to re-throw the error, but we catch it here so we can put ourselves in a postaction state
+                this.log.error(`action(): _action() failed: ${e}`, { stack : e?.stack });
+                await this._take("postaction", system);
+                this._state = "postaction";
+                throw e;
+            }
 
-        // Take the postaction fingerprint
-        this.#fingerprints.postaction = this.fingerprint(system);
-        this.log.debug(`action(): fingerprints - preaction = ${this.#fingerprints.preaction} postaction = ${this.#fingerprints.postaction}`);
+            // Take the postaction fingerprint
+            await this._take("postaction", system);
+            this.log.debug(`action(): fingerprints - preaction = ${this.#fingerprints.preaction} postaction = ${this.#fingerprints.postaction}`, { fingerprint : this.#fingerprints.postaction });
 
 
-        this.emit("activity", { anomaly: this, activity: "action", progress: 100 });
-        this._state = "postaction";
-    }  
+            this.emit("activity", { anomaly: this, activity: "action", progress: 100 });
+            this._state = "postaction";
+        });
+    }
 
     /**
      * Revert
      * 
      * Undo the action for this anomaly.  If we are in a preaction state and using fingerprints, we verify the fingerprint and then return.  Otherwise, we check that we match the postaction fingerprint; call _revert(), and then check the preaction fingerprint.  If any of this fails, we throw an error.
+     * A successful revert moves the anomaly to the reverted state (unless it was still in the preaction state, in which case there was nothing to undo).
+     * Fingerprint mismatches throw a `FingerprintError`; if digests were kept during action(), its `.diff` shows which keys drifted.
+     * _revert() is subject to the timeout and abort signal described in _limit().
      * Do not override me. Override _revert() instead!
      * 
      * @param {object} system the system being analyzed
      * @param {object} opts arbitrary options
+     * @throws {FingerprintError} if the system does not match the expected fingerprint
      * @throws {Error} error on error
      * @fires Anomaly#activity
      * @returns {Promise} promise that resolves when the reversion is complete
      */
     async revert(system, opts) {
 
-        this.log.info(`revert() called`);
-        this.emit("activity", { anomaly: this, activity: "revert", progress: 0 });
-        
-        if(system === undefined) throw new Error(`system is undefined`);
-        
-        this.log.info(`revert(): checking to see if we match the preaction fingerprint`);
-        let fingerprint = this.fingerprint(system);
-        if(fingerprint == this.#fingerprints.preaction) { 
+        return this._in_phase("revert", async () => {
 
-            this.log.info(`revert(): Fingerprint matches, no need to revert.  Resetting state to preaction`);
-            this._state = "preaction";
-            return;
-        }
+            this.log.info(`revert() called`);
+            this.emit("activity", { anomaly: this, activity: "revert", progress: 0 });
+
+            if(system === undefined) throw new Error(`system is undefined`);
+
+            // Anything may have changed since action(), so this has to hash the whole system
+            this.log.info(`revert(): checking to see if we match the preaction fingerprint`);
+            let tree = this.constructor.merkle ? await this.tree(system) : null;
+            let fingerprint = tree ? tree.root : await this.fingerprint(system);
+            if(fingerprint == this.#fingerprints.preaction) { 
+
+                this.log.info(`revert(): Fingerprint matches, no need to revert`);
+                if(this.state != "preaction") this._state = "reverted";
+                return;
+            }
 
-        // We need to perform an actual reversion.  See if we match the postaction fingerprint
-        if(fingerprint != this.#fingerprints.postaction) throw new Error(`Unable to revert - current fingerprint ${fingerprint} does not match postaction fingerprint ${this.#fingerprints.postaction}`);
+            // We need to perform an actual reversion.  See if we match the postaction fingerprint
+            if(fingerprint != this.#fingerprints.postaction) throw new Errors.FingerprintError(`Unable to revert - current fingerprint ${fingerprint} does not match postaction fingerprint ${this.#fingerprints.postaction}`, await this._drift("postaction", system));
 
-        // Revert
-        this.log.debug(`revert(): calling _revert()`);
-        await this._revert(system, opts);
+            // Revert
+            this.log.debug(`revert(): calling _revert()`);
+            await this._limit("revert", opts, (o) => this._revert(system, o));
 
-        // Take the fingerprint after we revert, make sure it matches what it was originally
-        fingerprint = this.fingerprint(system);
-        if(fingerprint != this.#fingerprints.preaction) throw new Error(`Revert failed - current fingerprint ${fingerprint} does not match preaction fingerprint ${this.#fingerprints.preaction}`);
+            // Take the fingerprint after we revert, make sure it matches what it was originally.  If the journal was undone, only what it changed needs rehashing.
+            let undone = tree && this.#record_changes && this._revert === Anomaly.prototype._revert;
+            fingerprint = undone ? this._tree(tree.update(await this.snapshot(system), this._changes())).root : await this.fingerprint(system);
+            if(fingerprint != this.#fingerprints.preaction) throw new Errors.FingerprintError(`Revert failed - current fingerprint ${fingerprint} does not match preaction fingerprint ${this.#fingerprints.preaction}`, await this._drift("preaction", system));
 
+            this._state = "reverted";
+        });
     }
 
     
@@ -238,56 +314,133 @@ class Anomaly extends EventEmitter {
      * Evaluate the success of our action.
      * Throw an error if you believe the action or reversion failed.
      * Can also be used for post-action cleanup, statistics, etc.
+     * _evaluate() is subject to the timeout and abort signal described in _limit().
      * Do not override me. Override _evaluate() instead!
      * 
+     * _evaluate() may return a verdict, either a string or an object: `{ verdict, score, notes, retry }` where `verdict` is "success" | "failure" | "partial",
+     * `score` is an optional number and `notes` an optional string.  The verdict is kept in `.verdict`.  A "failure" verdict throws an `EvaluationError` and leaves
+     * us in the postaction state, so that the Processor reverts the action; set `retry` to make the error nominal, so the Processor retries (see `retries`) rather than pausing.
+     * 
      * @param {object} system the system being analyzed
      * @param {object} opts arbitrary options
+     * @throws {EvaluationError} if _evaluate() returned a "failure" verdict
      * @throws {Error} error on error
      * @fires Anomaly#activity
      * @returns {Promise} promise that resolves when the evaluation is complete
      */
     async evaluate(system, opts) {
 
-        this.emit("activity", { anomaly: this, activity: "evaluate", progress: 0 });
-        await this._evaluate(system, opts);
-        this.emit("activity", { anomaly: this, activity: "evaluate", progress: 100 });
-        this._state = "resolved";
+        return this._in_phase("evaluate", async () => {
+
+            this.emit("activity", { anomaly: this, activity: "evaluate", progress: 0 });
+            let verdict = await this._limit("evaluate", opts, (o) => this._evaluate(system, o));
+
+            // Keep the verdict, if we got one
+            if(verdict !== undefined && verdict !== null) {
+
+                this.#verdict = Anomaly._verdict(verdict);
+                this.log.info(`evaluate(): verdict ${this.#verdict.verdict}` + (this.#verdict.score !== null ? ` (score ${this.#verdict.score})` : "") + (this.#verdict.notes ? `: ${this.#verdict.notes}` : ""));
+                if(this.#verdict.verdict == "failure") throw new Errors.EvaluationARError(`Evaluation failed` + (this.#verdict.notes ? `: ${this.#verdict.notes}` : ""), this.#verdict);
+            }
+
+            this.emit("activity", { anomaly: this, activity: "evaluate", progress: 100 });
+            this._state = "resolved";
+        });
     }
 
     /**
      * toJSON
      * 
-     * Serialize this anomaly for storage.  By default, we serialize the following keys: #id, #name, #state, #log, #paused, #dirty, #fingerprint_keys
+     * Serialize this anomaly for storage.  By default, we serialize the keys listed in `.persisted`, then pass the result through `_serialize()`.
      * 
-     * If you override this funciton, you should call super.serialize() and add your own keys to the result.
+     * To store your own data, add its keys to `.persisted` rather than overriding this function.
      * 
-     * @param {array<string>} keys the keys to serialize
+     * @param {array<string>} [keys] the keys to serialize, defaults to `.persisted`
      * @returns {object} the JSON-ized object
      * @throws {Error} error on error
      */
-    toJSON(keys = ["id","description","name", "state","history","paused","dirty","fingerprint_keys"]) {
+    toJSON(keys) {
             
+            // JSON.stringify() passes a property name here, so only use keys if it's really a list
+            if(!Array.isArray(keys)) keys = this.constructor.persisted;
+
             let obj = {};
     
             for(let key of keys) {
                 obj[key] = this[key];
             }
     
-            return obj;
+            return this._serialize(obj);
+    }
+
+    /**
+     * Create an anomaly from serialized data
+     * 
+     * Constructs a new anomaly from the output of toJSON(), restores any keys from `.persisted` that the Anomaly constructor doesn't handle, then calls `_deserialize()`.
+     * Call this on the class you are deserializing, e.g. `MyAnomaly.from_json(obj)`.
+     * 
+     * @param {object} obj the serialized data
+     * @returns {Anomaly} the anomaly
+     * @throws {Error} error on invalid data
+     */
+    static from_json(obj) {
+
+        let anomaly = new this(obj);
+
+        let own = Anomaly.persisted;
+        for(let key of this.persisted) {
+
+            if(!own.includes(key) && key in obj) anomaly[key] = obj[key];
+        }
+
+        anomaly._deserialize(obj);
+        return anomaly;
     }
 
+    /**
+     * Serialization hook
+     * 
+     * Called at the end of toJSON().  Override this to transform your own data into something JSON can store (e.g. a Map into an array).
+     * 
+     * @param {object} obj the serialized keys
+     * @returns {object} the (possibly modified) serialized keys
+     */
+    _serialize(obj) { return obj; }
+
+    /**
+     * Deserialization hook
+     * 
+     * Called at the end of from_json(), after keys in `.persisted` have been restored.  Override this to undo whatever _serialize() did.
+     * 
+     * @param {object} obj the serialized data
+     */
+    _deserialize(obj) {}
+
     /**
      * Snapshot
      * 
-     * Take a snapshot of the system suitable for fingerprinting.
+     * Take a snapshot of the system suitable for fingerprinting.  In order, we use:
+     * 
+     * - the system's own `[Anomaly.toSnapshot]()` method, if it has one
+     * - an adapter registered for the system's class (or a class it extends) with `Anomaly.register_snapshot()`
+     * - the system itself, if it is a plain object, array, Map or Set
+     * 
+     * The snapshot may be a promise (e.g. for a system backed by files or a database).  fingerprint(), digest(), tree() and diff() then return promises too, and action() and revert() wait for them.
+     * If _action() changes the system through the snapshot (see `record_changes`), the snapshot must be a live view of the system rather than a copy.
      * 
      * @param {object} system the system being analyzed
-     * @returns {object} the snapshot
+     * @returns {object|Promise<object>} the snapshot
+     * @throws {Error} if the system can't be snapshotted
      */
     snapshot(system) {
 
         if(system === undefined) throw new Error(`system is undefined`);
-        switch(system.constructor.name) {
+        if(typeof system?.[TO_SNAPSHOT] === "function") return system[TO_SNAPSHOT]();
+
+        let adapter = Anomaly._snapshot_adapter(system);
+        if(adapter) return adapter(system);
+
+        switch(system?.constructor?.name) {
             case "Object":
             case "Array":
             case "Map":
@@ -296,60 +449,162 @@ class Anomaly extends EventEmitter {
         }
 
         // Default
-        throw new Error(`Unable to snapshot system of type ${system.constructor.name} - please override Anomaly.snapshot() in your derived class`);
+        throw new Error(`Unable to snapshot system of type ${system?.constructor?.name ?? typeof system} - give it an [Anomaly.toSnapshot]() method, register a snapshot adapter with Anomaly.register_snapshot(), or override Anomaly.snapshot() in your derived class`);
+    }
+
+    /**
+     * toSnapshot (getter)
+     * 
+     * The well-known symbol for a system's own snapshot method (see snapshot()).  The method takes no arguments and returns the snapshot, or a promise of it.
+     * It is the same as `Symbol.for("gnomalies.toSnapshot")`, so systems don't have to depend on this library to support it.
+     * 
+     * @example
+     * class Inventory {
+     *     async [Anomaly.toSnapshot]() { return { items : await this.db.all("SELECT * FROM items") }; }
+     * }
+     * 
+     * @return {symbol} the symbol
+     */
+    static get toSnapshot() {
+        return TO_SNAPSHOT;
+    }
+
+    /**
+     * Register a snapshot adapter for a class of system
+     * 
+     * The adapter is used by snapshot() for instances of the class, and of classes that extend it (unless they have their own adapter).  Registering a class again replaces its adapter.
+     * 
+     * @example
+     * Anomaly.register_snapshot(Database, async (db) => ({ users : await db.users.all() }));
+     * 
+     * @param {function} constructor the class
+     * @param {function} adapter `(system) => snapshot`, which may return a promise
+     * @throws {Error} if a parameter is invalid
+     */
+    static register_snapshot(constructor, adapter) {
+
+        if(typeof constructor !== "function") throw new Error("Invalid snapshot class: " + constructor);
+        if(typeof adapter !== "function") throw new Error("Snapshot adapter must be a function");
+
+        Anomaly.#adapters.set(constructor, adapter);
+    }
+
+    /**
+     * Remove a snapshot adapter registered with `register_snapshot()`
+     * 
+     * @param {function} constructor the class
+     * @return {boolean} true if there was an adapter to remove
+     */
+    static unregister_snapshot(constructor) {
+
+        return Anomaly.#adapters.delete(constructor);
     }
 
 
     /**
      * Fingerprint
      * 
-     * Creates a SHA256 hash of the system's keys and values, using the set of keys that were specified in our constructor.
-     * Skips keys that point to functions.
+     * Creates a hash of the system's keys and values, using the set of keys that were specified in our constructor.
+     * Skips keys that point to functions.  Circular references are fingerprinted as references to the path they point back to.
+     * Each value is hashed using its canonical, type-tagged encoding (see `KeyExtractor.encode()`), so `1`, `"1"` and `1n` give different fingerprints.
+     * 
+     * `fingerprint_keys` may contain patterns, which are matched against the full names of the system's keys.  In a pattern, `*` matches anything within one path segment
+     * (e.g. "users.*.email"), and `**` matches any number of segments (e.g. "config.**", or "**.email" for an email key at any depth).  Patterns starting with `!` exclude the keys they match
+     * (if there are only exclusions, all other keys are used).  Every other key or pattern must match at least one key, unless it ends with `?`.  The resolved key list is logged to the history when it changes.
+     * Keys are written as escaped paths (see `Key`), so use `\*` for a literal "*" and `\?` for a literal "?" at the end.  Keys can also be given as JSON Pointers, e.g. "/a.b/c", which have no wildcards.
+     * 
+     * The hash algorithm is set by the class's `hash_algorithm`.  If the class sets `merkle`, the fingerprint is the root hash of a Merkle tree of the keys instead (see tree()).
      * 
      * @param {object} system the system being analyzed
-     * @returns {string} the fingerprint as a hex string
-     * @throws {Error} error if we can't find a specified key
+     * @returns {string|Promise<string>} the fingerprint as a hex string (a promise if the snapshot is)
+     * @throws {Error} error if we can't find a specified key, or the system exceeds the class's `max_key_depth` or `max_keys`
      */
     fingerprint(system) {
 
-        // Get all keys from the system in alphabetical order (for consistency, since object key order is not guaranteed)
-        let snapshot = this.snapshot(system);
-        let keys = KeyExtractor.extract(snapshot).filter((key)=>key.type != "function" ).sort(Key.compare);
+        return this._with_snapshot(system, (snapshot) => this._fingerprint(snapshot));
+    }
 
-        // Filter out keys that are not in the list (if any)
-        if(this.#fingerprint_keys !== null) { 
+    /**
+     * _fingerprint
+     * 
+     * @private
+     * @param {object} snapshot the snapshot of the system
+     * @returns {string} the fingerprint (see fingerprint())
+     */
+    _fingerprint(snapshot) {
 
-            let only = [...this.#fingerprint_keys];  // Copy so we can modify
-            keys = keys.filter((key)=> { 
-                
-                // If the key is in `only`, remove it from `only` but keep the key
-                let index = only.indexOf(key.fullname);
-                if(index != -1) {
-                    only.splice(index, 1);
-                    return true;
-                }
-
-                // Not in `only`, remove the key
-                return false;
-            });
-
-            // `only` should now be empty.  If not, we have a problem
-            if(only.length > 0) throw new Error(`Unable to fingerprint - the following keys were not found: ${only.join(", ")}`);
-        }
+        if(this.constructor.merkle) return this._build(snapshot).root;
 
         // Create a set of tuples that contain the key/value pairs from the keys
-        let tuples  = keys.map((key)=>[key.fullname, key.value]);
+        let tuples  = this._keys(snapshot).map((key)=>[key.fullname, key.canonical]);
 
         // Convert tuples to a string
         let str = JSON.stringify(tuples);
 
-        // Use crypto to calculate the hash
-        let hash = crypto.createHash('sha256').update(str).digest('hex'); 
+        // Calculate the hash
+        let hash = Merkle.hash(str, this.constructor.hash_algorithm); 
 
-        this.log.debug(`fingerprint(): ${hash}`);
+        this.log.debug(`fingerprint(): ${hash}`, { fingerprint : hash });
         return hash;
     }
 
+    /**
+     * Digest
+     * 
+     * Creates a per-key digest of the system, using the same keys as fingerprint().  Digests can be compared with `diff()` to find out which keys changed.
+     * 
+     * @param {object} system the system being analyzed
+     * @returns {object|Promise<object>} the digest, mapping each key's full name to a hash of its value (a promise if the snapshot is)
+     * @throws {Error} error if we can't find a specified key, or the system exceeds the class's `max_key_depth` or `max_keys`
+     */
+    digest(system) {
+
+        return this._with_snapshot(system, (snapshot) => Diff.digest(this._keys(snapshot), this.constructor.hash_algorithm));
+    }
+
+    /**
+     * Tree
+     * 
+     * Get a Merkle tree of the system, using the same keys as fingerprint(), or one of the trees kept during action().  Trees can be compared with `Merkle.compare()` to find the subtrees that changed,
+     * e.g. `Merkle.compare(anomaly.tree("preaction"), anomaly.tree("postaction"))`.
+     * 
+     * Trees are only kept during action() if the class sets `merkle`, and they are not persisted.  If `record_changes` is also set, the postaction tree is updated from the preaction tree using
+     * the journal, so only the parts of the system that _action() changed are rehashed.  This relies on the journal, so changes the recording proxy can't see (see `Recorder`) are missed.
+     * revert() does the same for its final check, if _revert() is the default (which undoes the journal).  Everything else, including fingerprint(), tree(system) and revert()'s first check,
+     * builds a whole new tree, which is slower than a flat fingerprint.
+     * 
+     * @param {object|string} system the system being analyzed, or "preaction" | "postaction"
+     * @returns {Merkle|Promise<Merkle>|null} the tree (a promise if the snapshot is), or null if no tree of that name was kept
+     * @throws {Error} error if we can't find a specified key, or the system exceeds the class's `max_key_depth` or `max_keys`
+     */
+    tree(system) {
+
+        if(system === "preaction" || system === "postaction") return this.#trees[system];
+        return this._with_snapshot(system, (snapshot) => this._build(snapshot));
+    }
+
+    /**
+     * Diff
+     * 
+     * Compare two versions of the system key by key.  Each side may be a system (or snapshot), or the name of a digest kept during action(), e.g. `anomaly.diff("preaction", system)`.
+     * 
+     * @param {object|string} before the earlier system, or "preaction" | "postaction"
+     * @param {object|string} after the later system, or "preaction" | "postaction"
+     * @returns {Diff|Promise<Diff>} the keys that were added, removed or changed (a promise if either snapshot is)
+     * @throws {Error} if a named digest was not kept
+     */
+    diff(before, after) {
+
+        let resolve = (side) => {
+
+            if(typeof side !== "string") return this.digest(side);
+            if(!this.#digests[side]) throw new Error(`No ${side} digest available - set keep_digests to keep digests during action()`);
+            return this.#digests[side];
+        };
+
+        return Anomaly._then(resolve(before), (a) => Anomaly._then(resolve(after), (b) => Diff.compare(a, b)));
+    }
+
 
     get [Symbol.toStringTag]() {
         return `Anomaly ${this.#name} (${this.#id}) { state: ${this.#state} }`;
@@ -367,6 +622,62 @@ class Anomaly extends EventEmitter {
         return this.#fingerprints;
     }
 
+    /**
+     * digests (getter)
+     * 
+     * Only populated when `keep_digests` is set
+     * 
+     * @return {object} digests the digests
+     * @return {object} digests.preaction the digest before the action
+     * @return {object} digests.postaction the digest after the action
+     */
+    get digests() {
+
+        return this.#digests;
+    }
+
+    /**
+     * keep_digests (getter)
+     * 
+     * @return {boolean} true if action() keeps per-key digests
+     */
+    get keep_digests() {
+
+        return this.#keep_digests;
+    }
+
+    /**
+     * record_changes (getter)
+     * 
+     * @return {boolean} true if action() records changes for the default _revert()
+     */
+    get record_changes() {
+
+        return this.#record_changes;
+    }
+
+    /**
+     * journal (getter)
+     * 
+     * Only populated when `record_changes` is set
+     * 
+     * @return {array<object>} the changes recorded during the last action(), oldest first
+     */
+    get journal() {
+
+        return this.#journal;
+    }
+
+    /**
+     * verdict (getter)
+     * 
+     * @return {object|null} the verdict from the last evaluate(), `{ verdict, score, notes, retry }`, or null if there isn't one
+     */
+    get verdict() {
+
+        return this.#verdict;
+    }
+
     /**
      * fingerprint_keys (getter)
      * 
@@ -397,11 +708,20 @@ class Anomaly extends EventEmitter {
      * This flag is set by the processor to indicate we failed somewhere during a state transition
      * 
      * @param {boolean} dirty true if this anomaly is dirty
+     * @emit Anomaly#dirty
      */
     set dirty(dirty) {
 
         this.log.error(`dirty set to ${dirty}`);
         this.#dirty = dirty;
+
+        /**
+         * @event Anomaly#dirty
+         * @type {object}
+         * @property {Anomaly} anomaly the anomaly
+         * @property {boolean} dirty the new value of the flag
+         */
+        this.emit("dirty", { anomaly : this, dirty : dirty });
     }
 
     /**
@@ -414,6 +734,16 @@ class Anomaly extends EventEmitter {
         return this.#name;
     }
 
+    /**
+     * description (getter)
+     * 
+     * @return {string} a short description of this anomaly type
+     */
+    get description() {
+
+        return this.#description;
+    }
+
     /**
      * paused (getter)
      * 
@@ -425,152 +755,883 @@ class Anomaly extends EventEmitter {
     }
 
     /**
-     * allowed_states (getter)
+     * pause_reason (getter)
      * 
-     * @return {array} the allowed states
+     * @return {string|null} the reason given to pause(), or null if this is not paused
      */
-    static get allowed_states() {
-        return ["preaction","postaction","resolved"];
+    get pause_reason() {
+
+        return this.#pause_reason;
     }
 
     /**
-     * id (getter)
+     * persisted (getter)
      * 
-     * @return {string} the id for this anomaly 
+     * The keys that toJSON() stores and from_json() restores.  Subclasses can add their own keys, e.g. `static get persisted() { return [...super.persisted, "undo_data"]; }`
+     * Keys that are not handled by the Anomaly constructor are restored by assignment, so they must be writable properties.
+     * 
+     * @return {array<string>} the persisted keys
      */
-    get id() {
-
-        return this.#id;
+    static get persisted() {
+        return ["id","description","name","state","history","paused","pause_reason","dirty","fingerprint_keys","fingerprints","keep_digests","digests","record_changes","journal","verdict"];
     }
 
     /**
-     * Log (getter)
+     * schema_version (getter)
      * 
-     * @return {array} the log for this anomaly 
+     * The version of this class's serialized data.  Bump it when you change `.persisted` in an incompatible way, and register a migration with `Processor.add_migration()` to upgrade old records.
+     * 
+     * @return {number} the schema version
      */
-    get history() {
-
-        return this.#log;
+    static get schema_version() {
+        return 1;
     }
 
     /**
-     * State iterations counter
+     * priority (getter)
      * 
-     * Show how many times we have transitioned to a given state
+     * When the Processor has a choice, anomalies with a higher priority are processed first
      * 
-     * @param {string} [state = "postaction"] the state to count
-     * @return {number} the number of times we have transitioned to this state
+     * @return {number} the priority
      */
-    iterations(state = "postaction") {
-        
-        let re = new RegExp(`^_state: changing state from \\w+ to ${state}$`, 'i');
-        return this.#log.filter(e => re.test(e.message)).length;
+    static get priority() {
+        return 0;
     }
 
-
     /**
-     * state (getter)
+     * runs_after (getter)
      * 
-     * @return {string} the state of the anomaly 
+     * Anomaly classes (or class names) that must be processed before this one.  If any of their anomalies end up paused or dirty, the Processor skips this one.
+     * 
+     * @return {array<Anomaly|string>} the classes this class depends on
      */
-    get state() {
-        return this.#state;
+    static get runs_after() {
+        return [];
     }
 
     /**
-     * pause
+     * runs_before (getter)
      * 
-     * Pause this anomaly 
+     * Anomaly classes (or class names) that must be processed after this one.  The inverse of `runs_after`.
      * 
-     * @param {string} reason the reason for the pause
-     * @emit Anomaly#pause
+     * @return {array<Anomaly|string>} the classes that depend on this class
      */
-    async pause(reason) {
-
-        this.#paused = true;
-        this.log.error("pause(): Paused becuase: "+reason);
-
-        /**
-         * @event Anomaly#pause
-         * @type {object}
-         * @property {Anomaly} anomaly the anomaly
-         * @property {string} reason the reason for the pause
-         */
-        this.emit("pause",{ anomaly : this, reason : reason });
+    static get runs_before() {
+        return [];
     }
 
     /**
-     * resume
+     * retries (getter)
      * 
-     * Resume this anomaly
+     * How many times the Processor should retry this class's anomalies after a `NominalError`.  Other errors are never retried.
      * 
-     * @param {string} reason the reason for the resume
-     * @emit Anomaly#resume
+     * @return {number} the number of retries
      */
-    async resume(reason) {
-
-        this.#paused = false;
-        this.log.info("resume(): Resumed becuase: "+reason);
-
-        /**
-         * @event Anomaly#resume
-         * @type {object}
-         * @property {Anomaly} anomaly the anomaly
-         * @property {string} reason the reason for the resume
-         */
-        this.emit("resume",{ anomaly : this, reason : reason });
+    static get retries() {
+        return 0;
     }
 
-    
-    // ====================
-    // Private Methods
-    // ====================
-
     /**
-     * _log_type    
+     * retry_backoff (getter)
      * 
-     * @private
-     * @param {string} type one of debug, info, warn, error
-     * @param {string} message the message to log
-     * @fires Anomaly#log
+     * How long the Processor waits before the first retry.  The wait doubles for each retry after that.
+     * 
+     * @return {number} the delay in milliseconds
      */
-    _log_type(type, message) {
-
-        // Save to our internal log
-        this.#log.push({
-            timestamp : (new Date()).toISOString(),
-            type : type,
-            message : message
-        });
-
-        /**
-         * @event Anomaly#log
-         * @type {object}
-         * @property {Anomaly} anomaly the anomaly report
-         * @property {string} type the type of log message
-         * @property {string} message the message
-        */
-        this.emit("log", { anomaly: this, type: type, message: message});
+    static get retry_backoff() {
+        return 0;
     }
 
     /**
-     * state (setter)
+     * timeout (getter)
      * 
-     * Set the state of the anomaly report
+     * How long _action(), _revert() and _evaluate() may each take before they are aborted and treated as failures.  `opts.timeout` can set a timeout for a single call; the shorter of the two applies.
      * 
-     * @private
-     * @param {string} state the new state
-     * @throws {FatalARError} if the state is not allowed
-     * @fires AnomalyReport#state
+     * @return {number|null} the timeout in milliseconds, or null for no timeout
      */
-    set _state(state) {
+    static get timeout() {
+        return null;
+    }
+
+    /**
+     * history_retention (getter)
+     * 
+     * How much of `.history` to keep.  Every policy is optional (null means no limit), and they are applied in this order each time an entry is logged (and when an anomaly is constructed or loaded):
+     * 
+     * - `max_age` drops entries older than this many milliseconds
+     * - `errors_only_after` keeps only "error" entries once they are more than this many entries old
+     * - `max_entries` drops the oldest entries beyond this many
+     * 
+     * Pause reasons are logged as errors, so `errors_only_after` keeps them, and the current one is kept in `.pause_reason` whatever is dropped.  Note that `iterations()` can only count the state changes that are still in the history.
+     * 
+     * @return {object} `{ max_entries, max_age, errors_only_after }`
+     */
+    static get history_retention() {
+        return { max_entries : null, max_age : null, errors_only_after : null };
+    }
+
+    /**
+     * max_key_depth (getter)
+     * 
+     * The most segments a key in the system may have before fingerprinting gives up with an error (see `KeyExtractor.extract()`)
+     * 
+     * @return {number|null} the maximum depth, or null for no limit
+     */
+    static get max_key_depth() {
+        return 1000;
+    }
+
+    /**
+     * max_keys (getter)
+     * 
+     * The most keys the system may have before fingerprinting gives up with an error (see `KeyExtractor.extract()`)
+     * 
+     * @return {number|null} the maximum number of keys, or null for no limit
+     */
+    static get max_keys() {
+        return null;
+    }
+
+    /**
+     * non_enumerable_keys (getter)
+     * 
+     * Whether fingerprints include non-enumerable properties of the system's objects (see `KeyExtractor.extract()`)
+     * 
+     * @return {boolean} true to include non-enumerable properties
+     */
+    static get non_enumerable_keys() {
+        return false;
+    }
+
+    /**
+     * hash_algorithm (getter)
+     * 
+     * The hash algorithm used for fingerprints and digests (any algorithm supported by `crypto.createHash()`, e.g. "sha512" or "sha3-256")
+     * 
+     * @return {string} the algorithm
+     */
+    static get hash_algorithm() {
+        return "sha256";
+    }
+
+    /**
+     * merkle (getter)
+     * 
+     * Whether fingerprints are the root hash of a Merkle tree of the system's keys rather than a hash of the whole key list (see tree()).  Merkle fingerprints are different from flat ones,
+     * so changing this invalidates fingerprints taken before.
+     * 
+     * @return {boolean} true to use Merkle fingerprints
+     */
+    static get merkle() {
+        return false;
+    }
+
+    /**
+     * transitions (getter)
+     * 
+     * The state machine: each state, and the states it may move to.  Moving anywhere else throws a `FatalARError`.
+     * 
+     * - preaction: detected and waiting to be processed
+     * - postaction: action() has run (successfully or not), but the action hasn't been evaluated
+     * - resolved: the action was evaluated successfully
+     * - reverted: the action was undone, so the system is as it was before it
+     * - failed: the action could not be undone, so the system is in an unknown state
+     * - skipped: not processed, because an anomaly it depends on failed
+     * 
+     * Subclasses can add states and transitions, e.g. 
+     * `static get transitions() { let t = super.transitions; return { ...t, resolved : [...t.resolved, "verified"], verified : ["reverted"] }; }`
+     * 
+     * @return {object} state -> array of the states it may move to
+     */
+    static get transitions() {
+        return {
+            preaction : ["postaction", "skipped", "failed"],
+            postaction : ["resolved", "reverted", "failed"],
+            resolved : ["reverted", "failed"],
+            reverted : ["preaction"],
+            failed : ["reverted"],
+            skipped : ["preaction"]
+        };
+    }
+
+    /**
+     * allowed_states (getter)
+     * 
+     * @return {array} the allowed states (the states in `transitions`)
+     */
+    static get allowed_states() {
+        return Object.keys(this.transitions);
+    }
+
+    /**
+     * id (getter)
+     * 
+     * @return {string} the id for this anomaly 
+     */
+    get id() {
+
+        return this.#id;
+    }
+
+    /**
+     * Log (getter)
+     * 
+     * Each entry is `{ timestamp, type, message }`, plus `context` if it was logged with context fields (e.g. `{ phase, attempt, fingerprint, stack, reason }`) and `correlation_id` if it was logged during a run.
+     * Entries logged during action(), revert() and evaluate() (including those logged by your own _action() etc) have the phase in their context.
+     * 
+     * @return {array} the log for this anomaly 
+     */
+    get history() {
+
+        return this.#log;
+    }
+
+    /**
+     * Query the log
+     * 
+     * @param {object} [params] the filters; entries must match all of them
+     * @param {string} [params.level] the lowest level to include: "debug" | "info" | "warn" | "error"
+     * @param {string|array<string>} [params.phase] the phase(s) to include, e.g. "action" or ["action", "revert"]
+     * @param {Date|string|number} [params.since] include entries logged at or after this time
+     * @param {Date|string|number} [params.until] include entries logged at or before this time
+     * @param {string} [params.correlation_id] include entries logged during this run
+     * @return {array<object>} the matching entries, oldest first
+     * @throws {Error} on invalid parameter
+     */
+    query_history(params = {}) {
+
+        let level = params?.level ?? null;
+        let phases = (params?.phase === undefined || params?.phase === null) ? null : [params.phase].flat();
+        let since = (params?.since === undefined || params?.since === null) ? null : new Date(params.since).getTime();
+        let until = (params?.until === undefined || params?.until === null) ? null : new Date(params.until).getTime();
+        let correlation_id = params?.correlation_id ?? null;
+
+        if(level !== null && !Anomaly._levels.includes(level)) throw new Error("Invalid 'level' parameter: " + level);
+        if(Number.isNaN(since)) throw new Error("Invalid 'since' parameter: " + params.since);
+        if(Number.isNaN(until)) throw new Error("Invalid 'until' parameter: " + params.until);
+
+        return this.#log.filter((entry) => {
+
+            let time = Date.parse(entry.timestamp);
+            return (level === null || Anomaly._levels.indexOf(entry.type) >= Anomaly._levels.indexOf(level))
+                && (phases === null || phases.includes(entry.context?.phase))
+                && (since === null || time >= since)
+                && (until === null || time <= until)
+                && (correlation_id === null || entry.correlation_id === correlation_id);
+        });
+    }
+
+    /**
+     * correlation_id (getter)
+     * 
+     * @return {string|null} the id added to log entries, e.g. the id of the Processor run we are part of, or null
+     */
+    get correlation_id() {
+
+        return this.#correlation_id;
+    }
+
+    /**
+     * correlation_id (setter)
+     * 
+     * The Processor sets this for the length of each process() and run() call.  It is not persisted.
+     * 
+     * @param {string|null} id the id to add to log entries, or null to stop adding one
+     * @throws {Error} if the id is not a string or null
+     */
+    set correlation_id(id) {
+
+        if(id !== null && typeof id !== "string") throw new Error("Invalid correlation_id: " + id);
+        this.#correlation_id = id;
+    }
+
+    /**
+     * State iterations counter
+     * 
+     * Show how many times we have transitioned to a given state
+     * 
+     * @param {string} [state = "postaction"] the state to count
+     * @return {number} the number of times we have transitioned to this state
+     * @throws {Error} if the state is not one of the class's `allowed_states`
+     */
+    iterations(state = "postaction") {
+        
+        if(!this.constructor.allowed_states.includes(state)) throw new Error("Invalid state: " + state);
+
+        let re = new RegExp(`^_state: changing state from \\S+ to ${state.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, 'i');
+        return this.#log.filter(e => re.test(e.message)).length;
+    }
+
+
+    /**
+     * state (getter)
+     * 
+     * @return {string} the state of the anomaly 
+     */
+    get state() {
+        return this.#state;
+    }
+
+    /**
+     * pause
+     * 
+     * Pause this anomaly 
+     * 
+     * @param {string} reason the reason for the pause
+     * @emit Anomaly#pause
+     */
+    async pause(reason) {
+
+        this.#paused = true;
+        this.#pause_reason = (reason === undefined || reason === null) ? null : String(reason);
+        this.log.error("pause(): Paused becuase: "+reason, { reason : reason });
+
+        /**
+         * @event Anomaly#pause
+         * @type {object}
+         * @property {Anomaly} anomaly the anomaly
+         * @property {string} reason the reason for the pause
+         */
+        this.emit("pause",{ anomaly : this, reason : reason });
+    }
+
+    /**
+     * resume
+     * 
+     * Resume this anomaly
+     * 
+     * If `transitions` allows it (e.g. from reverted or skipped), the anomaly goes back to the preaction state, so that it is processed again.
+     * 
+     * @param {string} reason the reason for the resume
+     * @emit Anomaly#resume
+     */
+    async resume(reason) {
+
+        this.#paused = false;
+        this.#pause_reason = null;
+        this.log.info("resume(): Resumed becuase: "+reason, { reason : reason });
+        if((this.constructor.transitions[this.#state] ?? []).includes("preaction")) this._state = "preaction";
+
+        /**
+         * @event Anomaly#resume
+         * @type {object}
+         * @property {Anomaly} anomaly the anomaly
+         * @property {string} reason the reason for the resume
+         */
+        this.emit("resume",{ anomaly : this, reason : reason });
+    }
+
+    
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * _keys
+     * 
+     * Get the keys used for fingerprinting, sorted and filtered by `fingerprint_keys`
+     * 
+     * @private
+     * @param {object} snapshot the snapshot of the system
+     * @returns {array<Key>} the keys
+     * @throws {Error} error if we can't find a specified key, or the system exceeds the class's `max_key_depth` or `max_keys`
+     */
+    _keys(snapshot) {
+
+        // Get all keys from the system in alphabetical order (for consistency, since object key order is not guaranteed)
+        let keys = KeyExtractor.extract(snapshot, this._extract_params()).filter((key)=>key.type != "function" ).sort(Key.compare);
+
+        // Filter out keys that don't match the list (if any)
+        if(this.#fingerprint_keys !== null) { 
+
+            this._require(keys);
+            keys = this._select(keys);
+            this._resolved("_keys()", keys);
+        }
+
+        return keys;
+    }
+
+    /**
+     * _resolved
+     * 
+     * Log the keys that `fingerprint_keys` resolved to, if they are different from last time
+     * 
+     * @private
+     * @param {string} caller the method that resolved them, for the log
+     * @param {array<Key>} keys the keys
+     */
+    _resolved(caller, keys) {
+
+        let names = keys.map((key) => key.fullname).join(", ");
+        if(names === this.#resolved) return;
+
+        this.#resolved = names;
+        this.log.debug(`${caller}: fingerprint_keys resolved to: ${names}`);
+    }
+
+    /**
+     * _select
+     * 
+     * Filter keys by `fingerprint_keys` (if any), leaving out keys that point to functions
+     * 
+     * @private
+     * @param {array<Key>} keys the keys
+     * @returns {array<Key>} the keys that match
+     */
+    _select(keys) {
+
+        keys = keys.filter((key)=>key.type != "function");
+        if(this.#fingerprint_keys === null) return keys;
+
+        let patterns = this.#fingerprint_keys.map((pattern) => Anomaly._key_pattern(pattern));
+        let includes = patterns.filter((p) => !p.exclude);
+        let excludes = patterns.filter((p) => p.exclude);
+        return keys.filter((key) => (includes.length == 0 || includes.some((p) => p.regex.test(key.fullname))) && !excludes.some((p) => p.regex.test(key.fullname)));
+    }
+
+    /**
+     * _require
+     * 
+     * Make sure every required key or pattern in `fingerprint_keys` matches something
+     * 
+     * @private
+     * @param {array<Key>} keys the keys
+     * @throws {Error} error if we can't find a specified key
+     */
+    _require(keys) {
+
+        let missing = (this.#fingerprint_keys ?? []).map((pattern) => Anomaly._key_pattern(pattern)).filter((p) => !p.exclude && !p.optional && !keys.some((key) => p.regex.test(key.fullname)));
+        if(missing.length > 0) throw new Error(`Unable to fingerprint - the following keys were not found: ${missing.map((p) => p.pattern).join(", ")}`);
+    }
+
+    /**
+     * _extract_params
+     * 
+     * @private
+     * @returns {object} the parameters for `KeyExtractor.extract()`, from the class's `max_key_depth`, `max_keys` and `non_enumerable_keys`
+     */
+    _extract_params() {
+
+        return { max_depth : this.constructor.max_key_depth, max_keys : this.constructor.max_keys, non_enumerable : this.constructor.non_enumerable_keys };
+    }
+
+    /**
+     * _merkle_params
+     * 
+     * @private
+     * @returns {object} the parameters for a new `Merkle` tree of our keys
+     */
+    _merkle_params() {
+
+        return { ...this._extract_params(), algorithm : this.constructor.hash_algorithm, select : (keys) => this._select(keys) };
+    }
+
+    /**
+     * _build
+     * 
+     * @private
+     * @param {object} snapshot the snapshot of the system
+     * @returns {Merkle} a new tree of our keys
+     * @throws {Error} error if we can't find a specified key, or the system exceeds the class's `max_key_depth` or `max_keys`
+     */
+    _build(snapshot) {
+
+        return this._tree(new Merkle(this._merkle_params()).build(snapshot));
+    }
+
+    /**
+     * _tree
+     * 
+     * Check a tree that was just built or updated.  The tree only holds the keys that matched `fingerprint_keys`, so a required key must be among them.
+     * 
+     * @private
+     * @param {Merkle} tree the tree
+     * @returns {Merkle} the tree
+     * @throws {Error} error if we can't find a specified key
+     */
+    _tree(tree) {
+
+        if(this.#fingerprint_keys !== null) {
+
+            let keys = tree.keys;
+            this._require(keys);
+            this._resolved("_tree()", keys);
+        }
+
+        this.log.debug(`_tree(): ${tree.root}`);
+        return tree;
+    }
+
+    /**
+     * _take
+     * 
+     * Take the fingerprint (and digest and tree, if we keep them) at a stage of action(), from one snapshot of the system
+     * 
+     * @private
+     * @param {string} stage "preaction" | "postaction"
+     * @param {object} system the system being analyzed
+     * @returns {Promise} resolves when they have been taken
+     */
+    async _take(stage, system) {
+
+        let snapshot = await this.snapshot(system);
+        if(this.constructor.merkle) {
+
+            // After a recorded action, we only need to rehash what the journal says changed
+            let base = (stage == "postaction" && this.#record_changes) ? this.#trees.preaction : null;
+            this.#trees[stage] = base ? this._tree(base.clone().update(snapshot, this._changes())) : this._build(snapshot);
+            this.#fingerprints[stage] = this.#trees[stage].root;
+
+        } else {
+
+            this.#fingerprints[stage] = this._fingerprint(snapshot);
+        }
+
+        if(this.#keep_digests) this.#digests[stage] = Diff.digest(this._keys(snapshot), this.constructor.hash_algorithm);
+    }
+
+    /**
+     * _changes
+     * 
+     * @private
+     * @returns {array<array<string>>} the paths the journal changed, for `Merkle.update()`
+     */
+    _changes() {
+
+        return this.#journal.map((entry) => entry.path.map((segment) => String(Recorder.decode(segment))));
+    }
+
+    /**
+     * _with_snapshot
+     * 
+     * Snapshot the system and pass the snapshot to a function, waiting for the snapshot only if it is a promise
+     * 
+     * @private
+     * @param {object} system the system being analyzed
+     * @param {function} fn `(snapshot) => result`
+     * @returns {any|Promise<any>} the result of fn (a promise if the snapshot is)
+     */
+    _with_snapshot(system, fn) {
+
+        return Anomaly._then(this.snapshot(system), fn);
+    }
+
+    /**
+     * _then
+     * 
+     * @private
+     * @param {any} value a value, or a promise of one
+     * @param {function} fn `(value) => result`
+     * @returns {any|Promise<any>} fn(value), or a promise of it if value is a promise
+     */
+    static _then(value, fn) {
+
+        return (typeof value?.then === "function") ? value.then(fn) : fn(value);
+    }
+
+    /**
+     * _snapshot_adapter
+     * 
+     * @private
+     * @param {object} system the system being analyzed
+     * @returns {function|null} the adapter registered for the system's class or the nearest class it extends, or null if there isn't one
+     */
+    static _snapshot_adapter(system) {
+
+        if(system === null || (typeof system !== "object" && typeof system !== "function")) return null;
+
+        for(let proto = Object.getPrototypeOf(system); proto; proto = Object.getPrototypeOf(proto)) {
+
+            let adapter = Anomaly.#adapters.get(proto.constructor);
+            if(adapter) return adapter;
+        }
+
+        return null;
+    }
+
+    /**
+     * _key_pattern
+     * 
+     * Parse an entry of `fingerprint_keys` (see fingerprint())
+     * 
+     * @private
+     * @param {string} pattern the key or pattern
+     * @returns {object} the parsed pattern: `{ pattern, regex, exclude, optional, prefix }` where `prefix` is the literal path before the first wildcard segment
+     * @throws {Error} if the pattern is invalid
+     */
+    static _key_pattern(pattern) {
+
+        if(typeof pattern !== "string") throw new Error("Invalid fingerprint key: " + pattern);
+
+        let exclude = pattern.startsWith("!");
+        let body = exclude ? pattern.slice(1) : pattern;
+        let optional = !exclude && body.endsWith("?") && !body.endsWith("\\?");
+        if(optional) body = body.slice(0, -1);
+        if(body === "") throw new Error("Invalid fingerprint key: " + pattern);
+
+        // JSON Pointers name a single key, so anything that looks like a wildcard is literal
+        if(body.startsWith("/")) body = Key.parse(body).map((segment) => Key.escape(segment).replace(/\*/g, "\\*")).join(".");
+
+        // Translate the wildcards.  Full names escape "." and "\" inside segments (and "/" at the start of one), so a segment character is anything but "." or an escape sequence
+        let quote = (c) => c.replace(/[\\^$.*|?+()[\]{}]/g, "\\$&");
+        let char = "(?:[^.\\\\]|\\\\.)";
+        let regex = "";
+        let segments = [{ text : "", wild : false }];
+        for(let i = 0; i < body.length;) {
+
+            let segment = segments[segments.length - 1];
+            if(body[i] == "\\") {
+
+                if(i + 1 == body.length) throw new Error("Invalid fingerprint key (ends with an escape): " + pattern);
+                let c = body[i + 1];
+                let text = (c == "." || c == "\\" || (c == "/" && segment.text == "")) ? "\\" + c : c;
+                regex += quote(text); segment.text += text; i += 2;
+            }
+            else if(body.startsWith("**.", i) && segment.text == "" && !segment.wild) { regex += `(?:${char}*\\.)*`; segment.wild = true; segments.push({ text : "", wild : false }); i += 3; }
+            else if(body.startsWith("**", i)) { regex += ".*"; segment.wild = true; i += 2; }
+            else if(body[i] == "*") { regex += `${char}*`; segment.wild = true; i++; }
+            else if(body[i] == ".") { regex += "\\."; segments.push({ text : "", wild : false }); i++; }
+            else { regex += quote(body[i]); segment.text += body[i]; i++; }
+        }
+
+        let literal = segments.findIndex((segment) => segment.wild);
+        let prefix = segments.slice(0, literal == -1 ? segments.length : literal).map((segment) => segment.text).join(".");
+
+        return { pattern : pattern, regex : new RegExp("^" + regex + "$"), exclude : exclude, optional : optional, prefix : prefix };
+    }
+
+    /**
+     * _limit
+     * 
+     * Run an underscore method with a timeout and abort signal.  The method is passed a copy of `opts` whose `.signal` aborts when `opts.signal` does, or when the timeout expires.
+     * The timeout is the shorter of the class's `timeout` and `opts.timeout`.  If the signal aborts, we throw straight away rather than waiting for the method to notice.
+     * 
+     * @private
+     * @param {string} activity the activity, for error messages
+     * @param {object} opts arbitrary options, optionally with `.signal` (an AbortSignal) and `.timeout` (in milliseconds)
+     * @param {function} fn the method to call, `(opts) => any` (it may return a promise, or not)
+     * @returns {Promise<any>} whatever fn returns (or resolves to)
+     * @throws {TimeoutARError} if the timeout expires
+     * @throws {Error} the signal's abort reason, if it aborts
+     */
+    async _limit(activity, opts, fn) {
+
+        let timeout = [this.constructor.timeout, opts?.timeout].filter((t) => typeof t === "number" && t > 0).reduce((a, b) => Math.min(a, b), Infinity);
+        let outer = opts?.signal;
+        if(timeout === Infinity && !outer) return await fn(opts);
+
+        outer?.throwIfAborted();
+        let controller = new AbortController();
+        let forward = () => controller.abort(outer.reason);
+        let timer = null;
+
+        try {
+
+            outer?.addEventListener("abort", forward, { once : true });
+            timer = (timeout !== Infinity) ? setTimeout(() => controller.abort(new Errors.TimeoutARError(`${activity}() timed out after ${timeout}ms`)), timeout) : null;
+
+            // fn may be sync, and may throw; either way we get a promise.  Whichever of the two loses the race has nobody left to handle its rejection.
+            let aborted = new Promise((resolve, reject) => controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once : true }));
+            let running = Promise.resolve().then(() => fn({ ...opts, signal : controller.signal }));
+            aborted.catch(() => {});
+            running.catch(() => {});
+
+            return await Promise.race([running, aborted]);
+
+        } finally {
+
+            clearTimeout(timer);
+            outer?.removeEventListener("abort", forward);
+        }
+    }
+
+    /**
+     * _verdict
+     * 
+     * Normalize and check a verdict
+     * 
+     * @private
+     * @param {string|object} verdict the verdict, e.g. "success" or { verdict: "partial", score: 0.5 }
+     * @returns {object} the verdict as `{ verdict, score, notes, retry }`
+     * @throws {Error} if the verdict is invalid
+     */
+    static _verdict(verdict) {
+
+        if(typeof verdict === "string") verdict = { verdict : verdict };
+        if(typeof verdict !== "object") throw new Error("Invalid verdict: " + verdict);
+        if(!["success", "failure", "partial"].includes(verdict.verdict)) throw new Error("Invalid verdict: " + verdict.verdict);
+        if(verdict.score !== undefined && verdict.score !== null && typeof verdict.score !== "number") throw new Error("Invalid verdict score: " + verdict.score);
+        if(verdict.notes !== undefined && verdict.notes !== null && typeof verdict.notes !== "string") throw new Error("Invalid verdict notes: " + verdict.notes);
+
+        return { verdict : verdict.verdict, score : verdict.score ?? null, notes : verdict.notes ?? null, retry : verdict.retry ?? false };
+    }
+
+    /**
+     * _recordable
+     * 
+     * Get the system to pass to _action().  If we are recording changes, this is a recording proxy of the snapshot and a fresh journal is started.
+     * 
+     * @private
+     * @param {object} system the system being analyzed
+     * @returns {Promise<object>} the system, or a recording proxy of its snapshot
+     */
+    async _recordable(system) {
+
+        if(!this.#record_changes) return system;
+
+        this.#journal = [];
+        return new Recorder(this.#journal).wrap(await this.snapshot(system));
+    }
+
+    /**
+     * _drift
+     * 
+     * Explain a fingerprint mismatch by comparing a kept digest to the current system
+     * 
+     * @private
+     * @param {string} expected the kept digest to compare against, "preaction" | "postaction"
+     * @param {object} system the system being analyzed
+     * @returns {Promise<Diff|null>} the differences, or null if no digest was kept
+     */
+    async _drift(expected, system) {
+
+        if(!this.#digests[expected]) return null;
+
+        let diff = Diff.compare(this.#digests[expected], await this.digest(system));
+        this.log.error(`_drift(): system differs from ${expected} digest - ${diff}`);
+        return diff;
+    }
+
+    /**
+     * _log_type    
+     * 
+     * @private
+     * @param {string} type one of debug, info, warn, error
+     * @param {string} message the message to log
+     * @param {object} [context] context fields to keep with the message, e.g. `{ attempt : 2, stack : err.stack }`.  The current phase is added for you.
+     * @fires Anomaly#log
+     */
+    _log_type(type, message, context = {}) {
+
+        let entry = {
+            timestamp : (new Date()).toISOString(),
+            type : type,
+            message : message
+        };
+
+        // Only keep the context fields we have, to keep the history small
+        context = Object.fromEntries(Object.entries({ phase : this.#phase ?? undefined, ...context }).filter(([key, value]) => value !== undefined && value !== null));
+        if(Object.keys(context).length) entry.context = context;
+        if(this.#correlation_id !== null) entry.correlation_id = this.#correlation_id;
+
+        // Save to our internal log
+        this.#log.push(entry);
+        this._retain();
+
+        /**
+         * @event Anomaly#log
+         * @type {object}
+         * @property {Anomaly} anomaly the anomaly report
+         * @property {string} type the type of log message
+         * @property {string} message the message
+         * @property {object} context the context fields (see `.history`)
+         * @property {string|null} correlation_id the correlation id, if there is one
+         * @property {string} timestamp when the message was logged
+        */
+        this.emit("log", { anomaly: this, type: type, message: message, context: entry.context ?? {}, correlation_id: entry.correlation_id ?? null, timestamp: entry.timestamp });
+    }
+
+    /**
+     * Log levels, lowest first
+     * 
+     * @private
+     * @return {array<string>} the levels
+     */
+    static get _levels() {
+
+        return ["debug", "info", "warn", "error"];
+    }
+
+    /**
+     * Apply the class's history_retention to the log
+     * 
+     * @private
+     * @throws {Error} if history_retention is invalid
+     */
+    _retain() {
+
+        let retention = this.constructor.history_retention ?? {};
+        for(let policy of ["max_entries", "max_age", "errors_only_after"]) {
+
+            let value = retention[policy] ?? null;
+            if(value !== null && (!Number.isInteger(value) || value < 0)) throw new Error(`Invalid history_retention.${policy}: ${value}`);
+        }
+
+        let log = this.#log;
+
+        // The log is in order, so old entries are all at the start
+        if((retention.max_age ?? null) !== null) {
+
+            let oldest = Date.now() - retention.max_age;
+            let first = log.findIndex((entry) => !(Date.parse(entry.timestamp) < oldest));
+            log = first == -1 ? [] : log.slice(first);
+        }
+
+        if((retention.errors_only_after ?? null) !== null && log.length > retention.errors_only_after) {
+
+            let cut = log.length - retention.errors_only_after;
+            log = [...log.slice(0, cut).filter((entry) => entry.type == "error"), ...log.slice(cut)];
+        }
+
+        if((retention.max_entries ?? null) !== null && log.length > retention.max_entries) log = log.slice(log.length - retention.max_entries);
+
+        if(log.length != this.#log.length) this.#log = log;
+    }
+
+    /**
+     * Run a phase, so that entries logged during it have the phase in their context
+     * 
+     * @private
+     * @param {string} phase the phase, "action" | "revert" | "evaluate"
+     * @param {function} fn `async () => result` the phase
+     * @return {Promise<any>} the result of fn
+     */
+    async _in_phase(phase, fn) {
+
+        let previous = this.#phase;
+        this.#phase = phase;
+        try {
+
+            return await fn();
+
+        } finally {
+
+            this.#phase = previous;
+        }
+    }
+
+    /**
+     * state (setter)
+     * 
+     * Set the state of the anomaly report
+     * 
+     * @private
+     * @param {string} state the new state
+     * @throws {FatalARError} if the state is not allowed, or `transitions` doesn't allow moving to it from the current state
+     * @fires AnomalyReport#state
+     */
+    set _state(state) {
 
         // Check if the state is allowed
-        if ( !Anomaly.allowed_states.includes(state) ) throw new Errors.FatalARError(`State ${state} is not allowed`);
+        if ( !this.constructor.allowed_states.includes(state) ) throw new Errors.FatalARError(`State ${state} is not allowed`);
 
         // Check if we are already in this state
         if ( this.#state === state ) return;
 
+        // Check the move is allowed
+        if ( !(this.constructor.transitions[this.#state] ?? []).includes(state) ) throw new Errors.FatalARError(`Illegal state transition from ${this.#state} to ${state}`);
+
         this.log.debug(`_state: changing state from ${this.state} to ${state}`);
         let old_state = this.#state;
         this.#state = state; 
@@ -0,0 +1,382 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const Processor = require("./Processor.js");
+
+/**
+ * Cli
+ *
+ * The `gnomalies` command.  It loads a system from a JSON file (or stdin) and anomaly classes from a module, and runs one command against them:
+ *
+ * - `detect` adds the anomalies it finds to the queue
+ * - `plan` shows what detecting and processing would change, without changing anything
+ * - `process` processes the queue (after detecting, with `--detect`)
+ * - `revert` undoes every anomaly in the queue that was actioned
+ *
+ * The queue is kept in a `--state` file written with `Processor.serialize()`, and the modified system is written back to its file (or to `--output`).
+ * The exit code is 0 if nothing needs attention, 1 if any anomaly is paused or dirty (or, for `plan`, would fail), and 2 on error.
+ *
+ * @alias module:Gnomalies.Cli
+ */
+class Cli {
+
+    #stdin;
+    #stdout;
+    #stderr;
+    #cwd;
+
+    /**
+     * Constructor
+     *
+     * @param {object} [params] parameters for this object
+     * @param {stream.Readable} [params.stdin = process.stdin] where to read the system from when there is no `--system` file
+     * @param {stream.Writable} [params.stdout = process.stdout] where to write output
+     * @param {stream.Writable} [params.stderr = process.stderr] where to write errors (and output, when the system is written to stdout)
+     * @param {string} [params.cwd = process.cwd()] the directory paths are relative to
+     */
+    constructor(params = {}) {
+
+        this.#stdin = params?.stdin ?? process.stdin;
+        this.#stdout = params?.stdout ?? process.stdout;
+        this.#stderr = params?.stderr ?? process.stderr;
+        this.#cwd = params?.cwd ?? process.cwd();
+    }
+
+    /**
+     * The commands
+     *
+     * @return {array<string>} the command names
+     */
+    static get commands() { return ["detect", "plan", "process", "revert"]; }
+
+    /**
+     * Usage
+     *
+     * @return {string} the help text
+     */
+    static get usage() {
+
+        return [
+            "Usage: gnomalies <detect|plan|process|revert> --classes <module> [options]",
+            "",
+            "Commands:",
+            "  detect             detect anomalies and add them to the queue",
+            "  plan               show what detecting and processing would change, without changing anything",
+            "  process            process the queue (use --detect to detect first)",
+            "  revert             revert every anomaly in the queue that was actioned",
+            "",
+            "Options:",
+            "  -c, --classes <module>   module that exports the anomaly classes (a class, an array or an object of them)",
+            "  -s, --system <file>      JSON file to load the system from (default: stdin)",
+            "  -o, --output <file>      where to write the modified system (default: the --system file, - for stdout)",
+            "      --state <file>       file to keep the queue in, between runs (written with Processor.serialize())",
+            "      --detect             with process, detect anomalies before processing",
+            "      --json               write JSON instead of text",
+            "  -h, --help               show this help",
+            "",
+            "Exits with 0 if nothing needs attention, 1 if any anomaly is paused or dirty, and 2 on error."
+        ].join("\n") + "\n";
+    }
+
+    /**
+     * Run a command
+     *
+     * @param {array<string>} argv the arguments, e.g. `process.argv.slice(2)`
+     * @return {Promise<number>} the exit code
+     */
+    async run(argv) {
+
+        let options;
+        try {
+
+            options = this._options(argv);
+
+        } catch(e) {
+
+            this.#stderr.write(`gnomalies: ${e.message}\n\n${Cli.usage}`);
+            return 2;
+        }
+
+        if(options.help) {
+
+            this.#stdout.write(Cli.usage);
+            return 0;
+        }
+
+        try {
+
+            let output = options.output ?? (options.system == "-" ? null : options.system);
+            let writes = ["process", "revert"].includes(options.command);
+            if(writes && output === null) throw new Error("--output is required when the system is read from stdin");
+
+            let processor = new Processor(this._classes(options.classes));
+            let system = this._parse(await this._read(options.system));
+            if(options.state !== undefined && fs.existsSync(this._path(options.state))) processor.deserialize(fs.readFileSync(this._path(options.state), "utf8"));
+
+            let result = await this[`_${options.command}`](processor, system, options);
+
+            if(writes) this._write(output, JSON.stringify(system, null, 2) + "\n");
+            if(options.command != "plan" && options.state !== undefined) this._write(options.state, processor.anomalies.length ? processor.serialize() + "\n" : "");
+
+            let out = (writes && output == "-") ? this.#stderr : this.#stdout;
+            out.write(options.json ? JSON.stringify({ command : options.command, ok : result.ok, ...result.json }, null, 2) + "\n" : result.text);
+            return result.ok ? 0 : 1;
+
+        } catch(e) {
+
+            this.#stderr.write(`gnomalies: ${e.message}\n`);
+            return 2;
+        }
+    }
+
+
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * Detect
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @param {object} system the system
+     * @return {Promise<object>} `{ ok, text, json }`
+     */
+    async _detect(processor, system) {
+
+        let before = processor.anomalies.length;
+        await processor.detect(system);
+        let found = processor.anomalies.slice(before);
+
+        let text = found.length ? [`Detected ${found.length} ${found.length == 1 ? "anomaly" : "anomalies"}:`, ...found.map((anomaly) => `  ${Cli._describe(anomaly)}`)] : ["Detected nothing."];
+        text.push(this._summary(processor));
+
+        return {
+            ok : Cli._ok(processor),
+            text : text.join("\n") + "\n",
+            json : { detected : found.map((anomaly) => ({ id : anomaly.id, name : anomaly.name, description : anomaly.description })), anomalies : processor.anomalies.length }
+        };
+    }
+
+    /**
+     * Plan
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @param {object} system the system
+     * @return {Promise<object>} `{ ok, text, json }`
+     */
+    async _plan(processor, system) {
+
+        let plan = await processor.plan(system);
+        let value = (v) => v === undefined ? "" : JSON.stringify(v);
+
+        let text = [];
+        for (let step of plan.steps) {
+
+            text.push(Cli._describe(step.anomaly));
+            if(step.skipped) text.push("  skipped: depends on an anomaly that would fail");
+            else if(step.error) text.push(`  error: ${step.error}`);
+            else if(step.changes.length == 0) text.push("  no changes");
+            for (let change of step.changes) text.push(`  ${change.change} ${change.path}` + (change.change == "changed" ? `: ${value(change.before)} -> ${value(change.after)}` : change.change == "added" ? `: ${value(change.after)}` : ""));
+        }
+        if(plan.steps.length == 0) text.push("Nothing to do.");
+
+        return {
+            ok : plan.steps.every((step) => !step.error && !step.skipped),
+            text : text.join("\n") + "\n",
+            json : { steps : plan.steps.map((step) => ({ id : step.anomaly.id, name : step.name, changes : step.changes, error : step.error, skipped : step.skipped })) }
+        };
+    }
+
+    /**
+     * Process
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @param {object} system the system
+     * @param {object} options the options
+     * @return {Promise<object>} `{ ok, text, json }`
+     */
+    async _process(processor, system, options) {
+
+        if(options.detect) await processor.detect(system);
+        await processor.process(system);
+        return this._reported(processor, "gnomalies process");
+    }
+
+    /**
+     * Revert
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @param {object} system the system
+     * @return {Promise<object>} `{ ok, text, json }`
+     */
+    async _revert(processor, system) {
+
+        await processor.revert(system);
+        return this._reported(processor, "gnomalies revert");
+    }
+
+    /**
+     * Output for a command that leaves a report
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @param {string} title the report title
+     * @return {object} `{ ok, text, json }`
+     */
+    _reported(processor, title) {
+
+        return { ok : Cli._ok(processor), text : processor.report.to_markdown({ title : title }), json : { report : processor.report.toJSON() } };
+    }
+
+    /**
+     * Parse the arguments
+     *
+     * @private
+     * @param {array<string>} argv the arguments
+     * @return {object} the options, with the command in `.command`
+     * @throws {Error} if the arguments are invalid
+     */
+    _options(argv) {
+
+        let { values, positionals } = parseArgs({
+            args : argv,
+            allowPositionals : true,
+            options : {
+                classes : { type : "string", short : "c" },
+                system : { type : "string", short : "s", default : "-" },
+                output : { type : "string", short : "o" },
+                state : { type : "string" },
+                detect : { type : "boolean", default : false },
+                json : { type : "boolean", default : false },
+                help : { type : "boolean", short : "h", default : false }
+            }
+        });
+
+        if(values.help) return values;
+        if(positionals.length != 1 || !Cli.commands.includes(positionals[0])) throw new Error(positionals.length ? `Unknown command: ${positionals.join(" ")}` : "No command given");
+        if(values.classes === undefined) throw new Error("--classes is required");
+
+        return { ...values, command : positionals[0] };
+    }
+
+    /**
+     * Load anomaly classes from a module
+     *
+     * @private
+     * @param {string} file the module path
+     * @return {array<Anomaly>} the classes, in the order the module exports them
+     * @throws {Error} if the module can't be loaded or doesn't export any classes
+     */
+    _classes(file) {
+
+        let exported = require(this._path(file));
+        let candidates = typeof exported === "function" ? [exported] : Array.isArray(exported) ? exported : Object.values(exported ?? {});
+
+        // Don't use instanceof - the module may have its own copy of this library
+        let classes = candidates.filter((candidate) => typeof candidate === "function" && typeof candidate.detect === "function" && typeof candidate.prototype?.action === "function");
+        if(classes.length == 0) throw new Error(`No anomaly classes exported by ${file}`);
+
+        return classes;
+    }
+
+    /**
+     * Read a file, or stdin
+     *
+     * @private
+     * @param {string} file the path, or "-" for stdin
+     * @return {Promise<string>} the contents
+     */
+    async _read(file) {
+
+        if(file != "-") return fs.readFileSync(this._path(file), "utf8");
+
+        let chunks = [];
+        for await (let chunk of this.#stdin) chunks.push(Buffer.from(chunk));
+        return Buffer.concat(chunks).toString("utf8");
+    }
+
+    /**
+     * Parse a system
+     *
+     * @private
+     * @param {string} text the JSON
+     * @return {object} the system
+     * @throws {Error} if the JSON is invalid
+     */
+    _parse(text) {
+
+        try { return JSON.parse(text); } catch(e) { throw new Error("Unable to parse system: " + e.message); }
+    }
+
+    /**
+     * Write a file (replacing it in one go, so a crash can't leave it half written), or stdout
+     *
+     * @private
+     * @param {string} file the path, or "-" for stdout
+     * @param {string} data the contents
+     */
+    _write(file, data) {
+
+        if(file == "-") return this.#stdout.write(data);
+
+        let target = this._path(file);
+        let temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, data);
+        fs.renameSync(temp, target);
+    }
+
+    /**
+     * Resolve a path against our working directory
+     *
+     * @private
+     * @param {string} file the path
+     * @return {string} the absolute path
+     */
+    _path(file) {
+
+        return path.resolve(this.#cwd, file);
+    }
+
+    /**
+     * Summarize the queue
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @return {string} the summary
+     */
+    _summary(processor) {
+
+        let anomalies = processor.anomalies;
+        return `${anomalies.length} queued, ${anomalies.filter((anomaly) => anomaly.paused).length} paused, ${anomalies.filter((anomaly) => anomaly.dirty).length} dirty.`;
+    }
+
+    /**
+     * Does the queue need attention?
+     *
+     * @private
+     * @param {Processor} processor the processor
+     * @return {boolean} true if no anomaly is paused or dirty
+     */
+    static _ok(processor) {
+
+        return !processor.anomalies.some((anomaly) => anomaly.paused || anomaly.dirty);
+    }
+
+    /**
+     * Describe an anomaly in one line
+     *
+     * @private
+     * @param {Anomaly} anomaly the anomaly
+     * @return {string} the description
+     */
+    static _describe(anomaly) {
+
+        return `${anomaly.name} (${anomaly.id})` + (anomaly.description ? `: ${anomaly.description}` : "");
+    }
+}
+
+module.exports = exports = Cli;
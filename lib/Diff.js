@@ -0,0 +1,127 @@
+const Merkle = require("./Merkle");
+
+/**
+ * Diff
+ *
+ * A key-level comparison between two digests (see `Diff.digest()`).  Reports the full names of keys that were added, removed or changed.
+ *
+ * @alias module:Gnomalies.Diff
+ */
+class Diff {
+
+    #added;
+    #removed;
+    #changed;
+
+    /**
+     * Constructor
+     *
+     * @param {object} [params] parameters for this object
+     * @param {array<string>} [params.added = []] full names of keys that are present only in the second digest
+     * @param {array<string>} [params.removed = []] full names of keys that are present only in the first digest
+     * @param {array<string>} [params.changed = []] full names of keys that are present in both digests with different values
+     */
+    constructor(params = {}) {
+
+        this.#added = params?.added ?? [];
+        this.#removed = params?.removed ?? [];
+        this.#changed = params?.changed ?? [];
+    }
+
+    /**
+     * Create a digest from a list of keys
+     *
+     * A digest is an object with no prototype that maps each key's full name to a hash of its canonical encoding (see `Key.canonical`), which includes its type.
+     * Having no prototype means keys like "__proto__" and "constructor" are stored like any other.
+     *
+     * @param {array<Key>} keys the keys to digest
+     * @param {string} [algorithm = "sha256"] the hash algorithm (see `Merkle.hash()`)
+     * @return {object} the digest
+     * @throws {Error} if the algorithm is not supported
+     */
+    static digest(keys, algorithm = "sha256") {
+
+        if(!Array.isArray(keys)) throw new Error("'keys' parameter must be an array");
+
+        let digest = Object.create(null);
+        for(let key of keys) {
+
+            digest[key.fullname] = Merkle.hash(JSON.stringify(key.canonical), algorithm);
+        }
+
+        return digest;
+    }
+
+    /**
+     * Compare two digests
+     *
+     * @param {object} before the first digest
+     * @param {object} after the second digest
+     * @return {Diff} the differences between the two digests
+     * @throws {Error} if either digest is not an object
+     */
+    static compare(before, after) {
+
+        if(typeof before !== "object" || before === null) throw new Error("'before' parameter must be a digest");
+        if(typeof after !== "object" || after === null) throw new Error("'after' parameter must be a digest");
+
+        let added = Object.keys(after).filter((name) => !Object.hasOwn(before, name)).sort();
+        let removed = Object.keys(before).filter((name) => !Object.hasOwn(after, name)).sort();
+        let changed = Object.keys(before).filter((name) => Object.hasOwn(after, name) && before[name] != after[name]).sort();
+
+        return new Diff({ added: added, removed: removed, changed: changed });
+    }
+
+    get [Symbol.toStringTag]() { return `Diff { ${this.toString()} }`; }
+
+    /**
+     * Full names of keys that were added
+     *
+     * @return {array<string>} the added keys
+     */
+    get added() { return this.#added; }
+
+    /**
+     * Full names of keys that were removed
+     *
+     * @return {array<string>} the removed keys
+     */
+    get removed() { return this.#removed; }
+
+    /**
+     * Full names of keys whose values changed
+     *
+     * @return {array<string>} the changed keys
+     */
+    get changed() { return this.#changed; }
+
+    /**
+     * Is this diff empty?
+     *
+     * @return {boolean} true if nothing was added, removed or changed
+     */
+    get empty() { return this.#added.length == 0 && this.#removed.length == 0 && this.#changed.length == 0; }
+
+    /**
+     * toJSON
+     *
+     * @return {object} the JSON-ized object
+     */
+    toJSON() {
+
+        return { added: this.#added, removed: this.#removed, changed: this.#changed };
+    }
+
+    /**
+     * Human readable summary, e.g. "added: a.b; removed: (none); changed: c"
+     *
+     * @return {string} the summary
+     */
+    toString() {
+
+        let list = (names) => names.length ? names.join(", ") : "(none)";
+        return `added: ${list(this.#added)}; removed: ${list(this.#removed)}; changed: ${list(this.#changed)}`;
+    }
+}
+
+module.exports = exports = Diff;
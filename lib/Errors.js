@@ -47,8 +47,72 @@ class FatalARError extends ARError {
     }
 }
 
+/**
+ * TimeoutARError
+ * 
+ * Thrown when an anomaly's action, revert or evaluation takes longer than its timeout.  This is fatal: the anomaly will be reverted and paused rather than retried.
+ * 
+ * @alias module:AnomalyReports.TimeoutError
+ */
+class TimeoutARError extends FatalARError {
+
+    /**
+     * @constructor
+     * 
+     * @param {string} message the error message
+     */
+    constructor(message) {
+        super(message); 
+    }
+}
+
+/**
+ * EvaluationARError
+ * 
+ * Thrown by evaluate() when _evaluate() returns a "failure" verdict.  It is nominal (and so can be retried) if the verdict asked for a retry, and fatal otherwise.
+ * 
+ * @alias module:AnomalyReports.EvaluationError
+ */
+class EvaluationARError extends ARError {
+
+    /**
+     * @constructor
+     * 
+     * @param {string} message the error message
+     * @param {object} verdict the verdict, `{ verdict, score, notes, retry }`
+     */
+    constructor(message, verdict) {
+        super(message, verdict?.retry ? "nominal" : "fatal"); 
+        this.verdict = verdict;
+    }
+}
+
+/**
+ * FingerprintError
+ * 
+ * Thrown when the system's fingerprint does not match what we expected during a reversion.  If digests were kept, `.diff` shows which keys drifted.
+ * 
+ * @alias module:AnomalyReports.FingerprintError
+ */
+class FingerprintError extends FatalARError {
+
+    /**
+     * @constructor
+     * 
+     * @param {string} message the error message
+     * @param {Diff} [diff = null] the key-level differences between the expected and actual system, or null if unknown
+     */
+    constructor(message, diff = null) {
+        super(message); 
+        this.diff = diff;
+    }
+}
+
 module.exports = exports = {
 
     NominalARError : NominalARError,
-    FatalARError : FatalARError
+    FatalARError : FatalARError,
+    TimeoutARError : TimeoutARError,
+    EvaluationARError : EvaluationARError,
+    FingerprintError : FingerprintError
 };
\ No newline at end of file
@@ -1,40 +1,60 @@
-
 /**
  * Key
  * 
  * A rich representation of a key extracted from an object
+ * 
+ * Key paths are written as segments joined by ".", with any dot or backslash inside a segment escaped with a backslash: `{ "a.b" : { c : 1 } }` has the key `a\.b.c`.
+ * They can also be written as RFC 6901 JSON Pointers, e.g. `/a.b/c`, so a "/" at the start of a segment is escaped too: `{ "/a" : 1 }` has the key `\/a`.
+ * 
+ * @alias module:Gnomalies.Key
  */
 class Key {
 
     #name;
     #type;
-    #path;
+    #parents;       // Unescaped segments of the parent path
     #value;
+    #fullname;
 
     /**
      * Constructor
      * 
-     * @param {string} name the name of the key
+     * @param {string} name the name of the key (unescaped)
      * @param {string} type the type of thing pointed to by the key
-     * @param {string} [path = null] the parent path
+     * @param {string|array<string>} [path = null] the parent path, either as an escaped path or an array of (unescaped) segments
      * @param {any} [value = null] the value of the key
      */
     constructor(name, type, path = null, value = null) {
 
-        this.#name = name;
+        this.#name = String(name);
         this.#type = type;
-        this.#path = path ?? "";
+        this.#parents = Array.isArray(path) ? path.map(String) : Key.parse(path ?? "");
         this.#value = value;
+        this.#fullname = Key.join(this.segments);
     }
 
     get [Symbol.toStringTag]() { return `'${this.fullname}' -> ${this.type}`; }
 
     /**
-     * Get the full name (path) of the key, e.g. "a.b.0.name"
+     * Get the full name (escaped path) of the key, e.g. "a.b.0.name"
      * 
      * @return {string} the full name of the key
      */
-    get fullname() { return this.#path ? this.#path + "." + this.#name :  this.#name; }
+    get fullname() { return this.#fullname; }
+
+    /**
+     * Get the full name of the key as an RFC 6901 JSON Pointer, e.g. "/a/b/0/name"
+     * 
+     * @return {string} the JSON Pointer
+     */
+    get pointer() { return Key.pointer(this.segments); }
+
+    /**
+     * Get the (unescaped) segments of the key's full name, e.g. ["a", "b", "0", "name"]
+     * 
+     * @return {array<string>} the segments
+     */
+    get segments() { return [...this.#parents, this.#name]; }
 
     /**
      * Get the name of the key, e.g. "name"
@@ -53,9 +73,9 @@ class Key {
     /**
      * Get the path of the key, but not its own name: e.g. "a.b.0"
      * 
-     * @return {string} the path of the key
+     * @return {string} the (escaped) path of the key
      */
-    get path() { return this.#path; }
+    get path() { return Key.join(this.#parents); }
 
     /**
      * Get the value pointed at by the key (if any) in the original object
@@ -64,6 +84,13 @@ class Key {
      */
     get value() { return this.#value; }
 
+    /**
+     * Get the canonical, type-tagged encoding of the value, e.g. `["bigint", "1"]` (see `KeyExtractor.encode()`)
+     * 
+     * @return {array} the JSON-safe encoding
+     */
+    get canonical() { return KeyExtractor.encode(this.#value, this.#type); }
+
     /**
      * Can this type have keys?
      * 
@@ -73,8 +100,79 @@ class Key {
     get can_have_keys() { return this.#type == "object" || this.#type == "array" || this.#type == "map" || this.#type == "set"; }
 
     /**
-     * Compare two keys (for sorting).  This is just a string comparison of `.fullname`.
-     * Future work could be to make this sort number-like array elements numerically, e.g. "a.b.2" should be before "a.b.10"
+     * Escape a segment for use in a path
+     * 
+     * @param {string} segment the segment
+     * @return {string} the segment with backslashes, dots and a leading "/" escaped (so that a path starting with it isn't read as a JSON Pointer)
+     */
+    static escape(segment) {
+
+        return String(segment).replace(/[\\.]|^\//g, "\\$&");
+    }
+
+    /**
+     * Join segments into an escaped path
+     * 
+     * @param {array<string>} segments the (unescaped) segments
+     * @return {string} the path, e.g. `a\.b.c`
+     */
+    static join(segments) {
+
+        return segments.map((segment) => Key.escape(segment)).join(".");
+    }
+
+    /**
+     * Split a path into segments
+     * 
+     * Paths starting with "/" are treated as JSON Pointers.  Anything else is an escaped path, where a backslash makes the next character part of the segment.
+     * 
+     * @param {string} path the path, e.g. `a\.b.c` or `/a.b/c`
+     * @return {array<string>} the (unescaped) segments, e.g. ["a.b", "c"]
+     * @throws {Error} if the path is not a string or is badly escaped
+     */
+    static parse(path) {
+
+        if(typeof path !== "string") throw new Error("Invalid path: " + path);
+        if(path === "") return [];
+
+        if(path.startsWith("/")) {
+
+            return path.slice(1).split("/").map((segment) => {
+
+                if(/~[^01]|~$/.test(segment)) throw new Error("Invalid JSON Pointer: " + path);
+                return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+            });
+        }
+
+        let segments = [""];
+        for(let i = 0; i < path.length; i++) {
+
+            if(path[i] == "\\") {
+
+                if(++i == path.length) throw new Error("Invalid path (ends with an escape): " + path);
+                segments[segments.length - 1] += path[i];
+            }
+            else if(path[i] == ".") segments.push("");
+            else segments[segments.length - 1] += path[i];
+        }
+
+        return segments;
+    }
+
+    /**
+     * Build an RFC 6901 JSON Pointer from segments
+     * 
+     * @param {array<string>} segments the (unescaped) segments
+     * @return {string} the JSON Pointer, e.g. "/a.b/c"
+     */
+    static pointer(segments) {
+
+        return segments.map((segment) => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+    }
+
+    /**
+     * Compare two keys (for sorting).  Keys are compared segment by segment, so parents sort before their children.
+     * Segments that are both array indices (non-negative integers) are compared numerically, so "a.b.2" sorts before "a.b.10".  Other segments are compared as strings.
      * 
      * @param {Key} a the first key
      * @param {Key} b the second key
@@ -85,11 +183,35 @@ class Key {
         if (a.constructor.name != "Key") throw new Error("a is not a Key");
         if (b.constructor.name != "Key") throw new Error("b is not a Key");
 
-        if (a.fullname < b.fullname) return -1;
-        if (a.fullname > b.fullname) return 1;
+        let x = a.segments, y = b.segments;
+        for (let i = 0; i < Math.min(x.length, y.length); i++) {
+
+            let order = Key._compare_segments(x[i], y[i]);
+            if (order != 0) return order;
+        }
+
+        if (x.length < y.length) return -1;
+        if (x.length > y.length) return 1;
         return 0;
     }
 
+    /**
+     * Compare two path segments, numerically if both are array indices
+     * 
+     * @private
+     * @param {string} a the first segment
+     * @param {string} b the second segment
+     * @return {number} -1 if a < b, 0 if a == b, 1 if a > b
+     */
+    static _compare_segments(a, b) {
+
+        if (a == b) return 0;
+
+        let index = /^(0|[1-9][0-9]*)$/;
+        if (index.test(a) && index.test(b)) return Number(a) < Number(b) ? -1 : 1;
+        return a < b ? -1 : 1;
+    }
+
     /**
      * Compare another key to this key
      * 
@@ -108,27 +230,117 @@ class Key {
  * KeyExtractor
  * 
  * Extract all keys from an object
+ * 
+ * @alias module:Gnomalies.KeyExtractor
  */
 
 class KeyExtractor {
 
+    static #encoders = new Map();     // Type name -> { test, encode }
+
     /**
      * Extract all keys from an object
      * 
-     * This function extracts a set of deep keys (like "a.b.0.name") from a nested collection of objects, arrays, Maps and Sets.  
+     * This function extracts a set of deep keys (like "a.b.0.name") from a nested collection of objects, arrays, Maps and Sets.  Dots and backslashes in key names are escaped (see `Key`).
      * Map and Set are converted to Object and Array, respectively, before processing.  This results in map keys being stringified.  
      * In other words, the keys "0" and 0 are not distinguishable in the result of this function.
      * 
+     * Circular references are not followed.  A reference back to a parent (or to `obj` itself) becomes a key of type "ref", whose value is `{ $ref : pointer }` where `pointer` is
+     * the JSON Pointer of the parent ("" for `obj`).  Objects that are referenced more than once without forming a cycle are extracted each time they appear.
+     * 
+     * Dates, BigInts, Buffers ("buffer"), TypedArrays, ArrayBuffers and values of types registered with `register()` are leaves: their keys are typed accordingly and not walked.
+     * Properties with Symbol keys are extracted too; their names are the symbol's string form, e.g. "Symbol(id)".
+     * 
      * @param {Object} obj an array, map, set, or object whose paths need extraction
+     * @param {object} [params] parameters for the extraction
+     * @param {number|null} [params.max_depth = 1000] the most segments a key may have, or null for no limit
+     * @param {number|null} [params.max_keys = null] the most keys that may be extracted, or null for no limit
+     * @param {boolean} [params.non_enumerable = false] whether to extract non-enumerable properties of objects (other than array lengths) as well
      * @returns {array<Key>} an array of keys
+     * @throws {Error} if obj can't have keys, a parameter is invalid, or a limit is exceeded
      */
-    static extract(obj) {
+    static extract(obj, params = {}) {
 
         let keys = [];
-        this._extract(obj, keys);
+        this._extract(obj, keys, null, this._context(params));
         return keys;
     }
 
+    /**
+     * Register an encoder for a value type
+     * 
+     * Values that pass `test` are treated as leaves of type `name`, and `encode` gives their canonical encoding (which is used for fingerprints and digests).
+     * Encoders are tried in the order they were registered, before the built-in types.  Registering a name again replaces its encoder.
+     * 
+     * @example
+     * KeyExtractor.register("decimal", (value) => value instanceof Decimal, (value) => value.toFixed());
+     * 
+     * @param {string} name the type name, e.g. "decimal"
+     * @param {function} test `(value) => boolean`, true if the value is of this type
+     * @param {function} encode `(value) => any`, the value as something JSON-safe
+     * @throws {Error} if a parameter is invalid
+     */
+    static register(name, test, encode) {
+
+        if (typeof name !== "string" || !name) throw new Error("Invalid encoder name: " + name);
+        if (typeof test !== "function") throw new Error("Encoder test must be a function");
+        if (typeof encode !== "function") throw new Error("Encoder must be a function");
+
+        KeyExtractor.#encoders.set(name, { test : test, encode : encode });
+    }
+
+    /**
+     * Remove an encoder registered with `register()`
+     * 
+     * @param {string} name the type name
+     * @return {boolean} true if there was an encoder to remove
+     */
+    static unregister(name) {
+
+        return KeyExtractor.#encoders.delete(name);
+    }
+
+    /**
+     * Encode a value canonically
+     * 
+     * The encoding is a JSON-safe `[type, value]` pair, so values of different types never look the same: `1`, `"1"` and `1n` are `["number", "1"]`, `["string", "1"]` and `["bigint", "1"]`.
+     * Numbers are written with `String()` (keeping -0, NaN and Infinity apart), Dates as ISO strings, Buffers and ArrayBuffers as base64, TypedArrays as arrays of strings, and Symbols by their string form.
+     * 
+     * @param {any} value the value
+     * @param {string} [type] the value's type, as given by a `Key` (worked out from the value if not given)
+     * @return {array} the encoding
+     */
+    static encode(value, type = KeyExtractor._kind(value)) {
+
+        let encoder = KeyExtractor.#encoders.get(type);
+        if (encoder) return [type, encoder.encode(value)];
+
+        switch (type) {
+
+            case "number": return [type, Object.is(value, -0) ? "-0" : String(value)];
+            case "string":
+            case "boolean": return [type, value];
+            case "bigint":
+            case "symbol":
+            case "regexp": return [type, String(value)];
+            case "date": return [type, isNaN(value) ? null : value.toISOString()];
+            case "buffer": return [type, value.toString("base64")];
+            case "arraybuffer": return [type, Buffer.from(value).toString("base64")];
+            case "dataview": return [type, Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString("base64")];
+            case "ref": return [type, value.$ref];
+            case "null":
+            case "undefined":
+            case "function":
+            case "object":
+            case "array":
+            case "map":
+            case "set": return [type, null];
+        }
+
+        if (ArrayBuffer.isView(value)) return [type, Array.from(value, String)];
+        return [type, String(value)];
+    }
+
     /**
      * Get the actual type of an object
      * 
@@ -141,6 +353,112 @@ class KeyExtractor {
         return Object.prototype.toString.call(obj).slice(8, -1).toLowerCase();
     }
 
+    /**
+     * Check extraction parameters and set up the context for _extract()
+     * 
+     * @private
+     * @param {object} [params] the parameters for extract(), plus an optional `on_container` callback (see _extract())
+     * @returns {object} the context
+     * @throws {Error} if a parameter is invalid
+     */
+    static _context(params = {}) {
+
+        let max_depth = params?.max_depth === undefined ? 1000 : params.max_depth;
+        let max_keys = params?.max_keys ?? null;
+        let non_enumerable = params?.non_enumerable ?? false;
+        if (max_depth !== null && (!Number.isInteger(max_depth) || max_depth < 1)) throw new Error("Invalid 'max_depth' parameter: " + max_depth);
+        if (max_keys !== null && (!Number.isInteger(max_keys) || max_keys < 0)) throw new Error("Invalid 'max_keys' parameter: " + max_keys);
+        if (typeof non_enumerable !== "boolean") throw new Error("Invalid 'non_enumerable' parameter: " + non_enumerable);
+
+        return { max_depth : max_depth ?? Infinity, max_keys : max_keys ?? Infinity, non_enumerable : non_enumerable, ancestors : new Map(), on_container : params?.on_container ?? null };
+    }
+
+    /**
+     * Extract the keys inside one container of an object, as extract() would have found them
+     * 
+     * @private
+     * @param {array<object>} chain the containers from the root object down to the one to extract, e.g. from _resolve()
+     * @param {array<string>} segments the segments of the path to the container (one fewer than the chain)
+     * @param {object} [params] the parameters for extract(), plus an optional `on_container` callback (see _extract())
+     * @returns {array<Key>} the keys inside the container, with full names from the root
+     * @throws {Error} if the container can't have keys, a parameter is invalid, or a limit is exceeded
+     */
+    static _extract_at(chain, segments, params = {}) {
+
+        let context = this._context(params);
+        if (new Set(chain).size != chain.length) throw new Error("Unable to extract keys - path " + Key.join(segments) + " goes round in a circle");
+        chain.slice(0, -1).forEach((container, i) => context.ancestors.set(container, segments.slice(0, i)));
+
+        let obj = chain[chain.length - 1];
+        let parent = segments.length ? new Key(segments[segments.length - 1], this._kind(obj), segments.slice(0, -1), obj) : null;
+        if (parent && segments.length > context.max_depth) throw new Error(`Unable to extract keys - ${parent.fullname} is more than ${context.max_depth} levels deep`);
+
+        let keys = [];
+        this._extract(obj, keys, parent, context);
+        return keys;
+    }
+
+    /**
+     * Follow a path of segments from an object
+     * 
+     * @private
+     * @param {object} obj the root object
+     * @param {array<string>} segments the (unescaped) segments, as found by extract()
+     * @param {boolean} [non_enumerable = false] whether the path may go through non-enumerable properties (see extract())
+     * @returns {array<object>|null} the containers along the path, starting with obj and ending with the one the path leads to, or null if extract() would not have followed the path to something with keys
+     */
+    static _resolve(obj, segments, non_enumerable = false) {
+
+        let visible = (container, key) => non_enumerable ? Object.prototype.hasOwnProperty.call(container, key) && !(Array.isArray(container) && key == "length") : Object.prototype.propertyIsEnumerable.call(container, key);
+
+        let chain = [obj];
+        for (let segment of segments) {
+
+            let current = chain[chain.length - 1], next;
+            switch (this._type(current)) {
+
+                case "map":
+                    next = Array.from(current).reverse().find(([k]) => String(k) == segment)?.[1];
+                    break;
+                case "set":
+                    next = Array.from(current)[segment];
+                    break;
+                case "object":
+                case "array":
+                    let key = visible(current, segment) ? segment : Object.getOwnPropertySymbols(current).find((symbol) => String(symbol) == segment && visible(current, symbol));
+                    if (key === undefined) return null;
+                    next = current[key];
+                    break;
+                default:
+                    return null;
+            }
+
+            chain.push(next);
+        }
+
+        return ["object", "array", "map", "set"].includes(this._kind(chain[chain.length - 1])) ? chain : null;
+    }
+
+    /**
+     * Get the type of a value for a `Key`
+     * 
+     * Like _type(), but Buffers are "buffer", and values of registered types have the name they were registered with.
+     * 
+     * @private
+     * @param {any} value the value
+     * @returns {string} the type
+     */
+    static _kind(value) {
+
+        for (let [name, encoder] of KeyExtractor.#encoders) {
+
+            if (encoder.test(value)) return name;
+        }
+
+        if (Buffer.isBuffer(value)) return "buffer";
+        return this._type(value);
+    }
+
     /**
      * Extract all keys from an object recursively
      * 
@@ -150,9 +468,11 @@ class KeyExtractor {
      * @param {Object} obj an object, map, set, or array whose paths need extraction
      * @param {array<string>} [paths = []] a place to put extracted keys
      * @param {key} [parent = null] the parent key 
-     * @throws {Error} if we have been given a bad parameter
+     * @param {object} [context] options and state shared by the whole extraction: `{ max_depth, max_keys, non_enumerable, ancestors, on_container }` where `ancestors` maps each container we are inside to its segments,
+     * and `on_container` (if not null) is called with `(container, segments)` for every container we walk
+     * @throws {Error} if we have been given a bad parameter, or a limit is exceeded
      */
-    static _extract(obj, paths = [], parent = null) {
+    static _extract(obj, paths = [], parent = null, context = { max_depth : Infinity, max_keys : Infinity, non_enumerable : false, ancestors : new Map(), on_container : null }) {
         
         // Check paths and parent parameters
         if (!Array.isArray(paths)) throw new Error("'paths' parameter must be an array");
@@ -176,30 +496,49 @@ class KeyExtractor {
                 throw new Error("'obj' parameter is not an object, array, map, or set - unable to extract keys");
         }
 
-        // We have an object now.  Get keys
-        let keys = Object.keys(objectified);
+        // We have an object now.  Get keys, including enumerable symbols (and everything else, if asked for)
+        let keys = context.non_enumerable ? Object.getOwnPropertyNames(objectified) : Object.keys(objectified);
+        if (context.non_enumerable && Array.isArray(objectified)) keys = keys.filter((key) => key != "length");
+        keys.push(...Object.getOwnPropertySymbols(objectified).filter((symbol) => context.non_enumerable || Object.prototype.propertyIsEnumerable.call(objectified, symbol)));
+
+        let push = (key) => {
+
+            if (paths.length >= context.max_keys) throw new Error(`Unable to extract keys - more than ${context.max_keys} keys (stopped at ${key.fullname})`);
+            paths.push(key);
+        };
+
+        let segments = parent?.segments ?? [];
+        context.on_container?.(obj, segments);
 
         // If no keys, this is a leaf node (e.g., an empty Map). Add it and return
         if (parent && keys.length == 0) {
-            paths.push(new Key(parent.name, this._type(objectified), parent.path));
+            push(new Key(parent.name, parent.type, parent.segments.slice(0, -1)));
             return;
         }
 
+        context.ancestors.set(obj, segments);
         for (let key of keys) {
 
-            let child = new Key(key, this._type(objectified[key]), parent?.fullname, objectified[key]);
+            let child = new Key(key, this._kind(objectified[key]), segments, objectified[key]);
+            if (segments.length + 1 > context.max_depth) throw new Error(`Unable to extract keys - ${child.fullname} is more than ${context.max_depth} levels deep`);
+
+            // References back to a parent become "ref" keys, so that we don't go round in circles
+            let target = context.ancestors.get(objectified[key]);
+            if (target) {
 
-            // Things with keys get called recursively (we don't push paths to objects, only their children)
-            if (child.can_have_keys) {
+                push(new Key(key, "ref", segments, { $ref : Key.pointer(target) }));
+            } else if (child.can_have_keys) {
 
-                this._extract(objectified[key], paths, child);
+                // Things with keys get called recursively (we don't push paths to objects, only their children)
+                this._extract(objectified[key], paths, child, context);
             } else {
 
                 // Things without keys just get added
-                paths.push(child);
+                push(child);
             }
 
         }
+        context.ancestors.delete(obj);
 
     }
 
@@ -0,0 +1,363 @@
+const crypto = require("crypto");
+const { KeyExtractor, Key } = require("./KeyExtractor");
+
+/**
+ * Merkle
+ *
+ * A tree of hashes over the keys of a system.  Each leaf holds the hash of one key's canonical encoding (see `Key.canonical`), and each branch holds the hash of its children's names and hashes,
+ * so the root hash changes whenever any key does.  Subtrees that did not change keep their hashes, which means:
+ *
+ * - `update()` only rehashes the branches that changed, given the paths of the containers that were modified (e.g. from a `Recorder` journal)
+ * - `Merkle.compare()` finds the highest subtrees that differ between two trees without looking at the subtrees that match
+ *
+ * Trees are never modified in place: `update()` copies the path to each changed subtree and shares the rest, so `clone()` is cheap.
+ *
+ * @alias module:Gnomalies.Merkle
+ */
+class Merkle {
+
+    #algorithm;
+    #select;
+    #params;
+    #root;
+    #containers;    // container -> array of the segments it was found at, for finding every copy of a shared container
+
+    /**
+     * Constructor
+     *
+     * @param {object} [params] parameters for this object
+     * @param {string} [params.algorithm = "sha256"] the hash algorithm (any algorithm supported by `crypto.createHash()`)
+     * @param {function} [params.select = null] a function that takes an array of Keys and returns the ones to include in the tree.  Keys that point to functions are always left out.
+     * @param {number|null} [params.max_depth = 1000] see `KeyExtractor.extract()`
+     * @param {number|null} [params.max_keys = null] see `KeyExtractor.extract()`
+     * @param {boolean} [params.non_enumerable = false] see `KeyExtractor.extract()`
+     * @throws {Error} on invalid parameter
+     */
+    constructor(params = {}) {
+
+        this.#algorithm = params?.algorithm ?? "sha256";
+        this.#select = params?.select ?? null;
+        this.#params = { max_depth : params?.max_depth, max_keys : params?.max_keys ?? null, non_enumerable : params?.non_enumerable ?? false };
+        this.#root = null;
+        this.#containers = new Map();
+
+        Merkle.hash("", this.#algorithm);
+        if(this.#select !== null && typeof this.#select !== "function") throw new Error("Invalid 'select' parameter - it must be a function");
+        KeyExtractor._context(this.#params);
+    }
+
+    get [Symbol.toStringTag]() { return `Merkle { ${this.root} }`; }
+
+    /**
+     * root (getter)
+     *
+     * @return {string|null} the hash of the whole tree, or null if nothing has been built yet
+     */
+    get root() { return this.#root?.hash ?? null; }
+
+    /**
+     * algorithm (getter)
+     *
+     * @return {string} the hash algorithm
+     */
+    get algorithm() { return this.#algorithm; }
+
+    /**
+     * keys (getter)
+     *
+     * @return {array<Key>} the keys in the tree, sorted with `Key.compare()`
+     */
+    get keys() {
+
+        let keys = [];
+        let walk = (node) => {
+
+            if(node.key) return keys.push(node.key);
+            for(let name of [...node.children.keys()].sort(Key._compare_segments)) walk(node.children.get(name));
+        };
+
+        if(this.#root) walk(this.#root);
+        return keys;
+    }
+
+    /**
+     * Hash a string
+     *
+     * @param {string} data the string to hash
+     * @param {string} [algorithm = "sha256"] the hash algorithm (any algorithm supported by `crypto.createHash()`)
+     * @return {string} the hash as a hex string
+     * @throws {Error} if the algorithm is not supported
+     */
+    static hash(data, algorithm = "sha256") {
+
+        let hash;
+        try { hash = crypto.createHash(algorithm); } catch(e) { throw new Error("Unsupported hash algorithm: " + algorithm); }
+        return hash.update(data).digest("hex");
+    }
+
+    /**
+     * Find the subtrees that differ between two trees
+     *
+     * Only the highest differing subtrees are reported: if "a.b.c" changed, "a" and "a.b" are not reported, and if "a.b" was added or removed (or changed between a value and something with keys), its children are not.
+     *
+     * @param {Merkle} a the first tree
+     * @param {Merkle} b the second tree
+     * @return {array<string>} the escaped paths of the subtrees that differ, sorted
+     * @throws {Error} if either tree has not been built, or they use different algorithms
+     */
+    static compare(a, b) {
+
+        if(!(a instanceof Merkle) || a.root === null) throw new Error("'a' parameter must be a built Merkle tree");
+        if(!(b instanceof Merkle) || b.root === null) throw new Error("'b' parameter must be a built Merkle tree");
+        if(a.algorithm != b.algorithm) throw new Error(`Unable to compare trees that use different algorithms (${a.algorithm} and ${b.algorithm})`);
+
+        let paths = [];
+        let walk = (x, y, segments) => {
+
+            if(x?.hash === y?.hash) return;
+            if(!x?.children || !y?.children) return paths.push(segments);
+
+            let names = new Set([...x.children.keys(), ...y.children.keys()]);
+            for(let name of [...names].sort(Key._compare_segments)) walk(x.children.get(name), y.children.get(name), [...segments, name]);
+        };
+
+        walk(a.#root, b.#root, []);
+        return paths.map((segments) => Key.join(segments));
+    }
+
+    /**
+     * Get the hash of a subtree
+     *
+     * @param {string} [path = ""] the escaped path or JSON Pointer of the subtree (see `Key.parse()`), or "" for the root
+     * @return {string|null} the hash, or null if there is nothing at that path
+     * @throws {Error} if the path is invalid
+     */
+    hash(path = "") {
+
+        let node = this.#root;
+        for(let segment of Key.parse(path)) node = node?.children?.get(segment);
+        return node?.hash ?? null;
+    }
+
+    /**
+     * Build the tree from scratch
+     *
+     * @param {object} system the system (or snapshot) to build from
+     * @return {Merkle} this tree
+     * @throws {Error} if the keys can't be extracted
+     */
+    build(system) {
+
+        let containers = new Map();
+        let keys = KeyExtractor._extract_at([system], [], { ...this.#params, on_container : (container, segments) => Merkle._occurs(containers, container, segments) });
+
+        this.#root = this._node(this._selected(keys), 0) ?? this._branch(new Map());
+        this.#containers = containers;
+        return this;
+    }
+
+    /**
+     * Update the tree after parts of the system changed
+     *
+     * Only the subtrees under the changed containers are extracted and rehashed.  A container that appears more than once in the system (e.g. a shared object) is rehashed everywhere it appears.
+     * The tree can only know about the changes it is given: anything else that changed since the tree was built is missed, so if in doubt call build() instead.
+     * If the tree hasn't been built, or a change can't be applied on its own, the whole tree is rebuilt.
+     *
+     * @param {object} system the system (or snapshot), after the changes
+     * @param {array<array<string>>} changes the (unescaped) segments of each container that was modified, e.g. the decoded `path` of each `Recorder` journal entry
+     * @return {Merkle} this tree
+     * @throws {Error} if the keys can't be extracted
+     */
+    update(system, changes) {
+
+        if(!Array.isArray(changes) || changes.some((segments) => !Array.isArray(segments))) throw new Error("'changes' parameter must be an array of paths");
+        if(this.#root === null) return this.build(system);
+
+        try {
+
+            // Every place a changed container appears, from the highest down, leaving out anything inside a place we already have
+            let places = new Map();
+            for(let segments of changes) {
+
+                let found = this._find(system, segments.map(String));
+                for(let place of [found.segments, ...(this.#containers.get(found.chain[found.chain.length - 1]) ?? [])]) places.set(JSON.stringify(place), place);
+            }
+
+            places = [...places.values()].sort((a, b) => a.length - b.length);
+            let within = (segments, place) => place.length <= segments.length && place.every((segment, i) => segment == segments[i]);
+            places = places.filter((place, i) => !places.slice(0, i).some((other) => within(place, other)));
+            if(places.some((place) => place.length == 0)) return this.build(system);
+
+            // Forget where containers were found under those places, then re-extract them
+            let containers = new Map();
+            for(let [container, found] of this.#containers) {
+
+                let kept = found.filter((segments) => !places.some((place) => within(segments, place)));
+                if(kept.length) containers.set(container, kept);
+            }
+
+            let root = this.#root;
+            for(let place of places) {
+
+                let { chain, segments } = this._find(system, place);
+                let keys = KeyExtractor._extract_at(chain, segments, { ...this.#params, on_container : (container, at) => Merkle._occurs(containers, container, at) });
+                root = this._replace(root, segments, 0, this._node(this._selected(keys), segments.length));
+            }
+
+            // A change can put us over max_keys, which only a full extraction reports properly
+            if(this.#params.max_keys !== null && this._count(root) > this.#params.max_keys) return this.build(system);
+
+            this.#root = root ?? this._branch(new Map());
+            this.#containers = containers;
+            return this;
+
+        } catch(e) {
+
+            return this.build(system);
+        }
+    }
+
+    /**
+     * Make a copy of this tree.  The copy shares its (unchanging) nodes with this tree, so it is cheap.
+     *
+     * @return {Merkle} the copy
+     */
+    clone() {
+
+        let copy = new Merkle({ algorithm : this.#algorithm, select : this.#select, ...this.#params });
+        copy.#root = this.#root;
+        copy.#containers = this.#containers;
+        return copy;
+    }
+
+
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * Note that a container was found at a path
+     *
+     * @private
+     * @param {Map} containers container -> array of segments
+     * @param {object} container the container
+     * @param {array<string>} segments where it was found
+     */
+    static _occurs(containers, container, segments) {
+
+        if(!containers.has(container)) containers.set(container, []);
+        containers.get(container).push(segments);
+    }
+
+    /**
+     * Find the deepest container along a path that extract() would reach
+     *
+     * @private
+     * @param {object} system the system
+     * @param {array<string>} segments the path
+     * @return {object} `{ chain, segments }` as for `KeyExtractor._extract_at()`
+     */
+    _find(system, segments) {
+
+        for(let i = segments.length; i >= 0; i--) {
+
+            let chain = KeyExtractor._resolve(system, segments.slice(0, i), this.#params.non_enumerable);
+            if(chain) return { chain : chain, segments : segments.slice(0, i) };
+        }
+
+        throw new Error("Unable to update tree - system is not an object, array, map or set");
+    }
+
+    /**
+     * Apply our select function (and leave out functions)
+     *
+     * @private
+     * @param {array<Key>} keys the keys
+     * @return {array<Key>} the selected keys
+     */
+    _selected(keys) {
+
+        keys = keys.filter((key) => key.type != "function");
+        return this.#select ? this.#select(keys) : keys;
+    }
+
+    /**
+     * Build the subtree for a set of keys that all share the same first `depth` segments
+     *
+     * @private
+     * @param {array<Key>} keys the keys
+     * @param {number} depth the number of segments the keys share
+     * @return {object|null} the node, or null if there are no keys
+     */
+    _node(keys, depth) {
+
+        if(keys.length == 0) return null;
+        if(keys.length == 1 && keys[0].segments.length == depth) return { hash : Merkle.hash(JSON.stringify(keys[0].canonical), this.#algorithm), key : keys[0], children : null };
+
+        let groups = new Map();
+        for(let key of keys) {
+
+            let name = key.segments[depth];
+            if(!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(key);
+        }
+
+        let children = new Map();
+        for(let [name, group] of groups) children.set(name, this._node(group, depth + 1));
+        return this._branch(children);
+    }
+
+    /**
+     * Create a branch node
+     *
+     * @private
+     * @param {Map} children name -> node
+     * @return {object} the node
+     */
+    _branch(children) {
+
+        let entries = [...children].sort(([a], [b]) => Key._compare_segments(a, b)).map(([name, node]) => [name, node.hash]);
+        return { hash : Merkle.hash(JSON.stringify(entries), this.#algorithm), key : null, children : children };
+    }
+
+    /**
+     * Replace the subtree at a path, copying the nodes above it
+     *
+     * @private
+     * @param {object|null} node the node at `depth` along the path
+     * @param {array<string>} segments the path
+     * @param {number} depth how far along the path we are
+     * @param {object|null} subtree the new subtree, or null to remove it
+     * @return {object|null} the new node, or null if it is now empty
+     */
+    _replace(node, segments, depth, subtree) {
+
+        if(depth == segments.length) return subtree;
+
+        let children = new Map(node?.children ?? []);
+        let child = this._replace(children.get(segments[depth]) ?? null, segments, depth + 1, subtree);
+        if(child) children.set(segments[depth], child);
+        else children.delete(segments[depth]);
+
+        return (children.size || depth == 0) ? this._branch(children) : null;
+    }
+
+    /**
+     * Count the leaves under a node
+     *
+     * @private
+     * @param {object|null} node the node
+     * @return {number} the number of leaves
+     */
+    _count(node) {
+
+        if(!node) return 0;
+        if(!node.children) return 1;
+
+        let count = 0;
+        for(let child of node.children.values()) count += this._count(child);
+        return count;
+    }
+}
+
+module.exports = exports = Merkle;
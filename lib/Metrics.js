@@ -0,0 +1,311 @@
+/**
+ * Metrics
+ *
+ * Counters and duration histograms for anomaly processing, per anomaly class.  A Processor keeps one in `.metrics` and feeds it as it works:
+ *
+ * - counters for each of `Metrics.events`: anomalies detected, actioned, resolved, reverted, paused and marked dirty
+ * - histograms of the seconds spent in each of `Metrics.phases` (detect, action, evaluate, revert), split by outcome ("success" or "error")
+ *
+ * `to_prometheus()` renders them in the Prometheus text exposition format, ready to be served from a `/metrics` endpoint or written for the node exporter's textfile collector.
+ * Give the constructor a `tracer` to get a span for every timed phase as well.  Anything with a `startSpan(name, { attributes })` method that returns a span with `end()` will do,
+ * including an OpenTelemetry tracer; `recordException()` and `setStatus()` are called on the span too, if it has them.
+ *
+ * @alias module:Gnomalies.Metrics
+ */
+class Metrics {
+
+    #buckets;
+    #tracer;
+    #counters;      // class name -> Map(event -> count)
+    #histograms;    // class name -> Map(phase -> Map(outcome -> { counts, sum, count })), where counts[i] is the number of observations in bucket i (not cumulative)
+
+    /**
+     * Constructor
+     *
+     * @param {object} [params] parameters for this object
+     * @param {array<number>} [params.buckets = Metrics.default_buckets] the upper bounds of the histogram buckets, in seconds, in increasing order
+     * @param {object} [params.tracer = null] something with a `startSpan(name, { attributes })` method, e.g. an OpenTelemetry tracer
+     * @throws {Error} on invalid parameter
+     */
+    constructor(params = {}) {
+
+        this.#buckets = params?.buckets ?? Metrics.default_buckets;
+        this.#tracer = params?.tracer ?? null;
+
+        if(!Array.isArray(this.#buckets) || this.#buckets.some((le, i) => typeof le !== "number" || !Number.isFinite(le) || (i > 0 && le <= this.#buckets[i - 1]))) throw new Error("Invalid 'buckets' parameter - it must be an array of increasing numbers: " + this.#buckets);
+        if(this.#tracer !== null && typeof this.#tracer.startSpan !== "function") throw new Error("Invalid 'tracer' parameter - it must have a startSpan() method");
+
+        this.reset();
+    }
+
+    get [Symbol.toStringTag]() { return `Metrics { ${this.#counters.size} classes }`; }
+
+    /**
+     * The events that are counted
+     *
+     * @return {array<string>} the events
+     */
+    static get events() { return ["detected", "actioned", "resolved", "reverted", "paused", "dirty"]; }
+
+    /**
+     * The phases that are timed
+     *
+     * @return {array<string>} the phases
+     */
+    static get phases() { return ["detect", "action", "evaluate", "revert"]; }
+
+    /**
+     * The default histogram buckets (the Prometheus client defaults)
+     *
+     * @return {array<number>} the upper bounds, in seconds
+     */
+    static get default_buckets() { return [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; }
+
+    /**
+     * buckets (getter)
+     *
+     * @return {array<number>} the upper bounds of the histogram buckets, in seconds
+     */
+    get buckets() { return [...this.#buckets]; }
+
+    /**
+     * tracer (getter)
+     *
+     * @return {object|null} the tracer
+     */
+    get tracer() { return this.#tracer; }
+
+    /**
+     * classes (getter)
+     *
+     * @return {array<string>} the names of the classes that have metrics, sorted
+     */
+    get classes() { return [...new Set([...this.#counters.keys(), ...this.#histograms.keys()])].sort(); }
+
+    /**
+     * Forget everything counted and timed so far
+     *
+     * @return {Metrics} this for chaining
+     */
+    reset() {
+
+        this.#counters = new Map();
+        this.#histograms = new Map();
+        return this;
+    }
+
+    /**
+     * Count an event
+     *
+     * @param {string} name the class name
+     * @param {string} event one of `Metrics.events`
+     * @param {number} [n = 1] how many to count
+     * @throws {Error} on invalid parameter
+     */
+    increment(name, event, n = 1) {
+
+        if(!Metrics.events.includes(event)) throw new Error("Invalid event: " + event);
+        if(!Number.isInteger(n) || n < 0) throw new Error("Invalid count: " + n);
+
+        let counters = this._class(this.#counters, name);
+        counters.set(event, (counters.get(event) ?? 0) + n);
+    }
+
+    /**
+     * Get a count
+     *
+     * @param {string} name the class name
+     * @param {string} event one of `Metrics.events`
+     * @return {number} the number of times the event has been counted for the class
+     */
+    count(name, event) {
+
+        return this.#counters.get(name)?.get(event) ?? 0;
+    }
+
+    /**
+     * Record how long a phase took
+     *
+     * @param {string} name the class name
+     * @param {string} phase one of `Metrics.phases`
+     * @param {number} seconds how long it took
+     * @param {string} [outcome = "success"] "success" | "error"
+     * @throws {Error} on invalid parameter
+     */
+    observe(name, phase, seconds, outcome = "success") {
+
+        if(!Metrics.phases.includes(phase)) throw new Error("Invalid phase: " + phase);
+        if(typeof seconds !== "number" || !(seconds >= 0)) throw new Error("Invalid duration: " + seconds);
+        if(!["success", "error"].includes(outcome)) throw new Error("Invalid outcome: " + outcome);
+
+        let phases = this._class(this.#histograms, name);
+        if(!phases.has(phase)) phases.set(phase, new Map());
+        if(!phases.get(phase).has(outcome)) phases.get(phase).set(outcome, { counts : this.#buckets.map(() => 0), sum : 0, count : 0 });
+
+        let histogram = phases.get(phase).get(outcome);
+        let bucket = this.#buckets.findIndex((le) => seconds <= le);
+        if(bucket != -1) histogram.counts[bucket]++;
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * Get a histogram
+     *
+     * @param {string} name the class name
+     * @param {string} phase one of `Metrics.phases`
+     * @param {string} [outcome = "success"] "success" | "error"
+     * @return {object|null} `{ buckets, sum, count }` where `buckets` is an array of `{ le, count }` with cumulative counts (the last is `le : Infinity`), or null if nothing has been recorded
+     */
+    histogram(name, phase, outcome = "success") {
+
+        let histogram = this.#histograms.get(name)?.get(phase)?.get(outcome);
+        if(!histogram) return null;
+
+        let total = 0;
+        let buckets = this.#buckets.map((le, i) => ({ le : le, count : total += histogram.counts[i] }));
+        buckets.push({ le : Infinity, count : histogram.count });
+        return { buckets : buckets, sum : histogram.sum, count : histogram.count };
+    }
+
+    /**
+     * Time a phase, with a span if we have a tracer
+     *
+     * The span is called `gnomalies.<phase>`, and has `gnomalies.class` and `gnomalies.phase` attributes as well as any you pass.  If fn throws, the error is recorded on the span
+     * (with an error status) and the duration is recorded with the "error" outcome.
+     *
+     * @param {string} name the class name
+     * @param {string} phase one of `Metrics.phases`
+     * @param {function} fn `async () => result` the phase
+     * @param {object} [attributes] extra span attributes
+     * @return {Promise<any>} the result of fn
+     * @throws {Error} whatever fn throws
+     */
+    async time(name, phase, fn, attributes = {}) {
+
+        let span = this.#tracer?.startSpan(`gnomalies.${phase}`, { attributes : { "gnomalies.class" : name, "gnomalies.phase" : phase, ...attributes } }) ?? null;
+        let start = performance.now();
+        let outcome = "success";
+        try {
+
+            return await fn();
+
+        } catch(e) {
+
+            outcome = "error";
+            span?.recordException?.(e);
+            span?.setStatus?.({ code : 2, message : e?.message });     // 2 is SpanStatusCode.ERROR in OpenTelemetry
+            throw e;
+
+        } finally {
+
+            this.observe(name, phase, (performance.now() - start) / 1000, outcome);
+            span?.end?.();
+        }
+    }
+
+    /**
+     * Convert to JSON
+     *
+     * @return {object} `{ counters, histograms }` where `counters` is class name -> event -> count, and `histograms` is class name -> phase -> outcome -> `{ buckets, sum, count }` (see histogram())
+     */
+    toJSON() {
+
+        let counters = {}, histograms = {};
+        for(let [name, events] of this.#counters) counters[name] = Object.fromEntries(Metrics.events.map((event) => [event, events.get(event) ?? 0]));
+        for(let [name, phases] of this.#histograms) {
+
+            histograms[name] = {};
+            for(let [phase, outcomes] of phases) {
+
+                histograms[name][phase] = {};
+                for(let outcome of outcomes.keys()) histograms[name][phase][outcome] = this.histogram(name, phase, outcome);
+            }
+        }
+
+        return { counters : counters, histograms : histograms };
+    }
+
+    /**
+     * Export in the Prometheus text exposition format
+     *
+     * Two metric families are written: `<prefix>_anomalies_total{class, event}` (a counter, with every event for every class that has been counted) and
+     * `<prefix>_phase_duration_seconds{class, phase, outcome}` (a histogram).
+     *
+     * @param {object} [params] parameters for the export
+     * @param {string} [params.prefix = "gnomalies"] the prefix for metric names
+     * @return {string} the metrics, one sample per line
+     * @throws {Error} if the prefix is not a valid metric name
+     */
+    to_prometheus(params = {}) {
+
+        let prefix = params?.prefix ?? "gnomalies";
+        if(!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) throw new Error("Invalid 'prefix' parameter: " + prefix);
+
+        let labels = (obj) => "{" + Object.entries(obj).map(([key, value]) => `${key}="${Metrics._label(value)}"`).join(",") + "}";
+        let number = (n) => n === Infinity ? "+Inf" : String(n);
+        let lines = [];
+
+        lines.push(`# HELP ${prefix}_anomalies_total Anomalies detected, actioned, resolved, reverted, paused and marked dirty, by class.`);
+        lines.push(`# TYPE ${prefix}_anomalies_total counter`);
+        for(let name of [...this.#counters.keys()].sort()) {
+
+            for(let event of Metrics.events) lines.push(`${prefix}_anomalies_total${labels({ class : name, event : event })} ${this.count(name, event)}`);
+        }
+
+        lines.push(`# HELP ${prefix}_phase_duration_seconds Time spent detecting, actioning, evaluating and reverting anomalies, by class and outcome.`);
+        lines.push(`# TYPE ${prefix}_phase_duration_seconds histogram`);
+        for(let name of [...this.#histograms.keys()].sort()) {
+
+            let phases = this.#histograms.get(name);
+            for(let phase of Metrics.phases.filter((phase) => phases.has(phase))) {
+
+                for(let outcome of [...phases.get(phase).keys()].sort()) {
+
+                    let histogram = this.histogram(name, phase, outcome);
+                    let series = { class : name, phase : phase, outcome : outcome };
+                    for(let bucket of histogram.buckets) lines.push(`${prefix}_phase_duration_seconds_bucket${labels({ ...series, le : number(bucket.le) })} ${bucket.count}`);
+                    lines.push(`${prefix}_phase_duration_seconds_sum${labels(series)} ${histogram.sum}`);
+                    lines.push(`${prefix}_phase_duration_seconds_count${labels(series)} ${histogram.count}`);
+                }
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * Get (or create) a class's entry in a map
+     *
+     * @private
+     * @param {Map} map class name -> Map
+     * @param {string} name the class name
+     * @return {Map} the class's entry
+     * @throws {Error} if the name is not a non-empty string
+     */
+    _class(map, name) {
+
+        if(typeof name !== "string" || name.length == 0) throw new Error("Invalid class name: " + name);
+        if(!map.has(name)) map.set(name, new Map());
+        return map.get(name);
+    }
+
+    /**
+     * Escape a Prometheus label value
+     *
+     * @private
+     * @param {string} value the value
+     * @return {string} the escaped value
+     */
+    static _label(value) {
+
+        return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+    }
+}
+
+module.exports = exports = Metrics;
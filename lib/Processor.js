@@ -1,5 +1,10 @@
 const { EventEmitter } = require("events");
+const crypto = require("crypto");
 const Anomaly = require("./Anomaly.js");
+const Diff = require("./Diff.js");
+const Report = require("./Report.js");
+const Metrics = require("./Metrics.js");
+const { KeyExtractor, Key } = require("./KeyExtractor.js");
 
 /**
  * Anomaly processor is resetting
@@ -20,15 +25,29 @@ class Processor extends EventEmitter {
 
     #anomalies;
     #classes;
+    #aliases;       // Old class name -> current class name
+    #migrations;    // Class name -> { from_version -> migration function }
+    #quarantine;    // Records that recover() could not load
+    #store;
+    #tracked;       // Anomaly -> function that stops recording it
+    #writes;        // Promise that resolves when all pending store writes are done
+    #write_error;   // The first store write that failed since the last flush()
+    #report;        // The report of the last process() or run()
+    #timings;       // Anomaly -> { phase -> milliseconds } during process() or run(), otherwise null
+    #correlation_id;    // The id of the current process() or run() call, otherwise null
+    #metrics;       // Counters and duration histograms per class
 
     /**
      * Create a new Processor
      * 
      * @param {Array<Anomaly>} [classes = []] - An array of Anomaly classes we may detect
-     * @throws {Error} if classes is not an array
+     * @param {object} [params] - Parameters for this processor
+     * @param {Store} [params.store] - A store to durably record every anomaly detection, action, state transition, pause, resume and dirty flag in (see restore())
+     * @param {Metrics} [params.metrics] - The metrics to update as anomalies are detected and processed (e.g. one shared by several processors).  Defaults to a new `Metrics`.
+     * @throws {Error} if classes is not an array, if their dependencies contain a cycle, or if a parameter is invalid
      * @return {Processor} the new Processor
      */
-    constructor(classes = []) {
+    constructor(classes = [], params = {}) {
  
         super();
 
@@ -36,6 +55,36 @@ class Processor extends EventEmitter {
 
         this.#anomalies = [];
         this.#classes = classes;
+        this.#aliases = {};
+        this.#migrations = {};
+        this.#quarantine = [];
+        this.#store = params?.store ?? null;
+        this.#tracked = new Map();
+        this.#writes = Promise.resolve();
+        this.#write_error = null;
+        this.#report = null;
+        this.#timings = null;
+        this.#correlation_id = null;
+        this.#metrics = params?.metrics ?? new Metrics();
+
+        if(!(this.#metrics instanceof Metrics)) throw new Error("Invalid 'metrics' parameter - it must be a Metrics");
+        if(this.#store !== null && (typeof this.#store.append !== "function" || typeof this.#store.load !== "function")) throw new Error("Invalid 'store' parameter - it must have append() and load() methods");
+
+        // Fail early on dependency cycles
+        this.ordered_classes;
+    }
+
+    /**
+     * The version of the serialization format written by serialize()
+     * 
+     * Records without a format version were written before versioning was introduced, and are treated as format 0.  Format 2 fingerprints use escaped key names and
+     * type-tagged values, so records from earlier formats that hold fingerprints or digests are refused (or quarantined by recover() and restore()).
+     * 
+     * @return {number} the format version
+     */
+    static get format_version() {
+
+        return 2;
     }
 
     /**
@@ -46,10 +95,49 @@ class Processor extends EventEmitter {
      */
     reset() {
 
+        for (let stop of this.#tracked.values()) stop();
+        this.#tracked.clear();
+
         this.#anomalies = [];
+        this.#quarantine = [];
+    }
+
+    /**
+     * Get the store
+     * 
+     * @returns {Store|null} the store passed to the constructor, or null if there is none
+     */
+    get store() {
+
+        return this.#store;
     }
 
 
+    /**
+     * Get the metrics
+     * 
+     * Counts of the anomalies of each class that were detected, actioned, resolved, reverted, paused and marked dirty, and histograms of the time spent detecting, actioning, 
+     * evaluating and reverting them (see `Metrics`).  Detection during plan() is not counted.
+     * 
+     * @returns {Metrics} the metrics
+     */
+    get metrics() {
+
+        return this.#metrics;
+    }
+
+    /**
+     * Get the report of the last process() or run() call
+     * 
+     * The report covers every anomaly in the queue when the call finished, with the time spent in each phase during the call (see `Report`).
+     * 
+     * @returns {Report|null} the report, or null if nothing has been processed yet
+     */
+    get report() {
+
+        return this.#report;
+    }
+
     /**
      * Get all anomalies
      * 
@@ -60,43 +148,214 @@ class Processor extends EventEmitter {
         return this.#anomalies;
     }
 
+    /**
+     * Register a class name alias
+     * 
+     * Serialized anomalies with the old class name will be loaded as the new class, e.g. after renaming a class.
+     * 
+     * @param {string} old_name - The class name used in old serialized data
+     * @param {string|Anomaly} cls - The class (or class name) to load them as
+     * @throws {Error} if either name is invalid
+     * @return {Processor} this for chaining
+     */
+    add_alias(old_name, cls) {
+
+        let name = (typeof cls === "function") ? cls.name : cls;
+        if(typeof old_name !== "string" || !old_name) throw new Error("Invalid alias: " + old_name);
+        if(typeof name !== "string" || !name) throw new Error("Invalid class for alias " + old_name + ": " + cls);
+
+        this.#aliases[old_name] = name;
+        return this;
+    }
+
+    /**
+     * Register a migration
+     * 
+     * When deserializing, a record for `cls` with schema version `from_version` is passed to `fn`, which should return the record as it would look in `from_version + 1`.
+     * Migrations are chained until the record reaches the class's current `schema_version`.
+     * 
+     * @param {string|Anomaly} cls - The class (or class name) the migration applies to, after aliases are resolved
+     * @param {number} from_version - The schema version the migration upgrades from
+     * @param {function} fn - The migration, `(record) => record`
+     * @throws {Error} if a parameter is invalid
+     * @return {Processor} this for chaining
+     */
+    add_migration(cls, from_version, fn) {
+
+        let name = (typeof cls === "function") ? cls.name : cls;
+        if(typeof name !== "string" || !name) throw new Error("Invalid class for migration: " + cls);
+        if(!Number.isInteger(from_version)) throw new Error("Invalid from_version: " + from_version);
+        if(typeof fn !== "function") throw new Error("Migration must be a function");
+
+        this.#migrations[name] = this.#migrations[name] ?? {};
+        this.#migrations[name][from_version] = fn;
+        return this;
+    }
+
     /**
      * Serialize all anomalies
      * 
+     * Each anomaly is serialized on its own line, along with the format version and the schema version of its class
+     * 
      * @returns {string} the serialized anomalies
      */
     serialize() {
 
-        return this.#anomalies.map((anomaly) => JSON.stringify(anomaly.toJSON())).join("\n");
+        return this.#anomalies.map((anomaly) => JSON.stringify(this._serialize(anomaly))).join("\n");
+    }
+
+    /**
+     * Wait for pending store writes
+     * 
+     * Records are written to the store in the background as anomalies change.  process(), run() and detect() wait for them before they return, and
+     * before each action() starts.  Call this after changing anomalies yourself (e.g. after resume()) if you need to know the change is durable.
+     * 
+     * @throws {Error} if a write failed since the last flush
+     * @return {Promise} resolves when all pending writes are done
+     */
+    async flush() {
+
+        await this.#writes;
+
+        let err = this.#write_error;
+        this.#write_error = null;
+        if(err) throw new Error("Unable to write to store: " + err.message);
+    }
+
+    /**
+     * Restore anomalies from the store
+     * 
+     * The latest record of each anomaly is loaded into our .anomalies property (using aliases and migrations like deserialize()).  Records that can't be loaded are added to .quarantine.
+     * Anomalies that were part way through action() (or part way through reverting after it) when the records stopped are interrupted.  If you pass the system, each interrupted anomaly is
+     * re-checked: if the system still matches the fingerprint taken before action() started, it goes back to preaction to be processed again.  Otherwise it is marked failed, paused and marked dirty.
+     * Without a system, interrupted anomalies are paused so that they can be checked by hand.
+     * 
+     * @param {object} [system] - The system, to re-check interrupted anomalies against
+     * @throws {Error} if there is no store, or it can't be read or written
+     * @return {Promise<object>} report the restore report
+     * @return {Array<Anomaly>} report.loaded the anomalies that were loaded
+     * @return {Array<object>} report.quarantined the records that were quarantined (see .quarantine); `.line` is the record's position in the store
+     * @return {Array<Anomaly>} report.interrupted the loaded anomalies that were interrupted
+     */
+    async restore(system) {
+
+        if(this.#store === null) throw new Error("Unable to restore - processor has no store");
+
+        // Find the latest record (and the latest preaction fingerprint) of each anomaly
+        let quarantined = [];
+        let latest = new Map();     // id -> { line, record, fingerprint }
+        let records = await this.#store.load();
+        records.forEach((record, i) => {
+
+            let id = record?.anomaly?.id;
+            if(typeof id !== "string") return quarantined.push({ line : i + 1, text : JSON.stringify(record), error : "Record has no anomaly id" });
+
+            let fingerprint = (record.event == "action") ? record.fingerprint : latest.get(id)?.fingerprint;
+            latest.set(id, { line : i + 1, record : record, fingerprint : fingerprint ?? null });
+        });
+
+        // Load them
+        let loaded = [];
+        let interrupted = [];
+        for (let { line, record, fingerprint } of latest.values()) {
+
+            let anomaly;
+            try {
+
+                anomaly = this._load(record.anomaly);
+
+            } catch(err) {
+
+                quarantined.push({ line : line, text : JSON.stringify(record), error : err.message });
+                continue;
+            }
+
+            loaded.push(anomaly);
+            if(record.event == "action" || (anomaly.state == "postaction" && !anomaly.paused)) interrupted.push([anomaly, fingerprint]);
+        }
+
+        this.#anomalies.push(...loaded);
+        this.#quarantine.push(...quarantined);
+        this._track(loaded, null);
+
+        // Re-check interrupted anomalies
+        for (let [anomaly, fingerprint] of interrupted) {
+
+            if(system === undefined) {
+
+                await this._pause(anomaly, "interrupted mid-action - not re-checked");
+                continue;
+            }
+
+            let current = null;
+            try { current = await anomaly.fingerprint(system); } catch(err) { anomaly.log.error("restore(): unable to fingerprint system: " + err.message); }
+
+            if(fingerprint !== null && current == fingerprint) {
+
+                anomaly.log.info("restore(): interrupted mid-action, but system matches preaction fingerprint");
+                if(anomaly.state != "preaction") { anomaly._state = "reverted"; anomaly._state = "preaction"; }
+                continue;
+            }
+
+            // Like a failed revert, the system is in an unknown state, so the action must not run again until someone has looked at it
+            if((anomaly.constructor.transitions[anomaly.state] ?? []).includes("failed")) anomaly._state = "failed";
+            await this._pause(anomaly, "interrupted mid-action - system does not match preaction fingerprint");
+            anomaly.dirty = true;
+        }
+
+        await this.flush();
+        return { loaded : loaded, quarantined : quarantined, interrupted : interrupted.map(([anomaly]) => anomaly) };
+    }
+
+    /**
+     * Get records that recover() could not load
+     * 
+     * @returns {Array<object>} quarantined records, each with `.line` (1-based line number), `.text` (the raw line) and `.error` (why it could not be loaded)
+     */
+    get quarantine() {
+
+        return this.#quarantine;
     }
 
     /**
      * Deserialize anomalies into our .anomalies property
      * 
+     * Records are upgraded using any registered aliases and migrations before they are instantiated.  Blank lines are skipped.
+     * If any record can't be loaded, nothing is loaded.  Use recover() if you would rather load what you can.
+     * 
      * @param {string} data - The serialized anomalies
-     * @throws {Error} error on error
+     * @throws {Error} error on error, prefixed with the line number
      * @return {Processor} this for chaining
      */
     deserialize(data) {
 
-        // Get a list of classes, indexed by name
-        let classes = this.#classes.reduce((acc, cls) => { acc[cls.name] = cls; return acc; }, {});
+        let anomalies = this._parse(data, (line, text, err) => { throw new Error(`Line ${line}: ${err.message}`); });
+        this.#anomalies.push(...anomalies);
+        this._track(anomalies, "loaded");
 
-        // Deserialize into Node objects
-        let objects = data.split("\n").map((line) => JSON.parse(line));
+        return this;
+    }
 
-        // Create Anomaly objects for each Node object
-        for (let o of objects) {
+    /**
+     * Deserialize as many anomalies as possible into our .anomalies property
+     * 
+     * Like deserialize(), but records that can't be parsed, migrated or instantiated are added to .quarantine instead of throwing.
+     * 
+     * @param {string} data - The serialized anomalies
+     * @return {object} report the load report
+     * @return {Array<Anomaly>} report.loaded the anomalies that were loaded
+     * @return {Array<object>} report.quarantined the records that were quarantined (see .quarantine)
+     */
+    recover(data) {
 
-            let cls = classes[o.name];
-            if(!cls) throw new Error("Unknown class: " + o.name);
+        let quarantined = [];
+        let loaded = this._parse(data, (line, text, err) => quarantined.push({ line : line, text : text, error : err.message }));
 
-            // Instantiate the class
-            let anomaly = new cls(o);
-            this.#anomalies.push(anomaly);
-        }
+        this.#anomalies.push(...loaded);
+        this.#quarantine.push(...quarantined);
+        this._track(loaded, "loaded");
 
-        return this;
+        return { loaded : loaded, quarantined : quarantined };
     }
 
     /**
@@ -109,17 +368,48 @@ class Processor extends EventEmitter {
         return this.#classes;
     }
 
+    /**
+     * Get all classes in processing order
+     * 
+     * Classes are sorted so that each class comes after everything in its `runs_after` list, and before everything in its `runs_before` list.
+     * Where that leaves a choice, classes with a higher `priority` come first, then classes that come first in the constructor's array.
+     * Dependencies on classes this processor doesn't know about are ignored.
+     * 
+     * @returns {Array<Anomaly>} all Anomaly classes, in processing order
+     * @throws {Error} if the dependencies contain a cycle
+     */
+    get ordered_classes() {
+
+        let remaining = [...this.#classes];
+        let ordered = [];
+
+        while(remaining.length) {
+
+            // Classes whose dependencies have all been placed
+            let ready = remaining.filter((cls) => [...this._dependencies(cls)].every((name) => ordered.some((c) => c.name == name)));
+            if(ready.length == 0) throw new Error("Dependency cycle: " + this._cycle(remaining).map((cls) => cls.name).join(" -> "));
+
+            // Highest priority first, then original order
+            let next = ready.reduce((best, cls) => cls.priority > best.priority ? cls : best);
+            ordered.push(next);
+            remaining.splice(remaining.indexOf(next), 1);
+        }
+
+        return ordered;
+    }
+
     /** 
      * Get anomalies with a particular state
      * 
-     * @param {string} state - The state to filter on
+     * @param {string} state - The state to filter on: one of `Anomaly.allowed_states`, or a state added by one of our classes or anomalies (see `Anomaly.transitions`)
      * @throws {Error} if state is invalid
      * @return {Array<Anomaly>} anomalies with the specified state
      */
     anomalies_with_state(state) {
 
         // If state is invlid, throw an error
-        if(!Anomaly.allowed_states.includes(state)) throw new Error("Invalid state: " + state);
+        let classes = new Set([Anomaly, ...this.#classes, ...this.#anomalies.map((anomaly) => anomaly.constructor)]);
+        if(![...classes].some((cls) => cls.allowed_states.includes(state))) throw new Error("Invalid state: " + state);
         return this.#anomalies.filter((anomaly) => anomaly.state == state);
     }
 
@@ -133,11 +423,58 @@ class Processor extends EventEmitter {
      */
     async detect(system, opts) {
 
-        // Iterate all classes
-        for (let anomaly_class of this.#classes) {
+        let found = await this._detect(system, opts, this.ordered_classes);
+        this.#anomalies.push(...found);
+        this._track(found, "detected");
+        await this.flush();
+    }
+
+    /**
+     * Preview what detect() and process() would do, without changing anything
+     * 
+     * Detection and actions run against a deep copy of the system's snapshot, using new anomaly instances.  Neither the system nor `.anomalies` is touched.
+     * Actions are applied to the copy one after another in processing order, so each step sees the changes made by the steps before it.
+     * If an action throws, its changes are discarded (as revert() would) and anomalies that depend on it are skipped.
+     * 
+     * @param {object} system - The system to plan for
+     * @param {object} opts - Options to pass to the methods (detect(), action() etc)
+     * @return {Promise<object>} plan the plan
+     * @return {Array<object>} plan.steps one step per detected anomaly: `{ anomaly, name, changes, error, skipped }`.  `changes` is an array of `{ path, change, before, after }` where `change` is "added" | "removed" | "changed"
+     * @return {object} plan.system the copy of the system, after all steps
+     */
+    async plan(system, opts) {
 
-            if(await anomaly_class.detect(system, opts)) this.#anomalies.push(new anomaly_class(system, opts));
+        let copy = Processor._clone(await new Anomaly().snapshot(system));
+        let found = await this._detect(copy, opts, this.ordered_classes, false);
+
+        let steps = [];
+        for (let anomaly of found) {
+
+            let step = { anomaly : anomaly, name : anomaly.name, changes : [], error : null, skipped : false };
+            steps.push(step);
+
+            // Skip anomalies whose dependencies failed
+            let deps = this._dependencies(anomaly.constructor);
+            if(steps.some((other) => (other.error || other.skipped) && deps.has(other.name))) { 
+
+                step.skipped = true;
+                continue;
+            }
+
+            let before = Processor._clone(copy);
+            try {
+
+                await anomaly.action(copy, opts);
+                step.changes = Processor._changes(before, copy);
+
+            } catch(err) {
+
+                step.error = err.message;
+                copy = before;
+            }
         }
+
+        return { steps : steps, system : copy };
     }
 
     /**
@@ -146,92 +483,1010 @@ class Processor extends EventEmitter {
      * Processes all anomalies in the queue from the preaction state to the resolved state (if possible).  May call .action(), .evaluate(), .revert()
      * Events are bubbled up from each anomaly.  Anomalies that fail between states will be paused and will be set to `.dirty` state
      * 
+     * In transactional mode, processing is all-or-nothing: the first failure in action() or evaluate() stops processing, and every anomaly actioned so far
+     * (including the one that failed) is reverted in reverse order and paused.  Anomalies that can't be reverted are marked dirty.
+     * 
+     * If `opts.signal` (an AbortSignal) aborts, we stop between anomalies; the anomaly being processed at the time fails as usual.  In transactional mode, aborting rolls back the transaction.
+     * Reversions are not passed the signal, so that cleaning up after an abort can finish.
+     * 
+     * With a store, each action() waits until the store has a record of the anomaly (and the system's fingerprint) before it starts.  If the store can't be written, processing stops with an error.
+     * 
      * @param {object} system - The system to detect anomalies in
-     * @param {object} opts - Options to pass to the methods (action() etc)
+     * @param {object} opts - Options to pass to the methods (action() etc).  `opts.signal` and `opts.timeout` are used as described in Anomaly._limit()
+     * @param {object} [params] - Parameters for processing
+     * @param {boolean} [params.transactional = false] - Roll back every anomaly processed in this call if any of them fails
+     * @param {number} [params.concurrency = 1] - Process up to this many anomalies at once.  Anomalies only run side by side if their `fingerprint_keys` don't overlap 
+     * (anomalies without `fingerprint_keys` overlap with everything) and neither depends on the other; overlapping anomalies are processed one at a time, in order.  Can't be combined with `transactional`.
+     * @param {string} [params.correlation_id] - The id to add to every log entry made during this call (see `Anomaly.correlation_id`).  Defaults to a new uuid.
+     * @fires Anomaly#log
+     * @fires Anomaly#state
+     * @fires Anomaly#pause
+     * @fires Anomaly#resume
+     * @fires Anomaly#activity
+     * @fires Anomaly#dirty
+     * @throws {Error} if a parameter is invalid, or the store can't be written
+     * @return {Promise<object>} resolves to a report when all anomalies are processed: `{ aborted, unprocessed }`, where `unprocessed` lists the anomalies that are still waiting to be processed.
+     * In transactional mode, the report also has `{ committed, failed, rolled_back, rollback_failures }` where `failed` is `{ anomaly, error }` (or null if committed; `anomaly` is null if the transaction was aborted), 
+     * `rolled_back` lists the anomalies that were reverted, and `rollback_failures` lists `{ anomaly, error }` for anomalies that could not be reverted and were left dirty.
+     * A fuller `Report` of the call is kept in `.report`.
+     */
+    async process(system, opts, params = {}) {
+
+        let concurrency = params?.concurrency ?? 1;
+        if(!Number.isInteger(concurrency) || concurrency < 1) throw new Error("Invalid concurrency: " + concurrency);
+        if(params?.transactional && concurrency > 1) throw new Error("Transactional processing can't be concurrent");
+
+        return this._reporting(async () => {
+
+            let report;
+            if(params?.transactional) report = await this._process_transaction(system, opts);
+            else if(concurrency > 1) report = await this._process_concurrently(system, opts, concurrency);
+            else {
+
+                // Process all anomalies
+                for (let anomaly; anomaly !== null && !opts?.signal?.aborted;) anomaly = await this.process_one(system, opts);
+                report = { aborted : opts?.signal?.aborted ?? false, unprocessed : this._unprocessed() };
+            }
+
+            await this.flush();
+            return report;
+        }, params?.correlation_id);
+    }
+
+    /**
+     * Detect and process anomalies until the system stops changing
+     * 
+     * Repeats detect() and process() until a pass detects nothing new, or `max_passes` is reached.  Classes with a paused anomaly are not detected again.
+     * After each pass the whole system is fingerprinted.  If the system returns to a state it was already in (e.g. two anomalies keep undoing each other), we stop
+     * and pause every anomaly that was resolved since then.
+     * 
+     * @param {object} system - The system to detect anomalies in
+     * @param {object} opts - Options to pass to the methods (detect(), action() etc)
+     * @param {object} [params] - Parameters for the run
+     * @param {number} [params.max_passes = 10] - The maximum number of detect/process passes
+     * @param {function} [params.fingerprint] - A function that fingerprints the whole system, `(system) => string` (or a promise of one).  Defaults to Anomaly.fingerprint() with all keys.
+     * @param {string} [params.correlation_id] - The id to add to every log entry made during this run (see `Anomaly.correlation_id`).  Defaults to a new uuid.
      * @fires Anomaly#log
      * @fires Anomaly#state
      * @fires Anomaly#pause
      * @fires Anomaly#resume
      * @fires Anomaly#activity
-     * @return {Promise} resolves when all anomalies are processed
+     * @fires Anomaly#dirty
+     * @return {Promise<object>} report the run report
+     * @return {number} report.passes the number of passes that processed anomalies
+     * @return {boolean} report.converged true if the last pass detected nothing new
+     * @return {boolean} report.aborted true if `opts.signal` aborted the run
+     * @return {object|null} report.cycle the oscillation, if one was found: `{ from, to, classes, fingerprint }` where `from` and `to` are pass numbers (0 = before the first pass) that left the system in the same state, and `classes` are the names of the classes resolved in between.
+     * A fuller `Report` covering every pass is kept in `.report`.
      */
-    async process(system, opts) {
+    async run(system, opts, params = {}) {
+
+        let max_passes = params?.max_passes ?? 10;
+        let fingerprint = params?.fingerprint ?? ((s) => new Anomaly().fingerprint(s));
+        if(!Number.isInteger(max_passes) || max_passes < 1) throw new Error("Invalid max_passes: " + max_passes);
+
+        return this._reporting(async () => {
+
+            let seen = [await fingerprint(system)];   // seen[n] is the fingerprint after pass n
+            let resolved = [];                  // resolved[n] is the anomalies resolved during pass n + 1
+            for (let pass = 1; pass <= max_passes; pass++) {
+
+                if(opts?.signal?.aborted) return { passes : pass - 1, converged : false, cycle : null, aborted : true };
+
+                // Detect, skipping classes that are waiting for manual review
+                let paused = this.#anomalies.filter((anomaly) => anomaly.paused).map((anomaly) => anomaly.name);
+                let found = await this._detect(system, opts, this.ordered_classes.filter((cls) => !paused.includes(cls.name)));
+                this.#anomalies.push(...found);
+                this._correlate(found);
+                this._track(found, "detected");
+                if(found.length == 0) return { passes : pass - 1, converged : true, cycle : null, aborted : false };
 
-        // Process all anomalies
-        for (let anomaly; anomaly !== null;) anomaly = await this.process_one(system, opts);
+                let processed = await this.process(system, opts);
+                if(processed.aborted) return { passes : pass, converged : false, cycle : null, aborted : true };
+                resolved.push(found.filter((anomaly) => anomaly.state == "resolved"));
+
+                // Have we been here before?
+                let fp = await fingerprint(system);
+                let from = seen.indexOf(fp);
+                seen.push(fp);
+                if(from == -1) continue;
+
+                let involved = resolved.slice(from).flat();
+                if(involved.length == 0) continue;   // Nothing was resolved, so nothing changed; anomalies that failed are already paused
+
+                let classes = [...new Set(involved.map((anomaly) => anomaly.name))];
+                for (let anomaly of involved) await this._pause(anomaly, `oscillation: system returned to its state after pass ${from} (classes involved: ${classes.join(", ")})`);
+                await this.flush();
+
+                return { passes : pass, converged : false, cycle : { from : from, to : pass, classes : classes, fingerprint : fp }, aborted : false };
+            }
+
+            return { passes : max_passes, converged : false, cycle : null, aborted : false };
+        }, params?.correlation_id);
+    }
+
+    /**
+     * Undo every anomaly that has been actioned
+     * 
+     * Anomalies that are resolved (or were left in the postaction state) are reverted, most recently queued first.  They are left in the reverted state, which process() skips, until
+     * they are resumed.  Nothing needs attention after a successful revert, so they are not paused.  Anomalies that can't be reverted are paused, marked failed and dirty, like any other failed revert.
+     * 
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to revert()
+     * @param {object} [params] - Parameters for reverting
+     * @param {string} [params.correlation_id] - The id to add to every log entry made during this call (see `Anomaly.correlation_id`).  Defaults to a new uuid.
+     * @fires Anomaly#log
+     * @fires Anomaly#state
+     * @fires Anomaly#pause
+     * @fires Anomaly#dirty
+     * @throws {Error} if the store can't be written
+     * @return {Promise<object>} resolves to a report when all anomalies are reverted: `{ reverted, failures }` where `failures` lists `{ anomaly, error }` for anomalies that could not be reverted.
+     * A fuller `Report` of the call is kept in `.report`.
+     */
+    async revert(system, opts, params = {}) {
+
+        return this._reporting(async () => {
+
+            let reverted = [];
+            let failures = [];
+            for (let anomaly of [...this.#anomalies].reverse().filter((anomaly) => ["resolved", "postaction"].includes(anomaly.state))) {
+
+                let detach = this._forward(anomaly);
+                let error;
+                try { error = await this._revert(anomaly, system, opts, null, "revert() failed - anomaly is in unknown state"); } finally { detach(); }
+
+                if(error) failures.push({ anomaly : anomaly, error : error });
+                else reverted.push(anomaly);
+            }
+
+            await this.flush();
+            return { reverted : reverted, failures : failures };
+        }, params?.correlation_id);
     }
 
     /**
      * Process one anomaly 
      * 
-     * Finds the first (by order) anomaly with a state of "preaction" and processes it
+     * Finds the first anomaly with a state of "preaction" (by class order, see `.ordered_classes`) and processes it
      * to the resolved state (if possible).  May call .action(), .evaluate(), .revert()
      * Events are bubbled up. Anomalies that fail between states will be paused and will be set to `.dirty` state
+     * Anomalies that depend on a paused or dirty anomaly are skipped: they are paused without being processed.
+     * If action() or evaluate() throws a `NominalError`, the anomaly is reverted and tried again, up to its class's `retries` count.  Any other error pauses it straight away.
      * 
      * @fires Anomaly#log
      * @fires Anomaly#state
      * @fires Anomaly#pause
      * @fires Anomaly#resume
      * @fires Anomaly#activity
+     * @fires Anomaly#dirty
      * @return {Promise<Anomaly|null>} the anomaly processed, or null if there are no anomalies to process.  You can check for success by checking the anomaly itself.
      */
     async process_one(system, opts) {
 
-        // Get a non-paused anomaly to process, or return false
-        let preaction_anomalies = this.anomalies_with_state("preaction").filter((anomaly) => !anomaly.paused);
-        if(preaction_anomalies.length == 0) return null;
-        let anomaly = preaction_anomalies[0];
+        let anomaly = await this._next();
+        if(anomaly === null) return null;
+
+        await this._process_anomaly(anomaly, system, opts);
+        return anomaly;
+    }
+
+    /**
+     * Process one anomaly from the preaction state to the resolved state, reverting and pausing it on failure
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to the methods (action() etc)
+     * @return {Promise} resolves when the anomaly has been processed
+     */
+    async _process_anomaly(anomaly, system, opts) {
 
         // Attach event handlers
+        let detach = this._forward(anomaly);
+        try {
+
+            // Process the anomaly from the preaction state to the resolved state
+            let err = await this._attempt(anomaly, system, opts);
+            if(err) {
+
+                // Well, that didn't work.  Log the error and try to revert
+                anomaly.log.error("process_one(): exception thrown while processing anomaly: " + err.message, { stack : err?.stack });
+                await this._revert(anomaly, system, opts, "fatal error: " + err.message, "revert() failed after action() - anomaly is in unknown state (error: '" + err.message + "')");
+            }
+
+        } finally {
+
+            // Remove event handlers, even if the store failed us
+            detach();
+        }
+
+        await this.flush();
+    }
+
+    /**
+     * Process anomalies concurrently
+     * 
+     * @private
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to the methods (action() etc)
+     * @param {number} limit - The maximum number of anomalies to process at once
+     * @return {Promise<object>} the process report (see process())
+     */
+    async _process_concurrently(system, opts, limit) {
+
+        let running = new Map();    // anomaly -> promise
+        try {
+
+            for (;;) {
+
+                // Start as many anomalies as we can
+                let anomaly = (running.size < limit && !opts?.signal?.aborted) ? await this._next([...running.keys()]) : null;
+                if(anomaly) {
+
+                    running.set(anomaly, this._process_anomaly(anomaly, system, opts).finally(() => running.delete(anomaly)));
+                    continue;
+                }
+
+                // Nothing more can start until something finishes
+                if(running.size == 0) break;
+                await Promise.race(running.values());
+            }
+
+        } catch(err) {
+
+            // Don't start anything else, and let the anomalies that are part way through finish before we report the error
+            await Promise.allSettled(running.values());
+            throw err;
+        }
+
+        return { aborted : opts?.signal?.aborted ?? false, unprocessed : this._unprocessed() };
+    }
+
+    /**
+     * Process all anomalies as a single transaction
+     * 
+     * @private
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to the methods (action() etc)
+     * @return {Promise<object>} the transaction report (see process())
+     */
+    async _process_transaction(system, opts) {
+
+        let actioned = [];
+        let failed = null;
+
+        for (let anomaly; !failed && (anomaly = await this._next()) !== null;) {
+
+            if(opts?.signal?.aborted) {
+
+                failed = { anomaly : null, error : opts.signal.reason };
+                break;
+            }
+
+            let detach = this._forward(anomaly);
+            actioned.push(anomaly);
+            try {
+
+                let err = await this._attempt(anomaly, system, opts);
+                if(err) {
+
+                    anomaly.log.error("_process_transaction(): exception thrown while processing anomaly: " + err.message, { stack : err?.stack });
+                    failed = { anomaly : anomaly, error : err };
+                }
+
+            } finally {
+
+                detach();
+            }
+        }
+
+        if(!failed) return { committed : true, failed : null, rolled_back : [], rollback_failures : [], aborted : false, unprocessed : [] };
+
+        // Roll back everything, most recent first
+        let rolled_back = [];
+        let rollback_failures = [];
+        for (let anomaly of actioned.reverse()) {
+
+            let detach = this._forward(anomaly);
+            let cause = failed.anomaly ? `failed at ${failed.anomaly.name} (${failed.anomaly.id})` : "aborted";
+            let reason = (anomaly === failed.anomaly) ? "fatal error: " + failed.error.message : `rolled back: transaction ${cause}`;
+            let error;
+            try { error = await this._revert(anomaly, system, opts, reason, "rollback failed - anomaly is in unknown state (transaction error: '" + failed.error.message + "')"); } finally { detach(); }
+
+            if(error) rollback_failures.push({ anomaly : anomaly, error : error });
+            else rolled_back.push(anomaly);
+        }
+
+        return { committed : false, failed : failed, rolled_back : rolled_back, rollback_failures : rollback_failures, aborted : opts?.signal?.aborted ?? false, unprocessed : this._unprocessed() };
+    }
+
+    /**
+     * Action and evaluate an anomaly, retrying on nominal errors
+     * 
+     * Each failed attempt is logged to the anomaly's history.  If the error is nominal and the class allows more retries, the anomaly is reverted, 
+     * we wait for the class's backoff (doubling each time), and try again.  
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly, in the preaction state
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to the methods (action() etc)
+     * @return {Promise<Error|null>} the error that ended the last attempt (the anomaly is left as it was when it failed), or null on success
+     */
+    async _attempt(anomaly, system, opts) {
+
+        let retries = anomaly.constructor.retries;
+        let phase = null;   // The phase the attempt failed in
+        for (let attempt = 1; ; attempt++) {
+
+            // Make sure the store knows we are about to change the system
+            if(this.#store !== null) {
+
+                this._track([anomaly], null);
+
+                let fingerprint = null;
+                try { fingerprint = await anomaly.fingerprint(system); } catch(err) { /* action() will fail too */ }
+                await this._record(anomaly, "action", { fingerprint : fingerprint });
+            }
+
+            try {
+
+                // Action and evaluate
+                phase = "action";
+                await this._timed(anomaly, "action", () => anomaly.action(system, opts));
+                phase = "evaluate";
+                await this._timed(anomaly, "evaluate", () => anomaly.evaluate(system, opts));
+                return null;
+
+            } catch(err) {
+
+                let criticality = err?.criticality ?? "unclassified";
+                anomaly.log.error(`_attempt(): attempt ${attempt} of ${retries + 1} failed with ${criticality} error: ${err.message}`, { phase : phase, attempt : attempt, stack : err?.stack });
+                if(criticality != "nominal" || attempt > retries) return err;
+
+                // Revert so that we can try again
+                try {
+
+                    await this._timed(anomaly, "revert", () => anomaly.revert(system, Processor._unsignalled(opts)));
+                    if(anomaly.state == "reverted") anomaly._state = "preaction";
+
+                } catch(e) {
+
+                    anomaly.log.error(`_attempt(): unable to revert before retrying: ${e.message}`, { phase : "revert", attempt : attempt, stack : e?.stack });
+                    return err;
+                }
+
+                let delay = anomaly.constructor.retry_backoff * Math.pow(2, attempt - 1);
+                anomaly.log.info(`_attempt(): retrying in ${delay}ms`, { attempt : attempt + 1 });
+                if(delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Get anomalies that are still waiting to be processed
+     * 
+     * @private
+     * @return {Array<Anomaly>} non-paused anomalies in the preaction state
+     */
+    _unprocessed() {
+
+        return this.anomalies_with_state("preaction").filter((anomaly) => !anomaly.paused);
+    }
+
+    /**
+     * Remove the abort signal from options, so that cleanup is not cut short by the abort that caused it
+     * 
+     * @private
+     * @param {object} opts - Options
+     * @return {object} the options without `.signal`
+     */
+    static _unsignalled(opts) {
+
+        if(!opts?.signal) return opts;
+
+        let { signal, ...rest } = opts;
+        return rest;
+    }
+
+    /**
+     * Find the next anomaly to process
+     * 
+     * Anomalies that depend on a paused or dirty anomaly are paused and passed over.
+     * When other anomalies are already running, we also pass over anomalies that overlap with them (see _conflicts()), that depend on them, 
+     * or that overlap or depend on an anomaly we passed over, so that those keep their order.
+     * 
+     * @private
+     * @param {Array<Anomaly>} [running = []] - Anomalies that are being processed right now
+     * @fires Anomaly#pause
+     * @return {Promise<Anomaly|null>} the first non-paused preaction anomaly by class order that can run now, or null if there is none
+     */
+    async _next(running = []) {
+
+        // Get non-paused anomalies to process, in class order
+        let order = this.ordered_classes;
+        let rank = (anomaly) => { let i = order.indexOf(anomaly.constructor); return i == -1 ? order.length : i; };
+        let preaction_anomalies = this.anomalies_with_state("preaction").filter((anomaly) => !anomaly.paused && !running.includes(anomaly)).sort((a, b) => rank(a) - rank(b));
+
+        let waiting = [...running];
+        for (let candidate of preaction_anomalies) {
+
+            // Skip anomalies whose dependencies failed
+            let blocker = this._blocker(candidate);
+            if(blocker) {
+
+                await this._pause(candidate, `skipped: depends on ${blocker.name} (${blocker.id}) which is ${blocker.dirty ? "dirty" : "paused"}`);
+                candidate._state = "skipped";
+                continue;
+            }
+
+            // Wait for anything we overlap with or depend on
+            let deps = this._dependencies(candidate.constructor);
+            if(waiting.some((other) => deps.has(other.name) || this._conflicts(candidate, other))) {
+
+                waiting.push(candidate);
+                continue;
+            }
+
+            return candidate;
+        }
+
+        return null;
+    }
+
+    /**
+     * Could two anomalies interfere with each other?
+     * 
+     * Anomalies interfere if their `fingerprint_keys` overlap: if they share a key, or one key is inside the other.  Anomalies without `fingerprint_keys` interfere with everything.
+     * Patterns are compared by their literal prefix (the path before the first wildcard), and exclusions are ignored, so patterns may be treated as overlapping when they don't.
+     * 
+     * @private
+     * @param {Anomaly} a - An anomaly
+     * @param {Anomaly} b - Another anomaly
+     * @return {boolean} true if the anomalies could interfere
+     */
+    _conflicts(a, b) {
+
+        if(a.fingerprint_keys === null || b.fingerprint_keys === null) return true;
+
+        let prefixes = (anomaly) => anomaly.fingerprint_keys.map((key) => Anomaly._key_pattern(key)).filter((p) => !p.exclude).map((p) => p.prefix);
+        let a_prefixes = prefixes(a), b_prefixes = prefixes(b);
+        if(a_prefixes.length == 0 || b_prefixes.length == 0) return true;   // Only exclusions, so every other key
+
+        let overlap = (x, y) => x == "" || y == "" || x == y || x.startsWith(y + ".") || y.startsWith(x + ".");
+        return a_prefixes.some((x) => b_prefixes.some((y) => overlap(x, y)));
+    }
+
+    /**
+     * Bubble up events from an anomaly
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @return {function} call this to stop forwarding events
+     */
+    _forward(anomaly) {
+
         const self = this;
         let log_handler = function(data) { self.emit("log", data); };
-        let state_handler = function(data) { self.emit("state", data); };
-        let pause_handler = function(data) { self.emit("pause", data); };
+        let state_handler = function(data) { self._measure("state", data); self.emit("state", data); };
+        let pause_handler = function(data) { self._measure("pause", data); self.emit("pause", data); };
         let resume_handler = function(data) { self.emit("resume", data); };
         let activity_handler = function(data) { self.emit("activity", data); };
+        let dirty_handler = function(data) { self._measure("dirty", data); self.emit("dirty", data); };
         anomaly.on("log", log_handler);
         anomaly.on("state", state_handler);
         anomaly.on("pause", pause_handler);
         anomaly.on("resume", resume_handler);
         anomaly.on("activity", activity_handler);
+        anomaly.on("dirty", dirty_handler);
+
+        return () => {
+
+            anomaly.off("log", log_handler);
+            anomaly.off("state", state_handler);
+            anomaly.off("pause", pause_handler);
+            anomaly.off("resume", resume_handler);
+            anomaly.off("activity", activity_handler);
+            anomaly.off("dirty", dirty_handler);
+        };
+    }
+
+    /**
+     * Start recording an anomaly's changes in the store
+     * 
+     * @private
+     * @param {Array<Anomaly>} anomalies - The anomalies
+     * @param {string|null} event - The event to record for each anomaly now, or null to record nothing until it changes
+     */
+    _track(anomalies, event) {
+
+        if(this.#store === null) return;
+
+        for (let anomaly of anomalies) {
+
+            if(this.#tracked.has(anomaly)) continue;
+
+            let handlers = {};
+            for (let name of ["state", "pause", "resume", "dirty"]) {
+
+                handlers[name] = () => this._enqueue(anomaly, name);
+                anomaly.on(name, handlers[name]);
+            }
+
+            this.#tracked.set(anomaly, () => { for (let name in handlers) anomaly.off(name, handlers[name]); });
+            if(event) this._enqueue(anomaly, event);
+        }
+    }
+
+    /**
+     * Queue a record of an anomaly to be written to the store
+     * 
+     * The anomaly is serialized straight away, and written after any writes already pending.  Write errors are kept for flush() to throw.
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {string} event - What happened ("detected", "loaded", "action", "state", "pause", "resume" or "dirty")
+     * @param {object} [extra] - Extra properties for the record
+     */
+    _enqueue(anomaly, event, extra = {}) {
+
+        if(this.#store === null) return;
+
+        let record = { time : new Date().toISOString(), event : event, ...extra, anomaly : this._serialize(anomaly) };
+        this.#writes = this.#writes.then(() => this.#store.append(record)).catch((err) => { this.#write_error = this.#write_error ?? err; });
+    }
+
+    /**
+     * Write a record of an anomaly to the store
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {string} event - What happened (see _enqueue())
+     * @param {object} [extra] - Extra properties for the record
+     * @throws {Error} if a write failed since the last flush
+     * @return {Promise} resolves when the record (and everything before it) is written
+     */
+    async _record(anomaly, event, extra = {}) {
+
+        this._enqueue(anomaly, event, extra);
+        await this.flush();
+    }
+
+    /**
+     * Serialize an anomaly, along with the format version and the schema version of its class
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @return {object} the JSON-safe record
+     */
+    _serialize(anomaly) {
+
+        return { 
+
+            format : Processor.format_version, 
+            schema_version : anomaly.constructor.schema_version, 
+            ...anomaly.toJSON() 
+        };
+    }
+
+    /**
+     * Revert an anomaly and pause it
+     * 
+     * If the reversion succeeds, the anomaly is paused in the reverted state (or just left there, if there is no reason to pause it).  If it fails, the anomaly is paused in the failed state and marked dirty.
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {object} system - The system
+     * @param {object} opts - Options to pass to revert()
+     * @param {string|null} reason - The pause reason if the reversion succeeds, or null not to pause
+     * @param {string} dirty_reason - The pause reason if the reversion fails
+     * @return {Promise<Error|null>} the reversion error, or null if the reversion succeeded
+     */
+    async _revert(anomaly, system, opts, reason, dirty_reason) {
+
+        try {
+
+            // Revert and pause
+            await this._timed(anomaly, "revert", () => anomaly.revert(system, Processor._unsignalled(opts)));
+            if(reason !== null) anomaly.pause(reason);
+            return null;
+
+        } catch(e) {
+
+            // A reversion error means we need to pause the anomaly and mark it failed
+            anomaly.log.error("_revert(): exception thrown while reverting anomaly: " + e.message, { phase : "revert", stack : e?.stack });
+            let drift = e.diff ? " (drift: " + e.diff + ")" : "";
+            anomaly._state = "failed";
+            anomaly.pause(dirty_reason + drift);
+            anomaly.dirty=true;
+            return e;
+        }
+    }
+
+    /**
+     * Run a process() or run() call, keeping a report of it in `.report`
+     * 
+     * Every anomaly in the queue has the call's correlation id while it runs.
+     * Calls made while another is running (e.g. run() calling process()) are part of the outer call's report, and keep its correlation id.
+     * 
+     * @private
+     * @param {function} fn - `async () => result` the call
+     * @param {string} [correlation_id] - The correlation id, or undefined for a new one
+     * @return {Promise<any>} the result of fn
+     * @throws {Error} if the correlation id is invalid
+     */
+    async _reporting(fn, correlation_id) {
+
+        if(this.#timings !== null) return fn();
+        if(correlation_id !== undefined && correlation_id !== null && typeof correlation_id !== "string") throw new Error("Invalid correlation_id: " + correlation_id);
+
+        let started = new Date();
+        let result = null;
+        this.#timings = new Map();
+        this.#correlation_id = correlation_id ?? crypto.randomUUID();
+        this._correlate(this.#anomalies);
+        try {
+
+            result = await fn();
+            return result;
 
-        // Process the anomaly from the preaction state to the resolved state
+        } finally {
+
+            this.#report = this._report(started, new Date(), result?.aborted ?? false);
+            for (let anomaly of this.#anomalies) if(anomaly.correlation_id === this.#correlation_id) anomaly.correlation_id = null;
+            this.#timings = null;
+            this.#correlation_id = null;
+        }
+    }
+
+    /**
+     * Count an anomaly event in the metrics
+     * 
+     * @private
+     * @param {string} event - The event, "state" | "pause" | "dirty"
+     * @param {object} data - The event data (see Anomaly#state, Anomaly#pause and Anomaly#dirty)
+     */
+    _measure(event, data) {
+
+        let counted = {
+            state : { postaction : "actioned", resolved : "resolved", reverted : "reverted" }[data.new_state],
+            pause : "paused",
+            dirty : data.dirty ? "dirty" : undefined
+        }[event];
+
+        if(counted) this.#metrics.increment(data.anomaly.name, counted);
+    }
+
+    /**
+     * Get the attributes for a metrics span
+     * 
+     * @private
+     * @param {Anomaly} [anomaly] - The anomaly, if there is one
+     * @return {object} the attributes
+     */
+    _span_attributes(anomaly) {
+
+        let attributes = {};
+        if(anomaly) attributes["gnomalies.anomaly_id"] = anomaly.id;
+        if(this.#correlation_id !== null) attributes["gnomalies.correlation_id"] = this.#correlation_id;
+        return attributes;
+    }
+
+    /**
+     * Give anomalies the correlation id of the current call, if there is one
+     * 
+     * @private
+     * @param {Array<Anomaly>} anomalies - The anomalies
+     */
+    _correlate(anomalies) {
+
+        if(this.#correlation_id === null) return;
+        for (let anomaly of anomalies) anomaly.correlation_id = this.#correlation_id;
+    }
+
+    /**
+     * Time a phase of processing an anomaly, for the report and the metrics
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {string} phase - The phase, "action" | "evaluate" | "revert"
+     * @param {function} fn - `async () => result` the phase
+     * @return {Promise<any>} the result of fn
+     */
+    async _timed(anomaly, phase, fn) {
+
+        let start = performance.now();
         try {
-            // Action and evaluate
-            await anomaly.action(system, opts);
-            await anomaly.evaluate(system, opts);
 
-        } catch (err) {
+            return await this.#metrics.time(anomaly.name, phase, fn, this._span_attributes(anomaly));
+
+        } finally {
+
+            let timings = this.#timings?.get(anomaly) ?? {};
+            timings[phase] = (timings[phase] ?? 0) + (performance.now() - start);
+            this.#timings?.set(anomaly, timings);
+        }
+    }
+
+    /**
+     * Build a report of the queue
+     * 
+     * @private
+     * @param {Date} started - When the call started
+     * @param {Date} finished - When the call finished
+     * @param {boolean} aborted - Whether the call was aborted
+     * @return {Report} the report
+     */
+    _report(started, finished, aborted) {
+
+        let anomalies = this.#anomalies.map((anomaly) => ({
+
+            id : anomaly.id,
+            name : anomaly.name,
+            description : anomaly.description,
+            state : anomaly.state,
+            paused : anomaly.paused,
+            dirty : anomaly.dirty,
+            reason : anomaly.paused ? anomaly.pause_reason : null,
+            fingerprints : { ...anomaly.fingerprints },
+            verdict : anomaly.verdict,
+            durations : { ...(this.#timings?.get(anomaly) ?? {}) }
+        }));
+
+        return new Report({ started : started, finished : finished, aborted : aborted, correlation_id : this.#correlation_id, anomalies : anomalies });
+    }
+
+    /**
+     * Detect anomalies of the given classes
+     * 
+     * @private
+     * @param {object} system - The system to detect anomalies in
+     * @param {object} opts - Options to pass to the detect() methods
+     * @param {Array<Anomaly>} classes - The classes to detect, in order
+     * @param {boolean} [measured = true] - Whether to update the metrics
+     * @return {Promise<Array<Anomaly>>} the anomalies that were detected (they are not added to the queue)
+     */
+    async _detect(system, opts, classes, measured = true) {
+
+        let found = [];
+        for (let anomaly_class of classes) {
+
+            let detected = measured ? await this.#metrics.time(anomaly_class.name, "detect", () => anomaly_class.detect(system, opts), this._span_attributes()) : await anomaly_class.detect(system, opts);
+            if(!detected) continue;
+
+            // The constructor takes saved anomaly params, so neither the system nor opts may be passed to it
+            found.push(new anomaly_class());
+            if(measured) this.#metrics.increment(anomaly_class.name, "detected");
+        }
+
+        return found;
+    }
+
+    /**
+     * Deep copy a system
+     * 
+     * Objects, arrays, maps, sets, dates, Buffers, typed arrays, DataViews and ArrayBuffers are copied.  Objects and arrays keep their prototypes and all their own properties
+     * (including symbol keys, non-enumerable properties and accessors), and objects that appear more than once (or contain themselves) are copied once.  Everything else,
+     * including functions, is shared.
+     * 
+     * @private
+     * @param {any} value - The value to copy
+     * @param {Map} [copies] - Values copied so far -> their copies
+     * @return {any} the copy
+     */
+    static _clone(value, copies = new Map()) {
+
+        if(copies.has(value)) return copies.get(value);
+
+        let copy;
+        switch(KeyExtractor._type(value)) {
+
+            case "array":
+            case "object":
+                copy = Array.isArray(value) ? Object.setPrototypeOf(new Array(value.length), Object.getPrototypeOf(value)) : Object.create(Object.getPrototypeOf(value));
+                copies.set(value, copy);
+                for(let key of Reflect.ownKeys(value)) {
+
+                    if(Array.isArray(value) && key === "length") continue;
+                    let descriptor = Object.getOwnPropertyDescriptor(value, key);
+                    if("value" in descriptor) descriptor.value = Processor._clone(descriptor.value, copies);
+                    Object.defineProperty(copy, key, descriptor);
+                }
+                return copy;
+            case "map":
+                copy = new Map();
+                copies.set(value, copy);
+                for(let [k, v] of value) copy.set(Processor._clone(k, copies), Processor._clone(v, copies));
+                return copy;
+            case "set":
+                copy = new Set();
+                copies.set(value, copy);
+                for(let v of value) copy.add(Processor._clone(v, copies));
+                return copy;
+            case "date":
+                copy = new Date(value.getTime());
+                break;
+            case "arraybuffer":
+                copy = value.slice(0);
+                break;
+            case "dataview":
+                copy = new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+                break;
+            default:
+                if(!ArrayBuffer.isView(value)) return value;
+                copy = Buffer.isBuffer(value) ? Buffer.from(value) : new value.constructor(value);
+        }
+
+        copies.set(value, copy);
+        return copy;
+    }
+
+    /**
+     * List the key-level changes between two versions of a system
+     * 
+     * @private
+     * @param {object} before - The system before the change
+     * @param {object} after - The system after the change
+     * @return {Array<object>} the changes, `{ path, change, before, after }`
+     */
+    static _changes(before, after) {
+
+        let extract = (system) => KeyExtractor.extract(system).filter((key) => key.type != "function").sort(Key.compare);
+        let before_keys = extract(before), after_keys = extract(after);
+        let diff = Diff.compare(Diff.digest(before_keys), Diff.digest(after_keys));
+
+        let value = (keys, path) => keys.find((key) => key.fullname == path)?.value;
+        let changes = [
+            ...diff.added.map((path) => ({ path : path, change : "added", before : undefined, after : value(after_keys, path) })),
+            ...diff.removed.map((path) => ({ path : path, change : "removed", before : value(before_keys, path), after : undefined })),
+            ...diff.changed.map((path) => ({ path : path, change : "changed", before : value(before_keys, path), after : value(after_keys, path) }))
+        ];
+
+        return changes.sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+    }
+
+    /**
+     * Pause an anomaly that isn't being processed, forwarding the pause event
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly
+     * @param {string} reason - The reason for the pause
+     * @fires Anomaly#pause
+     */
+    async _pause(anomaly, reason) {
+
+        let forward = (data) => { this._measure("pause", data); this.emit("pause", data); };
+        anomaly.once("pause", forward);
+        await anomaly.pause(reason);
+    }
+
+    /**
+     * Get the names of the classes a class depends on
+     * 
+     * @private
+     * @param {Anomaly} cls - The class
+     * @return {Set<string>} the names of known classes that must run before cls
+     */
+    _dependencies(cls) {
+
+        let name = (c) => (typeof c === "function") ? c.name : c;
+        let known = this.#classes.map((c) => c.name);
+
+        let deps = new Set(cls.runs_after.map(name));
+        for (let other of this.#classes) {
+
+            if(other.runs_before.map(name).includes(cls.name)) deps.add(other.name);
+        }
+
+        return new Set([...deps].filter((d) => known.includes(d) && d != cls.name));
+    }
+
+    /**
+     * Find a dependency cycle
+     * 
+     * @private
+     * @param {Array<Anomaly>} classes - Classes that could not be ordered, at least some of which form a cycle
+     * @return {Array<Anomaly>} the classes in the cycle, with the first repeated at the end
+     */
+    _cycle(classes) {
+
+        // Every class left has an unplaced dependency, so following them must eventually revisit a class
+        let path = [classes[0]];
+        for(;;) {
+
+            let current = path[path.length - 1];
+            let next = classes.find((c) => this._dependencies(current).has(c.name));
+            let seen = path.indexOf(next);
+            if(seen != -1) return [...path.slice(seen), next];
+            path.push(next);
+        }
+    }
+
+    /**
+     * Find a paused or dirty anomaly that another anomaly depends on
+     * 
+     * @private
+     * @param {Anomaly} anomaly - The anomaly that may be blocked
+     * @return {Anomaly|null} the blocking anomaly, or null if there is none
+     */
+    _blocker(anomaly) {
+
+        let deps = this._dependencies(anomaly.constructor);
+        return this.#anomalies.find((other) => other !== anomaly && deps.has(other.name) && (other.paused || other.dirty)) ?? null;
+    }
+
+    /**
+     * Parse serialized anomalies
+     * 
+     * @private
+     * @param {string} data - The serialized anomalies
+     * @param {function} on_error - Called with (line, text, error) for each record that can't be loaded
+     * @throws {Error} if data is not a string
+     * @return {Array<Anomaly>} the anomalies that were loaded
+     */
+    _parse(data, on_error) {
+
+        if(typeof data !== "string") throw new Error("data must be a string");
+
+        let anomalies = [];
+        let lines = data.split("\n");
+        for (let i = 0; i < lines.length; i++) {
+
+            // Skip blank lines (including the one after a trailing newline)
+            let text = lines[i];
+            if(text.trim() === "") continue;
 
-            // Well, that didn't work.  Log the error and try to revert
-            anomaly.log.error("process_one(): exception thrown while processing anomaly: " + err.message);
-            
             try {
 
-                // Revert and pause
-                await anomaly.revert(system, opts);
-                anomaly.pause("fatal error: " + err.message);
-                anomaly._state = "preaction";
+                anomalies.push(this._load(JSON.parse(text)));
 
-            } catch(e) {
+            } catch(err) {
 
-                // A reversion error means we need to pause the anomaly and leave it in the postaction state
-                anomaly.log.error("process_one(): exception thrown while reverting anomaly: " + e.message);
-                anomaly.pause("revert() failed after action() - anomaly is in unknown state (error: '" + err.message + "')");
-                anomaly.dirty=true;
+                on_error(i + 1, text, err);
             }
-
         }
 
-        // Remove event handlers
-        anomaly.off("log", log_handler);
-        anomaly.off("state", state_handler);
-        anomaly.off("pause", pause_handler);
-        anomaly.off("resume", resume_handler);
-        anomaly.off("activity", activity_handler);
+        return anomalies;
+    }
 
+    /**
+     * Upgrade a serialized record and instantiate it
+     * 
+     * @private
+     * @param {object} o - The serialized record
+     * @throws {Error} if the record can't be upgraded (including fingerprints from before format 2) or its class is unknown
+     * @return {Anomaly} the anomaly
+     */
+    _load(o) {
 
-        return anomaly;
+        if(typeof o !== "object" || o === null || Array.isArray(o)) throw new Error("Record is not an object");
+
+        // Check the format version
+        let format = o.format ?? 0;
+        if(format > Processor.format_version) throw new Error(`Unsupported format version ${format} (expected ${Processor.format_version} or lower)`);
+
+        // Fingerprints taken before format 2 encoded keys differently, so they can never match.  There's no system here to take them again from, so refuse the record.
+        let taken = [o.fingerprints, o.digests].some((stages) => Object.values(stages ?? {}).some((value) => value !== null && value !== undefined));
+        if(format < 2 && taken) throw new Error(`Fingerprints in format version ${format} records can't be checked by format ${Processor.format_version} - finish this anomaly with the version that saved it`);
+
+        // Find the class, following aliases
+        let name = this.#aliases[o.name] ?? o.name;
+        let cls = this.#classes.find((c) => c.name == name);
+        if(!cls) throw new Error("Unknown class: " + o.name);
+
+        // Migrate the record up to the current schema version
+        let record = { ...o, name : cls.name };
+        let version = record.schema_version ?? 1;
+        if(version > cls.schema_version) throw new Error(`Unsupported schema version ${version} for ${cls.name} (expected ${cls.schema_version} or lower)`);
+        while(version < cls.schema_version) {
+
+            let migration = this.#migrations[cls.name]?.[version];
+            if(!migration) throw new Error(`No migration for ${cls.name} from schema version ${version}`);
+            record = migration(record) ?? record;
+            record.schema_version = ++version;
+        }
+
+        // Instantiate the class
+        return cls.from_json(record);
     }
 
 
@@ -0,0 +1,455 @@
+const { KeyExtractor } = require("./KeyExtractor");
+
+/**
+ * Recorder
+ *
+ * Records changes made to a system so that they can be undone later.  Call `.wrap()` to get a recording proxy of the system, make changes through the proxy, then call `Recorder.undo()` with the journal to reverse them.
+ *
+ * The journal is plain JSON, so it can be stored with an anomaly.  Values are deep copied (and type tagged) at the time of the change, which means later changes to a replaced object do not affect the journal.
+ * Object and array property sets and deletes are recorded (which covers array methods like splice() and push()), as are Map set/delete/clear and Set add/delete/clear.
+ * Sets are matched by value when undoing, so Sets of objects can not be reliably restored.
+ *
+ * @alias module:Gnomalies.Recorder
+ */
+class Recorder {
+
+    #journal;
+    #proxies;       // target -> Map(path -> proxy), so we hand out the same proxy for the same object reached the same way
+    #targets;       // proxy -> target, so we never store a proxy inside the system
+
+    /**
+     * Constructor
+     *
+     * @param {array<object>} [journal = []] the journal to append changes to
+     * @throws {Error} if journal is not an array
+     */
+    constructor(journal = []) {
+
+        if(!Array.isArray(journal)) throw new Error("'journal' parameter must be an array");
+
+        this.#journal = journal;
+        this.#proxies = new WeakMap();
+        this.#targets = new WeakMap();
+    }
+
+    /**
+     * Get the journal
+     *
+     * @return {array<object>} the journal of changes, oldest first
+     */
+    get journal() { return this.#journal; }
+
+    /**
+     * Wrap a system in a recording proxy
+     *
+     * @param {object} system an object, array, map or set
+     * @return {Proxy} a proxy that records all changes made through it
+     * @throws {Error} if the system can't be recorded
+     */
+    wrap(system) {
+
+        if(!Recorder._recordable(system)) throw new Error("Unable to record changes - system is not an object, array, map or set");
+        return this._wrap(system, []);
+    }
+
+    /**
+     * Undo the changes in a journal
+     *
+     * Changes are undone in reverse order.  The journal itself is not modified.
+     *
+     * @param {object} system the system the journal was recorded against (not a proxy)
+     * @param {array<object>} journal the journal
+     * @throws {Error} if the journal can't be applied to the system
+     */
+    static undo(system, journal) {
+
+        if(!Array.isArray(journal)) throw new Error("'journal' parameter must be an array");
+
+        for(let entry of [...journal].reverse()) {
+
+            let target = Recorder._resolve(system, entry.path);
+            let key = Recorder.decode(entry.key);
+
+            switch(entry.op) {
+
+                case "set":
+                    if(entry.existed) target[key] = Recorder.decode(entry.old);
+                    else delete target[key];
+                    break;
+                case "delete":
+                    target[key] = Recorder.decode(entry.old);
+                    break;
+                case "map.set":
+                    if(entry.existed) target.set(key, Recorder.decode(entry.old));
+                    else target.delete(key);
+                    break;
+                case "map.delete":
+                    target.set(key, Recorder.decode(entry.old));
+                    break;
+                case "map.clear": {
+                    // The entries were encoded together with the map itself, so decode them together, with the map standing in for itself
+                    let refs = [target];
+                    for(let [k, v] of entry.old) target.set(Recorder._decode(k, refs), Recorder._decode(v, refs));
+                    break;
+                }
+                case "set.add":
+                    target.delete(key);
+                    break;
+                case "set.delete":
+                    target.add(key);
+                    break;
+                case "set.clear": {
+                    let refs = [target];
+                    for(let v of entry.old) target.add(Recorder._decode(v, refs));
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown journal operation: ${entry.op}`);
+            }
+        }
+    }
+
+    /**
+     * Encode a value as type-tagged JSON
+     *
+     * Values are deep copied.  Maps, Sets, Dates, BigInts and undefined are tagged so that `decode()` can restore them.  Functions and symbols become undefined.
+     * Tags are objects with a single key that starts with a dollar sign, so object keys that start with one are escaped with another.  An object, array, map or set that appears more than once
+     * (including one that contains itself) is copied the first time, and encoded as a reference to that copy after that.
+     *
+     * @param {any} value the value to encode
+     * @return {any} a JSON-safe copy of the value
+     */
+    static encode(value) {
+
+        return Recorder._encode(value, new Map());
+    }
+
+    /**
+     * Decode a value created by `encode()`
+     *
+     * @param {any} value the encoded value
+     * @return {any} the decoded value
+     */
+    static decode(value) {
+
+        return Recorder._decode(value, []);
+    }
+
+
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * Encode a value
+     *
+     * @private
+     * @param {any} value the value to encode
+     * @param {Map} seen object, array, map or set -> the order it was first encoded in, for references
+     * @return {any} the encoded value
+     */
+    static _encode(value, seen) {
+
+        let type = KeyExtractor._type(value);
+        if(Recorder._recordable(value)) {
+
+            if(seen.has(value)) return { $ref: seen.get(value) };
+            seen.set(value, seen.size);
+        }
+
+        switch(type) {
+
+            case "undefined":
+            case "function":
+            case "symbol":
+                return { $undefined: true };
+            case "bigint":
+                return { $bigint: value.toString() };
+            case "date":
+                return { $date: value.toISOString() };
+            case "map":
+                return { $map: Array.from(value).map(([k, v]) => [Recorder._encode(k, seen), Recorder._encode(v, seen)]) };
+            case "set":
+                return { $set: Array.from(value).map((v) => Recorder._encode(v, seen)) };
+            case "array":
+                return value.map((v) => Recorder._encode(v, seen));
+            case "object":
+                return Object.fromEntries(Object.entries(value).map(([k, v]) => [k.startsWith("$") ? "$" + k : k, Recorder._encode(v, seen)]));
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Decode a value
+     *
+     * Objects, arrays, maps and sets are created before their contents are decoded, in the same order _encode() numbered them, so references can be resolved.
+     *
+     * @private
+     * @param {any} value the encoded value
+     * @param {array} refs the objects, arrays, maps and sets decoded so far
+     * @return {any} the decoded value
+     * @throws {Error} if a reference can't be resolved
+     */
+    static _decode(value, refs) {
+
+        if(Array.isArray(value)) {
+
+            let array = [];
+            refs.push(array);
+            for(let v of value) array.push(Recorder._decode(v, refs));
+            return array;
+        }
+        if(KeyExtractor._type(value) != "object") return value;
+
+        let keys = Object.keys(value);
+        if(keys.length == 1) {
+
+            switch(keys[0]) {
+
+                case "$undefined": return undefined;
+                case "$bigint": return BigInt(value.$bigint);
+                case "$date": return new Date(value.$date);
+                case "$ref":
+                    if(!Number.isInteger(value.$ref) || !(value.$ref in refs)) throw new Error(`Unable to decode - reference ${value.$ref} not found`);
+                    return refs[value.$ref];
+                case "$map": {
+                    let map = new Map();
+                    refs.push(map);
+                    for(let [k, v] of value.$map) map.set(Recorder._decode(k, refs), Recorder._decode(v, refs));
+                    return map;
+                }
+                case "$set": {
+                    let set = new Set();
+                    refs.push(set);
+                    for(let v of value.$set) set.add(Recorder._decode(v, refs));
+                    return set;
+                }
+            }
+        }
+
+        let object = {};
+        refs.push(object);
+        for(let [k, v] of Object.entries(value)) object[k.startsWith("$") ? k.slice(1) : k] = Recorder._decode(v, refs);
+        return object;
+    }
+
+    /**
+     * Can we record changes to this value?
+     *
+     * @private
+     * @param {any} value the value
+     * @return {boolean} true if value is an object, array, map or set
+     */
+    static _recordable(value) {
+
+        return ["object", "array", "map", "set"].includes(KeyExtractor._type(value));
+    }
+
+    /**
+     * Walk a path from the root of a system
+     *
+     * @private
+     * @param {object} system the system
+     * @param {array} path encoded path segments
+     * @return {any} the value at the path
+     * @throws {Error} if the path can't be followed
+     */
+    static _resolve(system, path) {
+
+        let target = system;
+        for(let segment of path) {
+
+            if(target === null || typeof target !== "object") throw new Error(`Unable to undo - path ${JSON.stringify(path)} not found in system`);
+            target = (target instanceof Map) ? target.get(Recorder.decode(segment)) : target[segment];
+        }
+
+        if(target === null || typeof target !== "object") throw new Error(`Unable to undo - path ${JSON.stringify(path)} not found in system`);
+        return target;
+    }
+
+    /**
+     * Remove any proxy wrapping from a value, so that proxies never end up inside the system
+     *
+     * @private
+     * @param {any} value the value
+     * @return {any} the unwrapped value
+     */
+    _unwrap(value) {
+
+        return this.#targets.get(value) ?? value;
+    }
+
+    /**
+     * Record a journal entry
+     *
+     * @private
+     * @param {object} entry the entry
+     */
+    _record(entry) {
+
+        this.#journal.push(entry);
+    }
+
+    /**
+     * Wrap a value in a recording proxy (if it can be recorded)
+     *
+     * @private
+     * @param {any} target the value to wrap
+     * @param {array} path encoded path segments from the root of the system
+     * @return {any} a proxy, or the value itself if it can't be recorded
+     */
+    _wrap(target, path) {
+
+        if(!Recorder._recordable(target)) return target;
+
+        // Proxies record against the path they were reached by, so an object that is moved or aliased gets a proxy for each path
+        if(!this.#proxies.has(target)) this.#proxies.set(target, new Map());
+        let proxies = this.#proxies.get(target);
+        let id = JSON.stringify(path);
+        if(proxies.has(id)) return proxies.get(id);
+
+        let handler = (target instanceof Map || target instanceof Set) ? this._collection_handler(path) : this._object_handler(path);
+        let proxy = new Proxy(target, handler);
+        proxies.set(id, proxy);
+        this.#targets.set(proxy, target);
+        return proxy;
+    }
+
+    /**
+     * Proxy handler for objects and arrays
+     *
+     * @private
+     * @param {array} path encoded path segments from the root of the system
+     * @return {object} the proxy handler
+     */
+    _object_handler(path) {
+
+        const self = this;
+        return {
+
+            get(target, prop) {
+
+                let value = target[prop];
+                if(typeof prop === "symbol") return value;
+                return self._wrap(value, [...path, prop]);
+            },
+
+            set(target, prop, value) {
+
+                value = self._unwrap(value);
+                if(typeof prop !== "symbol") {
+
+                    // Writing past the end of an array grows it implicitly, so record the old length too
+                    if(Array.isArray(target) && prop != "length" && Number(prop) >= target.length) {
+
+                        self._record({ op: "set", path: path, key: "length", existed: true, old: target.length });
+                    }
+
+                    // Shrinking an array through its length drops elements without deleting them, so record them as deletes
+                    if(Array.isArray(target) && prop == "length" && Number.isInteger(Number(value)) && Number(value) >= 0) {
+
+                        for(let i = target.length - 1; i >= Number(value); i--) {
+
+                            if(Object.prototype.hasOwnProperty.call(target, i)) self._record({ op: "delete", path: path, key: String(i), old: Recorder.encode(target[i]) });
+                        }
+                    }
+
+                    let existed = Object.prototype.hasOwnProperty.call(target, prop);
+                    self._record({ op: "set", path: path, key: prop, existed: existed, old: existed ? Recorder.encode(target[prop]) : null });
+                }
+
+                target[prop] = value;
+                return true;
+            },
+
+            deleteProperty(target, prop) {
+
+                if(typeof prop !== "symbol" && Object.prototype.hasOwnProperty.call(target, prop)) {
+
+                    self._record({ op: "delete", path: path, key: prop, old: Recorder.encode(target[prop]) });
+                }
+
+                return delete target[prop];
+            }
+        };
+    }
+
+    /**
+     * Proxy handler for Maps and Sets
+     *
+     * Collection methods only work on the real collection, so we bind them to the target and record the mutating ones.
+     *
+     * @private
+     * @param {array} path encoded path segments from the root of the system
+     * @return {object} the proxy handler
+     */
+    _collection_handler(path) {
+
+        const self = this;
+        return {
+
+            get(target, prop) {
+
+                let value = Reflect.get(target, prop, target);
+                if(typeof value !== "function") return value;
+
+                let is_map = target instanceof Map;
+                let child = (key) => [...path, Recorder.encode(key)];
+                switch(is_map ? "map." + String(prop) : "set." + String(prop)) {
+
+                    case "map.set":
+                        return (key, v) => {
+                            key = self._unwrap(key);
+                            let existed = target.has(key);
+                            self._record({ op: "map.set", path: path, key: Recorder.encode(key), existed: existed, old: existed ? Recorder.encode(target.get(key)) : null });
+                            target.set(key, self._unwrap(v));
+                            return self._wrap(target, path);
+                        };
+                    case "map.delete":
+                        return (key) => {
+                            key = self._unwrap(key);
+                            if(target.has(key)) self._record({ op: "map.delete", path: path, key: Recorder.encode(key), old: Recorder.encode(target.get(key)) });
+                            return target.delete(key);
+                        };
+                    case "map.clear":
+                        return () => {
+                            if(target.size) self._record({ op: "map.clear", path: path, key: null, old: Recorder.encode(target).$map });
+                            return target.clear();
+                        };
+                    case "map.get":
+                        return (key) => self._wrap(target.get(self._unwrap(key)), child(self._unwrap(key)));
+                    case "map.forEach":
+                        return (fn, this_arg) => target.forEach((v, k) => fn.call(this_arg, self._wrap(v, child(k)), k, self._wrap(target, path)));
+                    case "map.values":
+                        return function* () { for(let [k, v] of target) yield self._wrap(v, child(k)); };
+                    case "map.entries":
+                    case "map.Symbol(Symbol.iterator)":
+                        return function* () { for(let [k, v] of target) yield [k, self._wrap(v, child(k))]; };
+                    case "set.add":
+                        return (v) => {
+                            v = self._unwrap(v);
+                            if(!target.has(v)) self._record({ op: "set.add", path: path, key: Recorder.encode(v) });
+                            target.add(v);
+                            return self._wrap(target, path);
+                        };
+                    case "set.delete":
+                        return (v) => {
+                            v = self._unwrap(v);
+                            if(target.has(v)) self._record({ op: "set.delete", path: path, key: Recorder.encode(v) });
+                            return target.delete(v);
+                        };
+                    case "set.clear":
+                        return () => {
+                            if(target.size) self._record({ op: "set.clear", path: path, key: null, old: Recorder.encode(target).$set });
+                            return target.clear();
+                        };
+                    default:
+                        return value.bind(target);
+                }
+            }
+        };
+    }
+}
+
+module.exports = exports = Recorder;
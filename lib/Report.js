@@ -0,0 +1,310 @@
+/**
+ * Report
+ *
+ * What happened during a `Processor.process()` or `Processor.run()` call: the state of every anomaly in the queue when it finished, with counts per state and per class,
+ * the anomalies that were left paused or dirty (and why), their fingerprints, and how long each phase (action, evaluate and revert) took.
+ *
+ * Reports can be exported as JSON (`JSON.stringify(report)`), Markdown (`to_markdown()`) or JUnit XML (`to_junit()`), so that remediation jobs can show up alongside test results.
+ *
+ * @alias module:Gnomalies.Report
+ */
+class Report {
+
+    #started;
+    #finished;
+    #aborted;
+    #correlation_id;
+    #anomalies;
+
+    /**
+     * Constructor
+     *
+     * Reports are made by the Processor, but can also be rebuilt from the JSON of another report.
+     *
+     * @param {object} [params] parameters for this object
+     * @param {string|Date} [params.started] when the run started
+     * @param {string|Date} [params.finished] when the run finished
+     * @param {boolean} [params.aborted = false] whether the run was aborted
+     * @param {string|null} [params.correlation_id = null] the run's correlation id, which is also on the log entries the anomalies made during it
+     * @param {array<object>} [params.anomalies = []] one entry per anomaly: `{ id, name, description, state, paused, dirty, reason, fingerprints, verdict, durations }`
+     * where `reason` is the reason the anomaly was last paused (or null if it isn't paused) and `durations` maps each phase to the milliseconds spent in it during the run
+     * @throws {Error} on invalid parameter
+     */
+    constructor(params = {}) {
+
+        this.#started = new Date(params?.started ?? Date.now());
+        this.#finished = new Date(params?.finished ?? this.#started);
+        this.#aborted = params?.aborted ?? false;
+        this.#correlation_id = params?.correlation_id ?? null;
+        this.#anomalies = params?.anomalies ?? [];
+
+        if(isNaN(this.#started.getTime())) throw new Error("Invalid 'started' parameter: " + params?.started);
+        if(isNaN(this.#finished.getTime())) throw new Error("Invalid 'finished' parameter: " + params?.finished);
+        if(typeof this.#aborted !== "boolean") throw new Error("Invalid 'aborted' parameter: " + this.#aborted);
+        if(this.#correlation_id !== null && typeof this.#correlation_id !== "string") throw new Error("Invalid 'correlation_id' parameter: " + this.#correlation_id);
+        if(!Array.isArray(this.#anomalies)) throw new Error("Invalid 'anomalies' parameter: " + this.#anomalies);
+    }
+
+    get [Symbol.toStringTag]() { return `Report { ${this.#anomalies.length} anomalies }`; }
+
+    /**
+     * started (getter)
+     *
+     * @return {Date} when the run started
+     */
+    get started() { return this.#started; }
+
+    /**
+     * finished (getter)
+     *
+     * @return {Date} when the run finished
+     */
+    get finished() { return this.#finished; }
+
+    /**
+     * duration (getter)
+     *
+     * @return {number} how long the run took, in milliseconds
+     */
+    get duration() { return this.#finished.getTime() - this.#started.getTime(); }
+
+    /**
+     * aborted (getter)
+     *
+     * @return {boolean} true if the run was aborted
+     */
+    get aborted() { return this.#aborted; }
+
+    /**
+     * correlation_id (getter)
+     *
+     * @return {string|null} the run's correlation id (see `Anomaly.query_history()`)
+     */
+    get correlation_id() { return this.#correlation_id; }
+
+    /**
+     * anomalies (getter)
+     *
+     * @return {array<object>} one entry per anomaly (see the constructor)
+     */
+    get anomalies() { return this.#anomalies; }
+
+    /**
+     * counts (getter)
+     *
+     * @return {object} the number of anomalies in each state, e.g. `{ resolved : 3, reverted : 1 }`
+     */
+    get counts() { return Report._count(this.#anomalies); }
+
+    /**
+     * classes (getter)
+     *
+     * @return {object} per class outcomes: class name -> `{ total, paused, dirty, states }` where `states` counts the class's anomalies in each state
+     */
+    get classes() {
+
+        let classes = {};
+        for (let name of [...new Set(this.#anomalies.map((entry) => entry.name))]) {
+
+            let entries = this.#anomalies.filter((entry) => entry.name == name);
+            classes[name] = { total : entries.length, paused : entries.filter((entry) => entry.paused).length, dirty : entries.filter((entry) => entry.dirty).length, states : Report._count(entries) };
+        }
+
+        return classes;
+    }
+
+    /**
+     * paused (getter)
+     *
+     * @return {array<object>} the anomalies left paused (including dirty ones)
+     */
+    get paused() { return this.#anomalies.filter((entry) => entry.paused); }
+
+    /**
+     * dirty (getter)
+     *
+     * @return {array<object>} the anomalies left dirty
+     */
+    get dirty() { return this.#anomalies.filter((entry) => entry.dirty); }
+
+    /**
+     * durations (getter)
+     *
+     * @return {object} the total milliseconds spent in each phase, across all anomalies
+     */
+    get durations() {
+
+        let durations = {};
+        for (let entry of this.#anomalies) {
+
+            for (let [phase, ms] of Object.entries(entry.durations ?? {})) durations[phase] = (durations[phase] ?? 0) + ms;
+        }
+
+        return durations;
+    }
+
+    /**
+     * Did the run leave anything that needs attention?
+     *
+     * @return {boolean} true if no anomaly was left paused or dirty
+     */
+    get ok() { return this.paused.length == 0 && this.dirty.length == 0; }
+
+    /**
+     * Convert to JSON
+     *
+     * @return {object} the report as plain JSON, including the counts and per class outcomes
+     */
+    toJSON() {
+
+        return {
+            started : this.#started.toISOString(),
+            finished : this.#finished.toISOString(),
+            duration : this.duration,
+            aborted : this.#aborted,
+            correlation_id : this.#correlation_id,
+            ok : this.ok,
+            counts : this.counts,
+            classes : this.classes,
+            durations : this.durations,
+            paused : this.paused.map((entry) => ({ id : entry.id, name : entry.name, state : entry.state, dirty : entry.dirty, reason : entry.reason })),
+            dirty : this.dirty.map((entry) => ({ id : entry.id, name : entry.name, state : entry.state, reason : entry.reason })),
+            anomalies : this.#anomalies
+        };
+    }
+
+    /**
+     * Export as Markdown
+     *
+     * @param {object} [params] parameters for the export
+     * @param {string} [params.title = "Anomaly report"] the heading
+     * @return {string} the report as a Markdown document
+     */
+    to_markdown(params = {}) {
+
+        let title = params?.title ?? "Anomaly report";
+        let cell = (value) => String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+        let row = (cells) => "| " + cells.map(cell).join(" | ") + " |";
+        let table = (headings, rows) => [row(headings), row(headings.map(() => "---")), ...rows.map(row)].join("\n");
+
+        let lines = [`# ${title}`, ""];
+        lines.push(`Started ${this.#started.toISOString()}, took ${this.duration}ms.` + (this.#correlation_id ? `  Correlation id \`${this.#correlation_id}\`.` : "") + (this.#aborted ? "  **Aborted.**" : ""), "");
+        lines.push(this.ok ? "Nothing needs attention." : `**${this.paused.length} paused, ${this.dirty.length} dirty.**`, "");
+
+        lines.push("## States", "");
+        lines.push(table(["State", "Anomalies"], Object.entries(this.counts)), "");
+
+        lines.push("## Classes", "");
+        lines.push(table(["Class", "Total", "Paused", "Dirty", "States"], Object.entries(this.classes).map(([name, c]) => [name, c.total, c.paused, c.dirty, Object.entries(c.states).map(([state, n]) => `${state}: ${n}`).join(", ")])), "");
+
+        if(this.paused.length) {
+
+            lines.push("## Paused", "");
+            lines.push(table(["Anomaly", "Id", "State", "Dirty", "Reason"], this.paused.map((entry) => [entry.name, entry.id, entry.state, entry.dirty ? "yes" : "no", entry.reason])), "");
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Export as JUnit XML
+     *
+     * Each class is a test suite, and each anomaly a test case (its time is the time spent in all phases).  Anomalies that are dirty or failed are errors, other paused anomalies are failures,
+     * and anomalies that were skipped (or never processed) are skipped.
+     *
+     * @param {object} [params] parameters for the export
+     * @param {string} [params.name = "gnomalies"] the name of the set of suites
+     * @return {string} the report as a JUnit XML document
+     */
+    to_junit(params = {}) {
+
+        let name = params?.name ?? "gnomalies";
+        let seconds = (ms) => (ms / 1000).toFixed(3);
+        let attrs = (obj) => Object.entries(obj).map(([key, value]) => ` ${key}="${Report._xml(value)}"`).join("");
+
+        let outcome = (entry) => {
+
+            if(entry.dirty || entry.state == "failed") return "error";
+            if(entry.state == "skipped" || (entry.state == "preaction" && !entry.paused)) return "skipped";
+            if(entry.paused) return "failure";
+            return "passed";
+        };
+
+        let totals = (entries) => ({
+            tests : entries.length,
+            failures : entries.filter((entry) => outcome(entry) == "failure").length,
+            errors : entries.filter((entry) => outcome(entry) == "error").length,
+            skipped : entries.filter((entry) => outcome(entry) == "skipped").length,
+            time : seconds(entries.reduce((sum, entry) => sum + Report._time(entry), 0))
+        });
+
+        let lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<testsuites${attrs({ name : name, ...totals(this.#anomalies) })}>`];
+        for (let cls of Object.keys(this.classes)) {
+
+            let entries = this.#anomalies.filter((entry) => entry.name == cls);
+            lines.push(`  <testsuite${attrs({ name : cls, ...totals(entries), timestamp : this.#started.toISOString() })}>`);
+            for (let entry of entries) {
+
+                let message = entry.reason ?? (entry.state == "preaction" ? "not processed" : entry.state);
+                let body = {
+                    error : `<error${attrs({ type : entry.state, message : message })}/>`,
+                    failure : `<failure${attrs({ type : entry.state, message : message })}/>`,
+                    skipped : `<skipped${attrs({ message : message })}/>`,
+                    passed : null
+                }[outcome(entry)];
+
+                let testcase = `    <testcase${attrs({ classname : cls, name : `${entry.description || cls} (${entry.id})`, time : seconds(Report._time(entry)) })}`;
+                lines.push(body ? `${testcase}>\n      ${body}\n    </testcase>` : `${testcase}/>`);
+            }
+            lines.push("  </testsuite>");
+        }
+        lines.push("</testsuites>");
+
+        return lines.join("\n") + "\n";
+    }
+
+
+    // ====================
+    // Private Methods
+    // ====================
+
+    /**
+     * Count entries by state
+     *
+     * @private
+     * @param {array<object>} entries the entries
+     * @return {object} state -> count
+     */
+    static _count(entries) {
+
+        let counts = {};
+        for (let entry of entries) counts[entry.state] = (counts[entry.state] ?? 0) + 1;
+        return counts;
+    }
+
+    /**
+     * Total time spent on an entry
+     *
+     * @private
+     * @param {object} entry the entry
+     * @return {number} milliseconds
+     */
+    static _time(entry) {
+
+        return Object.values(entry.durations ?? {}).reduce((sum, ms) => sum + ms, 0);
+    }
+
+    /**
+     * Escape a value for an XML attribute
+     *
+     * @private
+     * @param {any} value the value
+     * @return {string} the escaped value
+     */
+    static _xml(value) {
+
+        return String(value).replace(/[&<>"']/g, (c) => ({ "&" : "&amp;", "<" : "&lt;", ">" : "&gt;", '"' : "&quot;", "'" : "&apos;" })[c]).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+    }
+}
+
+module.exports = exports = Report;
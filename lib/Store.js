@@ -0,0 +1,130 @@
+const fs = require("fs");
+
+/**
+ * Store
+ *
+ * Durable storage for Processor state.  A Processor with a store appends a record every time one of its anomalies is detected, starts an action,
+ * changes state, is paused or resumed, or is marked dirty.  `Processor.restore()` loads the records back after a crash.
+ *
+ * To write your own store, extend this class and implement append() and load().  append() must not resolve until the record is durable.
+ *
+ * @alias module:Gnomalies.Store
+ */
+class Store {
+
+    /**
+     * Append a record
+     *
+     * @param {object} record a JSON-safe record
+     * @returns {Promise} resolves when the record is durable
+     * @throws {Error} if the record can't be stored
+     */
+    async append(record) {
+
+        throw new Error(`${this.constructor.name} must implement append()`);
+    }
+
+    /**
+     * Load all records
+     *
+     * @returns {Promise<Array<object>>} the records, oldest first
+     * @throws {Error} if the records can't be loaded
+     */
+    async load() {
+
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+}
+
+/**
+ * FileStore
+ *
+ * An append-only JSONL file store.  Each record is written on its own line and (by default) synced to disk before append() resolves.
+ *
+ * @alias module:Gnomalies.FileStore
+ */
+class FileStore extends Store {
+
+    #path;
+    #sync;
+
+    /**
+     * Constructor
+     *
+     * @param {string} path the path of the file (created if it doesn't exist)
+     * @param {object} [params] parameters for this object
+     * @param {boolean} [params.sync = true] whether to fsync after each append.  Turning this off is faster, but records may be lost if the machine crashes.
+     * @throws {Error} on invalid parameter
+     */
+    constructor(path, params = {}) {
+
+        super();
+
+        this.#path = path;
+        this.#sync = params?.sync ?? true;
+
+        if(typeof this.#path !== "string" || !this.#path) throw new Error("Invalid path: " + this.#path);
+        if(typeof this.#sync !== "boolean") throw new Error("Invalid 'sync' parameter: " + this.#sync);
+    }
+
+    /**
+     * path (getter)
+     *
+     * @return {string} the path of the file
+     */
+    get path() { return this.#path; }
+
+    /**
+     * Append a record
+     *
+     * @param {object} record a JSON-safe record
+     * @returns {Promise} resolves when the record has been written (and synced, if enabled)
+     * @throws {Error} if the record can't be written
+     */
+    async append(record) {
+
+        let handle = await fs.promises.open(this.#path, "a");
+        try {
+
+            await handle.write(JSON.stringify(record) + "\n");
+            if(this.#sync) await handle.sync();
+
+        } finally {
+
+            await handle.close();
+        }
+    }
+
+    /**
+     * Load all records
+     *
+     * Lines that can't be parsed (e.g. a record torn by a crash part way through a write) are skipped.
+     *
+     * @returns {Promise<Array<object>>} the records, oldest first.  A missing file has no records.
+     * @throws {Error} if the file can't be read
+     */
+    async load() {
+
+        let data;
+        try {
+
+            data = await fs.promises.readFile(this.#path, "utf8");
+
+        } catch(e) {
+
+            if(e.code == "ENOENT") return [];
+            throw e;
+        }
+
+        let records = [];
+        for (let line of data.split("\n")) {
+
+            if(line.trim() === "") continue;
+            try { records.push(JSON.parse(line)); } catch(e) { /* torn write */ }
+        }
+
+        return records;
+    }
+}
+
+module.exports = exports = { Store: Store, FileStore: FileStore };
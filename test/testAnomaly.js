@@ -1,4 +1,4 @@
-const { Anomaly } = require("../index.js");
+const { Anomaly, Merkle, TimeoutError, EvaluationError, FatalError } = require("../index.js");
 const assert = require("assert");
 
 
@@ -40,6 +40,109 @@ describe("Anomaly", function()  {
             assert.equal(anomaly.history[0].message, "This is a test", "history should have an entry with the correct message");
         });
 
+        it("keeps context fields, the phase and the correlation id with entries", async function() {
+
+            class Phased extends Anomaly { async _action(system) { this.log.info("working", { step : 1 }); } }
+            let phased = new Phased();
+            phased.log.warn("plain");
+            phased.correlation_id = "run-1";
+            await phased.action({ a : 1 });
+
+            assert.deepEqual(Object.keys(phased.history[0]), ["timestamp", "type", "message"], "entries without context should stay small");
+            let entry = phased.history.find((e) => e.message == "working");
+            assert.deepEqual(entry.context, { phase : "action", step : 1 }, "context should include the phase");
+            assert.equal(entry.correlation_id, "run-1", "entry should have the correlation id");
+            assert(phased.history.some((e) => e.context?.fingerprint == phased.fingerprints.postaction), "fingerprints should be in the context");
+            assert.throws(() => { phased.correlation_id = 1; }, /Invalid correlation_id: 1/);
+        });
+
+        it("emits log events with context", async function() {
+
+            let events = [];
+            anomaly.on("log", (data) => events.push(data));
+            anomaly.log.error("oops", { attempt : 2 });
+            assert.deepEqual(events[0].context, { attempt : 2 }, "event should have the context");
+            assert.equal(events[0].correlation_id, null, "event should have a null correlation id");
+        });
+    });
+
+    describe("history_retention", function() {
+
+        function logged(cls, n) {
+
+            let anomaly = new cls();
+            for (let i = 0; i < n; i++) anomaly.log[i % 3 ? "debug" : "error"](`${i}`);
+            return anomaly.history.map((entry) => entry.message);
+        }
+
+        it("keeps everything by default", async function() {
+
+            assert.equal(logged(Anomaly, 50).length, 50, "history should not be trimmed");
+        });
+
+        it("drops the oldest entries beyond max_entries", async function() {
+
+            class Bounded extends Anomaly { static get history_retention() { return { ...super.history_retention, max_entries : 3 }; } }
+            assert.deepEqual(logged(Bounded, 10), ["7", "8", "9"], "only the newest entries should be kept");
+        });
+
+        it("keeps only errors once entries are older than errors_only_after", async function() {
+
+            class Errors extends Anomaly { static get history_retention() { return { errors_only_after : 2 }; } }
+            assert.deepEqual(logged(Errors, 8), ["0", "3", "6", "7"], "old entries should only be errors");
+        });
+
+        it("drops entries older than max_age, including when loaded", async function() {
+
+            class Aged extends Anomaly { static get history_retention() { return { max_age : 60000 }; } }
+            let old = { timestamp : new Date(Date.now() - 120000).toISOString(), type : "error", message : "old" };
+            let recent = { timestamp : new Date().toISOString(), type : "info", message : "recent" };
+            assert.deepEqual(new Aged({ history : [old, recent] }).history, [recent], "old entries should be dropped");
+        });
+
+        it("keeps the pause reason when its log entry is dropped", async function() {
+
+            class Bounded extends Anomaly { static get history_retention() { return { ...super.history_retention, max_entries : 1 }; } }
+            let my_anomaly = new Bounded();
+            await my_anomaly.pause("needs a look");
+            my_anomaly.log.info("later");
+
+            assert.equal(my_anomaly.pause_reason, "needs a look", "pause_reason should be kept");
+            assert.equal(new Bounded(JSON.parse(JSON.stringify(my_anomaly.toJSON()))).pause_reason, "needs a look", "pause_reason should be persisted");
+
+            await my_anomaly.resume("looked");
+            assert.equal(my_anomaly.pause_reason, null, "resume() should clear pause_reason");
+        });
+
+        it("rejects invalid policies", async function() {
+
+            class Invalid extends Anomaly { static get history_retention() { return { max_entries : -1 }; } }
+            assert.throws(() => new Invalid(), /Invalid history_retention.max_entries: -1/);
+        });
+    });
+
+    describe("query_history()", function() {
+
+        it("filters by level, phase, time and correlation id", async function() {
+
+            let history = [
+                { timestamp : "2024-01-01T00:00:00.000Z", type : "debug", message : "a", context : { phase : "action" } },
+                { timestamp : "2024-01-02T00:00:00.000Z", type : "warn", message : "b", context : { phase : "revert" }, correlation_id : "x" },
+                { timestamp : "2024-01-03T00:00:00.000Z", type : "error", message : "c", correlation_id : "x" },
+                { timestamp : "2024-01-04T00:00:00.000Z", type : "info", message : "d", context : { phase : "action" }, correlation_id : "y" }
+            ];
+            let queried = new Anomaly({ history : history });
+            let messages = (params) => queried.query_history(params).map((entry) => entry.message);
+
+            assert.deepEqual(messages(), ["a", "b", "c", "d"], "no filters should return everything");
+            assert.deepEqual(messages({ level : "warn" }), ["b", "c"], "level should be the lowest level");
+            assert.deepEqual(messages({ phase : "action" }), ["a", "d"], "phase should match the context");
+            assert.deepEqual(messages({ phase : ["action", "revert"], level : "info" }), ["b", "d"], "filters should combine");
+            assert.deepEqual(messages({ since : "2024-01-02", until : new Date("2024-01-03T00:00:00.000Z") }), ["b", "c"], "time range should be inclusive");
+            assert.deepEqual(messages({ correlation_id : "x" }), ["b", "c"], "correlation id should match");
+            assert.throws(() => queried.query_history({ level : "loud" }), /Invalid 'level' parameter: loud/);
+            assert.throws(() => queried.query_history({ since : "never" }), /Invalid 'since' parameter: never/);
+        });
     });
 
     describe("iterations()", function() {
@@ -59,9 +162,62 @@ describe("Anomaly", function()  {
         it("should return 2 if two state changes have occurred", async function() {
 
             anomaly._state = "postaction";
-            anomaly._state = "resolved";
+            anomaly._state = "reverted";
+            anomaly._state = "preaction";
             anomaly._state = "postaction";
             assert.equal(anomaly.iterations("postaction"), 2, "iterations should be 2");
+            assert.equal(anomaly.iterations("reverted"), 1, "iterations should count other states too");
+        });
+
+        it("should throw for unknown states", async function() {
+
+            assert.throws(() => anomaly.iterations("nope"), /Invalid state: nope/);
+        });
+    });
+
+    describe("state machine", function() {
+
+        class ReviewedAnomaly extends Anomaly {
+            static get transitions() { let t = super.transitions; return { ...t, resolved: [...t.resolved, "reviewed"], reviewed: ["reverted"] }; }
+        }
+
+        it("allows legal transitions and rejects illegal ones with a FatalError", async function() {
+
+            anomaly._state = "postaction";
+            anomaly._state = "resolved";
+            assert.throws(() => { anomaly._state = "preaction"; }, (err) => err instanceof FatalError && /Illegal state transition from resolved to preaction/.test(err.message));
+            assert.equal(anomaly.state, "resolved", "state should not change");
+            assert.throws(() => { anomaly._state = "nope"; }, /State nope is not allowed/);
+        });
+
+        it("includes reverted, failed and skipped", async function() {
+
+            assert.deepEqual(Anomaly.allowed_states, ["preaction", "postaction", "resolved", "reverted", "failed", "skipped"], "allowed_states should come from transitions");
+        });
+
+        it("can be extended by subclasses", async function() {
+
+            let my_anomaly = new ReviewedAnomaly();
+            my_anomaly._state = "postaction";
+            my_anomaly._state = "resolved";
+            my_anomaly._state = "reviewed";
+            assert.equal(my_anomaly.iterations("reviewed"), 1, "iterations should understand the new state");
+            assert.throws(() => { anomaly._state = "reviewed"; }, /State reviewed is not allowed/, "other classes should not have the new state");
+
+            let restored = new ReviewedAnomaly(JSON.parse(JSON.stringify(my_anomaly.toJSON())));
+            assert.equal(restored.state, "reviewed", "the new state should survive serialization");
+            assert.throws(() => new Anomaly(my_anomaly.toJSON()), /Invalid state: reviewed/);
+        });
+
+        it("a reverted action is distinguishable from one that was never taken", async function() {
+
+            let my_anomaly = new Anomaly();
+            my_anomaly._action = async (system) => { system.a = 2; };
+            my_anomaly._revert = async (system) => { system.a = 1; };
+            let system = { a: 1 };
+            await my_anomaly.action(system);
+            await my_anomaly.revert(system);
+            assert.equal(my_anomaly.state, "reverted", "anomaly should be reverted");
         });
     });
 
@@ -113,6 +269,124 @@ describe("Anomaly", function()  {
                 assert.equal(a, b, "fingerprint should be the same");
         });
 
+        it("fingerprints systems with circular references", async function() {
+
+            let system = { a : { b : 1 } };
+            system.a.up = system;
+            let before = new Anomaly().fingerprint(system);
+            system.a.b = 2;
+
+            assert.notEqual(new Anomaly().fingerprint(system), before, "fingerprint should change with the values");
+        });
+
+        it("fingerprints bigints and tells types apart", async function() {
+
+            let fingerprint = (value) => new Anomaly().fingerprint({ value : value });
+            assert.equal(new Set([fingerprint(1), fingerprint("1"), fingerprint(1n)]).size, 3, "1, \"1\" and 1n should have different fingerprints");
+        });
+
+        it("uses the class's key limits", async function() {
+
+            class Small extends Anomaly { static get max_keys() { return 1; } }
+            assert.throws(() => new Small().fingerprint({ a : 1, b : 2 }), /more than 1 keys/, "should throw when the system has too many keys");
+        });
+    });
+
+    describe("fingerprint_keys patterns", function() {
+
+        let system = () => ({ 
+            users : [{ email : "a@x", updated_at : 1 }, { email : "b@x", updated_at : 2 }], 
+            config : { colour : "red", sizes : { small : 1 } },
+            updated_at : 3
+        });
+        let keys = (fingerprint_keys) => new Anomaly({ fingerprint_keys : fingerprint_keys }).digest(system());
+
+        it("* matches within one path segment", async function() {
+
+            assert.deepEqual(Object.keys(keys(["users.*.email"])), ["users.0.email", "users.1.email"], "should match each user's email");
+        });
+
+        it("** matches any number of segments", async function() {
+
+            assert.deepEqual(Object.keys(keys(["config.**"])), ["config.colour", "config.sizes.small"], "should match everything in config");
+            assert.deepEqual(Object.keys(keys(["**.updated_at"])), ["updated_at", "users.0.updated_at", "users.1.updated_at"], "should match at any depth");
+        });
+
+        it("! excludes keys", async function() {
+
+            assert.deepEqual(Object.keys(keys(["users.**", "!*.*.updated_at"])), ["users.0.email", "users.1.email"], "should exclude updated_at");
+            assert.deepEqual(Object.keys(keys(["!**.updated_at", "!config.**"])), ["users.0.email", "users.1.email"], "only exclusions should start from every key");
+        });
+
+        it("throws if a required key or pattern matches nothing", async function() {
+
+            assert.throws(() => keys(["config.colour", "groups.*.name"]), /the following keys were not found: groups.\*.name/, "should name the missing pattern");
+        });
+
+        it("? makes a key or pattern optional", async function() {
+
+            assert.deepEqual(Object.keys(keys(["config.colour", "config.shape?", "groups.*.name?"])), ["config.colour"], "should skip missing optional keys");
+        });
+
+        it("does not treat other characters as wildcards", async function() {
+
+            assert.throws(() => keys(["config.colou."]), /not found/, "'.' should only match a '.'");
+        });
+
+        it("logs the resolved keys", async function() {
+
+            let my_anomaly = new Anomaly({ fingerprint_keys : ["users.*.email"] });
+            my_anomaly.fingerprint(system());
+            assert(my_anomaly.history.some((entry) => entry.message == "_keys(): fingerprint_keys resolved to: users.0.email, users.1.email"), "history should list the resolved keys");
+        });
+
+        it("only logs the resolved keys when they change", async function() {
+
+            let my_anomaly = new Anomaly({ fingerprint_keys : ["users.*.email"] });
+            let logged = () => my_anomaly.history.filter((entry) => entry.message.includes("fingerprint_keys resolved to")).map((entry) => entry.message);
+
+            for(let i = 0; i < 3; i++) my_anomaly.fingerprint(system());
+            my_anomaly.digest(system());
+            assert.deepEqual(logged(), ["_keys(): fingerprint_keys resolved to: users.0.email, users.1.email"], "the same keys should only be logged once");
+
+            let smaller = system();
+            smaller.users.pop();
+            my_anomaly.fingerprint(smaller);
+            assert.deepEqual(logged().slice(1), ["_keys(): fingerprint_keys resolved to: users.0.email"], "different keys should be logged again");
+        });
+
+        it("accepts escaped paths and JSON Pointers", async function() {
+
+            let keys = (fingerprint_keys) => Object.keys(new Anomaly({ fingerprint_keys : fingerprint_keys }).digest({ "a.b" : 1, a : { b : 2, "c*" : 3 } }));
+
+            assert.deepEqual(keys(["a\\.b"]), ["a\\.b"], "escaped dot should match the dotted name");
+            assert.deepEqual(keys(["a.b"]), ["a.b"], "plain dot should match the nested key");
+            assert.deepEqual(keys(["/a.b"]), ["a\\.b"], "JSON Pointer should match the dotted name");
+            assert.deepEqual(keys(["/a/c*"]), ["a.c*"], "JSON Pointers should have no wildcards");
+            assert.deepEqual(keys(["a.c\\*"]), ["a.c*"], "escaped * should be literal");
+            assert.deepEqual(keys(["*"]), ["a\\.b"], "* should match exactly one segment, including escaped dots");
+        });
+
+        it("tells top-level keys starting with / from JSON Pointers", async function() {
+
+            let keys = (fingerprint_keys) => Object.keys(new Anomaly({ fingerprint_keys : fingerprint_keys }).digest({ "/a" : 1, a : 2 }));
+
+            assert.deepEqual(keys(["/a"]), ["a"], "JSON Pointer should match a");
+            assert.deepEqual(keys(["\\/a"]), ["\\/a"], "escaped / should match /a");
+            assert.deepEqual(keys(["/~1a"]), ["\\/a"], "JSON Pointer should match /a");
+            assert.deepEqual(keys(["*"]).sort(), ["\\/a", "a"], "* should match both");
+        });
+
+        it("gives dotted names and nested keys different fingerprints", async function() {
+
+            assert.notEqual(new Anomaly().fingerprint({ "a.b" : 1 }), new Anomaly().fingerprint({ a : { b : 1 } }), "fingerprints should differ");
+        });
+
+        it("rejects invalid patterns", async function() {
+
+            assert.throws(() => new Anomaly({ fingerprint_keys : ["!"] }), /Invalid fingerprint key/, "should reject an empty exclusion");
+            assert.throws(() => new Anomaly({ fingerprint_keys : [3] }), /Invalid fingerprint key/, "should reject a non-string");
+        });
     });
 
     describe("action()", function() {
@@ -122,8 +396,8 @@ describe("Anomaly", function()  {
             
             let system = { message: "hello there", score:  32 };
             await anomaly.action(system);
-            assert.equal(anomaly.fingerprints.preaction, "04c115f9840d916b37e6364c18bdbf9f8760b779b16afb83c4add99ae6b5ae12", "preaction fingerprint should be the same each time");
-            assert.equal(anomaly.fingerprints.postaction, "04c115f9840d916b37e6364c18bdbf9f8760b779b16afb83c4add99ae6b5ae12", "postaction fingerprint should be the same as preaction since nothing was changed");
+            assert.equal(anomaly.fingerprints.preaction, "e8dc7b36beac30ab44ecb948341c566d22a5a49ceed87e395fb4dcee7203be91", "preaction fingerprint should be the same each time");
+            assert.equal(anomaly.fingerprints.postaction, "e8dc7b36beac30ab44ecb948341c566d22a5a49ceed87e395fb4dcee7203be91", "postaction fingerprint should be the same as preaction since nothing was changed");
         });
 
         it("should throw an error if the system is not in a preaction state", async function() {
@@ -142,7 +416,409 @@ describe("Anomaly", function()  {
             let system = { message: "hello there", score:  32 };
             await anomaly.action(system);
             system.message = "hello there again";
-            await assert.rejects(anomaly.revert(system), { message: "Unable to revert - current fingerprint 8382107af85ed8b8eb50cbd8673d79f1c52466965001a2156640d16f2efd532f does not match postaction fingerprint 04c115f9840d916b37e6364c18bdbf9f8760b779b16afb83c4add99ae6b5ae12" });
+            await assert.rejects(anomaly.revert(system), { message: "Unable to revert - current fingerprint 8611c632ae3e5036bc319b65dab288f9088dd2a47e52893bb39f1d355f81bc87 does not match postaction fingerprint e8dc7b36beac30ab44ecb948341c566d22a5a49ceed87e395fb4dcee7203be91" });
+        });
+
+        it("should attach a null diff to the error if digests were not kept", async function() {
+
+            let system = { message: "hello there", score:  32 };
+            await anomaly.action(system);
+            system.message = "hello there again";
+            await assert.rejects(anomaly.revert(system), { diff: null });
+        });
+
+        it("should attach a key-level diff to the error if digests were kept", async function() {
+
+            let system = { message: "hello there", score:  32 };
+            let my_anomaly = new Anomaly({ keep_digests: true });
+            await my_anomaly.action(system);
+            system.message = "hello there again";
+            delete system.score;
+            system.extra = true;
+
+            await assert.rejects(my_anomaly.revert(system), (e) => {
+
+                assert.deepEqual(e.diff.toJSON(), { added: ["extra"], removed: ["score"], changed: ["message"] }, "diff should show which keys drifted");
+                return true;
+            });
+        });
+    });
+
+    describe("digest() / diff()", function() {
+
+        it("digest() uses the same keys as fingerprint()", async function() {
+
+            let my_anomaly = new Anomaly({fingerprint_keys: ["message"]});
+            assert.deepEqual(Object.keys(my_anomaly.digest({ message: "hello there", score:  32 })), ["message"], "digest should only contain fingerprinted keys");
+        });
+
+        it("diff() compares two systems", async function() {
+
+            let diff = anomaly.diff({ message: "hello there", score:  32 }, { message: "hello there", score:  33 });
+            assert.deepEqual(diff.changed, ["score"], "score should be changed");
+        });
+
+        it("diff() compares kept digests by name", async function() {
+
+            let my_anomaly = new Anomaly({ keep_digests: true });
+            my_anomaly._action = async (system) => { system.score++; };
+            let system = { message: "hello there", score:  32 };
+            await my_anomaly.action(system);
+
+            assert.deepEqual(my_anomaly.diff("preaction", "postaction").changed, ["score"], "score should be changed by the action");
+            assert.equal(my_anomaly.diff("postaction", system).empty, true, "system should match the postaction digest");
+        });
+
+        it("diff() throws if a named digest was not kept", async function() {
+
+            await anomaly.action({ message: "hello there" });
+            assert.throws(() => anomaly.diff("preaction", "postaction"), { message: "No preaction digest available - set keep_digests to keep digests during action()" });
+        });
+    });
+
+    describe("timeouts and abort signals", function() {
+
+        let never = (opts) => new Promise((resolve, reject) => opts.signal.addEventListener("abort", () => reject(new Error("noticed"))));
+
+        it("passes an abort signal to _action()", async function() {
+
+            let signal;
+            anomaly._action = async (system, opts) => { signal = opts.signal; };
+            await anomaly.action({}, { timeout: 1000 });
+            assert(signal instanceof AbortSignal, "_action() should receive a signal");
+        });
+
+        it("throws a TimeoutError if _action() takes too long, leaving the anomaly in the postaction state", async function() {
+
+            anomaly._action = async (system, opts) => never(opts);
+            await assert.rejects(anomaly.action({}, { timeout: 10 }), (e) => e instanceof TimeoutError && e.message == "action() timed out after 10ms");
+            assert.equal(anomaly.state, "postaction", "anomaly should be in the postaction state");
+        });
+
+        it("uses the shorter of the class timeout and opts.timeout", async function() {
+
+            class Slow extends Anomaly { static get timeout() { return 10; } async _evaluate(system, opts) { return never(opts); } }
+            await assert.rejects(new Slow().evaluate({}, { timeout: 5000 }), { message: "evaluate() timed out after 10ms" });
+        });
+
+        it("throws the abort reason if opts.signal aborts", async function() {
+
+            let controller = new AbortController();
+            anomaly._action = async (system, opts) => { controller.abort(new Error("cancelled")); return never(opts); };
+            await assert.rejects(anomaly.action({}, { signal: controller.signal }), { message: "cancelled" });
+        });
+
+        it("handles sync _evaluate() and _revert() under a timeout, and clears the timer", async function() {
+
+            class Sync extends Anomaly {
+                static get timeout() { return 20; }
+                async _action(system) { system.a = 1; }
+                _evaluate() { return "success"; }
+                _revert(system) { delete system.a; }
+            }
+
+            let system = {}, sync = new Sync();
+            await sync.action(system);
+            await sync.evaluate(system);
+            assert.deepEqual(sync.verdict.verdict, "success", "the sync verdict should be kept");
+            await sync.revert(system);
+            assert.deepEqual(system, {}, "the sync revert should have run");
+            assert.equal(sync.state, "reverted", "anomaly should be reverted");
+
+            // A timer left running would reject with nobody listening after 20ms
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        });
+
+        it("handles sync methods that throw, with a timeout or a signal", async function() {
+
+            class Throws extends Anomaly { static get timeout() { return 20; } _evaluate() { throw new Error("sync"); } }
+            await assert.rejects(new Throws().evaluate({}), { message: "sync" });
+            await assert.rejects(new Anomaly()._limit("evaluate", { signal: new AbortController().signal }, () => { throw new Error("sync"); }), { message: "sync" });
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        });
+
+        it("does not start if opts.signal has already aborted", async function() {
+
+            let called = false;
+            anomaly._action = async () => { called = true; };
+            await assert.rejects(anomaly.action({}, { signal: AbortSignal.abort(new Error("cancelled")) }), { message: "cancelled" });
+            assert.equal(called, false, "_action() should not have been called");
+        });
+    });
+
+    describe("evaluate() verdicts", function() {
+
+        it("resolves with no verdict if _evaluate() returns nothing", async function() {
+
+            await anomaly.action({});
+            await anomaly.evaluate({});
+            assert.equal(anomaly.state, "resolved", "anomaly should be resolved");
+            assert.equal(anomaly.verdict, null, "there should be no verdict");
+        });
+
+        it("keeps success and partial verdicts and resolves", async function() {
+
+            anomaly._evaluate = async () => ({ verdict: "partial", score: 0.5, notes: "half done" });
+            await anomaly.action({});
+            await anomaly.evaluate({});
+            assert.equal(anomaly.state, "resolved", "anomaly should be resolved");
+            assert.deepEqual(anomaly.verdict, { verdict: "partial", score: 0.5, notes: "half done", retry: false }, "verdict should be kept");
+        });
+
+        it("accepts a string verdict", async function() {
+
+            anomaly._evaluate = async () => "success";
+            await anomaly.action({});
+            await anomaly.evaluate({});
+            assert.deepEqual(anomaly.verdict, { verdict: "success", score: null, notes: null, retry: false }, "verdict should be normalized");
+        });
+
+        it("throws an EvaluationError on failure and stays in the postaction state", async function() {
+
+            anomaly._evaluate = async () => ({ verdict: "failure", notes: "still broken" });
+            await anomaly.action({});
+            await assert.rejects(anomaly.evaluate({}), (e) => e instanceof EvaluationError && e.message == "Evaluation failed: still broken" && e.criticality == "fatal");
+            assert.equal(anomaly.state, "postaction", "anomaly should still be in the postaction state");
+        });
+
+        it("makes the error nominal if the verdict asks for a retry", async function() {
+
+            anomaly._evaluate = async () => ({ verdict: "failure", retry: true });
+            await anomaly.action({});
+            await assert.rejects(anomaly.evaluate({}), { criticality: "nominal" });
+        });
+
+        it("rejects invalid verdicts", async function() {
+
+            anomaly._evaluate = async () => ({ verdict: "maybe" });
+            await anomaly.action({});
+            await assert.rejects(anomaly.evaluate({}), { message: "Invalid verdict: maybe" });
+        });
+
+        it("survives serialization", async function() {
+
+            anomaly._evaluate = async () => ({ verdict: "success", score: 1 });
+            await anomaly.action({});
+            await anomaly.evaluate({});
+            assert.deepEqual(Anomaly.from_json(JSON.parse(JSON.stringify(anomaly))).verdict, anomaly.verdict, "verdict should survive");
+        });
+    });
+
+    describe("record_changes", function() {
+
+        class RecordingAnomaly extends Anomaly {
+
+            constructor(params = {}) { super({ ...params, record_changes: true }); }
+            async _action(system) { system.message = system.message.toUpperCase(); system.tags.push("shouted"); delete system.score; }
+        }
+
+        it("records changes made by _action() in .journal", async function() {
+
+            let system = { message: "hello there", score: 32, tags: [] };
+            let my_anomaly = new RecordingAnomaly();
+            await my_anomaly.action(system);
+
+            assert.equal(system.message, "HELLO THERE", "_action() should have changed the system");
+            assert.equal(my_anomaly.journal.length, 5, "journal should contain the message set, the tags push (implicit length, element and length) and the score delete");
+        });
+
+        it("default _revert() undoes the recorded changes", async function() {
+
+            let system = { message: "hello there", score: 32, tags: [] };
+            let my_anomaly = new RecordingAnomaly();
+            await my_anomaly.action(system);
+            await my_anomaly.revert(system);
+
+            assert.deepStrictEqual(system, { message: "hello there", score: 32, tags: [] }, "system should be restored");
+        });
+
+        it("the journal survives serialization", async function() {
+
+            let system = { message: "hello there", score: 32, tags: [] };
+            let before = new RecordingAnomaly();
+            await before.action(system);
+            let after = new RecordingAnomaly(JSON.parse(JSON.stringify(before.toJSON())));
+            await after._revert(system);
+
+            assert.deepStrictEqual(system, { message: "hello there", score: 32, tags: [] }, "system should be restored");
+        });
+
+        it("does not record anything unless enabled", async function() {
+
+            anomaly._action = async (system) => { system.message = "changed"; };
+            await anomaly.action({ message: "hello there" });
+            assert.equal(anomaly.journal.length, 0, "journal should be empty");
+        });
+    });
+
+    describe("snapshot protocol", function() {
+
+        class Inventory {
+            constructor(items) { this.items = items; }
+            [Anomaly.toSnapshot]() { return { items: this.items }; }
+        }
+
+        class Database {
+            constructor(rows) { this.rows = rows; }
+        }
+
+        class UserDatabase extends Database {}
+
+        afterEach(function() {
+            Anomaly.unregister_snapshot(Database);
+            Anomaly.unregister_snapshot(UserDatabase);
+        });
+
+        it("uses the system's toSnapshot() method", function() {
+
+            assert.equal(Anomaly.toSnapshot, Symbol.for("gnomalies.toSnapshot"), "the symbol should be registered globally");
+            assert.equal(anomaly.fingerprint(new Inventory([1, 2])), anomaly.fingerprint({ items: [1, 2] }), "fingerprint should use the snapshot");
+        });
+
+        it("uses adapters registered for the system's class or a class it extends", function() {
+
+            Anomaly.register_snapshot(Database, (db) => ({ rows: db.rows }));
+            assert.equal(anomaly.fingerprint(new UserDatabase([1])), anomaly.fingerprint({ rows: [1] }), "the Database adapter should be used");
+
+            Anomaly.register_snapshot(UserDatabase, (db) => ({ users: db.rows }));
+            assert.equal(anomaly.fingerprint(new UserDatabase([1])), anomaly.fingerprint({ users: [1] }), "the nearer adapter should be used");
+
+            assert.equal(Anomaly.unregister_snapshot(UserDatabase), true, "unregister_snapshot() should find the adapter");
+            assert.equal(Anomaly.unregister_snapshot(UserDatabase), false, "the adapter should be gone");
+            assert.throws(() => Anomaly.register_snapshot(Database, "nope"), /Snapshot adapter must be a function/);
+        });
+
+        it("throws a helpful error for systems it can't snapshot", function() {
+
+            assert.throws(() => anomaly.fingerprint(new Database([1])), /Unable to snapshot system of type Database - give it an \[Anomaly.toSnapshot\]\(\) method/);
+        });
+
+        it("async snapshots give async fingerprints, digests and diffs", async function() {
+
+            Anomaly.register_snapshot(Database, async (db) => ({ rows: db.rows }));
+            let fingerprint = anomaly.fingerprint(new Database([1]));
+
+            assert(fingerprint instanceof Promise, "fingerprint should be a promise");
+            assert.equal(await fingerprint, anomaly.fingerprint({ rows: [1] }), "fingerprint should use the snapshot");
+            assert.deepEqual(await anomaly.digest(new Database([1])), anomaly.digest({ rows: [1] }), "digest should use the snapshot");
+            assert.deepEqual((await anomaly.diff(new Database([1]), { rows: [2] })).changed, ["rows.0"], "diff should use the snapshot");
+        });
+
+        it("action() and revert() wait for async snapshots", async function() {
+
+            class RecordingAnomaly extends Anomaly {
+                constructor(params = {}) { super({ ...params, record_changes: true, keep_digests: true }); }
+                async _action(system) { system.rows.push(2); }
+            }
+
+            Anomaly.register_snapshot(Database, async (db) => db);
+            let system = new Database([1]);
+            let my_anomaly = new RecordingAnomaly();
+            await my_anomaly.action(system);
+
+            assert.deepEqual(system.rows, [1, 2], "_action() should have changed the system through the snapshot");
+            assert.equal(my_anomaly.fingerprints.preaction, await anomaly.fingerprint(new Database([1])), "preaction fingerprint should be taken from the snapshot");
+            assert.deepEqual(my_anomaly.diff("preaction", "postaction").added, ["rows.1"], "digests should be taken from the snapshot");
+
+            await my_anomaly.revert(system);
+            assert.deepEqual(system.rows, [1], "revert() should have undone the change");
+        });
+    });
+
+    describe("hash_algorithm / merkle", function() {
+
+        class Sha512Anomaly extends Anomaly {
+            static get hash_algorithm() { return "sha512"; }
+        }
+
+        class MerkleAnomaly extends Anomaly {
+            static get merkle() { return true; }
+            async _action(system) { system.a.b = 2; }
+        }
+
+        class RecordingMerkleAnomaly extends MerkleAnomaly {
+            constructor(params = {}) { super({ ...params, record_changes: true }); }
+        }
+
+        it("fingerprints and digests use the class's hash algorithm", function() {
+
+            let system = { a: 1 };
+            assert.equal(new Sha512Anomaly().fingerprint(system).length, 128, "fingerprint should be a SHA512 hex string");
+            assert.equal(new Sha512Anomaly().digest(system).a.length, 128, "digest should contain SHA512 hex strings");
+        });
+
+        it("merkle fingerprints are the root of the tree", function() {
+
+            let system = { a: { b: 1 }, c: 1 };
+            let my_anomaly = new MerkleAnomaly();
+            assert.equal(my_anomaly.fingerprint(system), my_anomaly.tree(system).root, "fingerprint should be the tree root");
+            assert.notEqual(my_anomaly.fingerprint(system), anomaly.fingerprint(system), "merkle fingerprints should differ from flat ones");
+        });
+
+        it("merkle trees use fingerprint_keys", function() {
+
+            let system = { a: { b: 1 }, c: 1 };
+            let my_anomaly = new MerkleAnomaly({ fingerprint_keys: ["a.**"] });
+            assert.deepEqual(my_anomaly.tree(system).keys.map((key) => key.fullname), ["a.b"], "only a.b should be in the tree");
+            assert.throws(() => new MerkleAnomaly({ fingerprint_keys: ["d"] }).fingerprint(system), /the following keys were not found: d/);
+        });
+
+        it("action() keeps the trees, which can be compared", async function() {
+
+            let system = { a: { b: 1 }, c: { d: 1 } };
+            let my_anomaly = new MerkleAnomaly();
+            await my_anomaly.action(system);
+
+            assert.equal(my_anomaly.fingerprints.preaction, my_anomaly.tree("preaction").root, "preaction fingerprint should be the preaction tree root");
+            assert.equal(my_anomaly.fingerprints.postaction, my_anomaly.tree("postaction").root, "postaction fingerprint should be the postaction tree root");
+            assert.deepEqual(Merkle.compare(my_anomaly.tree("preaction"), my_anomaly.tree("postaction")), ["a.b"], "a.b should have changed");
+        });
+
+        it("with record_changes, the postaction tree matches a full rebuild and revert() works", async function() {
+
+            let system = { a: { b: 1 }, c: { d: 1 } };
+            let my_anomaly = new RecordingMerkleAnomaly();
+            await my_anomaly.action(system);
+
+            assert.equal(my_anomaly.fingerprints.postaction, my_anomaly.fingerprint(system), "postaction fingerprint should match a full rebuild");
+            assert.equal(my_anomaly.tree("postaction").hash("c"), my_anomaly.tree("preaction").hash("c"), "c should not have changed");
+
+            await my_anomaly.revert(system);
+            assert.deepStrictEqual(system, { a: { b: 1 }, c: { d: 1 } }, "system should be restored");
+        });
+
+        it("with record_changes, revert() only builds one tree", async function() {
+
+            let system = { a: { b: 1 }, c: { d: 1 } };
+            let my_anomaly = new RecordingMerkleAnomaly();
+            await my_anomaly.action(system);
+
+            let build = Merkle.prototype.build, builds = 0;
+            Merkle.prototype.build = function(...args) { builds++; return build.apply(this, args); };
+            try { await my_anomaly.revert(system); } finally { Merkle.prototype.build = build; }
+
+            assert.equal(builds, 1, "the tree checked after undoing the journal should be updated, not rebuilt");
+            assert.equal(my_anomaly.state, "reverted", "revert() should have succeeded");
+            assert.deepStrictEqual(system, { a: { b: 1 }, c: { d: 1 } }, "system should be restored");
+        });
+
+        it("with record_changes, revert() still checks changes made outside the journal", async function() {
+
+            class SloppyAnomaly extends RecordingMerkleAnomaly {
+                async _revert(system, opts) { await super._revert(system, opts); system.c.d = 2; }
+            }
+
+            let system = { a: { b: 1 }, c: { d: 1 } };
+            let my_anomaly = new SloppyAnomaly();
+            await my_anomaly.action(system);
+            await assert.rejects(my_anomaly.revert(system), /Revert failed - current fingerprint/);
+        });
+
+        it("trees are not persisted", async function() {
+
+            let my_anomaly = new MerkleAnomaly();
+            await my_anomaly.action({ a: { b: 1 } });
+            assert.equal(new MerkleAnomaly(JSON.parse(JSON.stringify(my_anomaly.toJSON()))).tree("preaction"), null, "trees should not survive serialization");
         });
     });
 
@@ -210,7 +886,61 @@ describe("Anomaly", function()  {
             assert.deepEqual(before.fingerprints, after.fingerprints, "before and after should have the same fingerprints");
         });
 
+        it(".fingerprints survive after action()", async function() {
+
+            await before.action(system);
+            after = SomeAnomaly.from_json(JSON.parse(JSON.stringify(before.toJSON())));
+            assert.equal(after.fingerprints.preaction, before.fingerprints.preaction, "preaction fingerprint should survive");
+            assert.equal(after.fingerprints.postaction, before.fingerprints.postaction, "postaction fingerprint should survive");
+        });
+
+        it(".history is unchanged", async function() {
+
+            before.log.info("something happened");
+            after = SomeAnomaly.from_json(JSON.parse(JSON.stringify(before.toJSON())));
+            assert.deepEqual(after.history, before.history, "before and after should have the same history");
+        });
+
+
+    });
+
+
+    describe("persisted / from_json()", function() {
+
+        class UndoAnomaly extends Anomaly {
+
+            undo_data = null;
+            seen = new Set();
+            static get persisted() { return [...super.persisted, "undo_data", "seen"]; }
+            _serialize(obj) { obj.seen = [...this.seen]; return obj; }
+            _deserialize(obj) { this.seen = new Set(obj.seen); }
+        }
+
+        it("restores subclass keys listed in .persisted", async function() {
+
+            let before = new UndoAnomaly();
+            before.undo_data = { message: "hello there" };
+            let after = UndoAnomaly.from_json(JSON.parse(JSON.stringify(before)));
+
+            assert(after instanceof UndoAnomaly, "from_json() should construct the class it was called on");
+            assert.deepEqual(after.undo_data, { message: "hello there" }, "undo_data should be restored");
+        });
+
+        it("uses _serialize() and _deserialize() hooks", async function() {
+
+            let before = new UndoAnomaly();
+            before.seen.add("a");
+            let json = JSON.parse(JSON.stringify(before));
+            let after = UndoAnomaly.from_json(json);
 
+            assert.deepEqual(json.seen, ["a"], "_serialize() should have converted the set");
+            assert(after.seen instanceof Set && after.seen.has("a"), "_deserialize() should have restored the set");
+        });
+
+        it("only serializes the keys it is given", async function() {
+
+            assert.deepEqual(Object.keys(anomaly.toJSON(["id", "state"])), ["id", "state"], "toJSON() should honor its keys parameter");
+        });
     });
 
 
@@ -0,0 +1,110 @@
+const { Cli } = require("../index.js");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough, Readable } = require("stream");
+
+
+let dir;
+
+// Run the cli in our temp dir, collecting what it writes
+async function cli(argv, stdin = "") {
+
+    let out = "", err = "";
+    let stdout = new PassThrough(), stderr = new PassThrough();
+    stdout.on("data", (chunk) => out += chunk);
+    stderr.on("data", (chunk) => err += chunk);
+
+    let code = await new Cli({ stdin: Readable.from([stdin]), stdout: stdout, stderr: stderr, cwd: dir }).run(argv);
+    return { code: code, out: out, err: err };
+}
+
+function read(file) { return fs.readFileSync(path.join(dir, file), "utf8"); }
+
+
+describe("Cli", function() {
+
+    this.beforeEach(function() {
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "gnomalies-"));
+        fs.writeFileSync(path.join(dir, "fixes.js"), `
+            const { Anomaly } = require(${JSON.stringify(path.resolve(__dirname, "../index.js"))});
+            class Count extends Anomaly { static _detect(system) { return system.count === undefined; } async _action(system) { system.count = 1; } async _revert(system) { delete system.count; } }
+            class Broken extends Anomaly { static _detect(system) { return system.broken; } async _action(system) { throw new Error("nope"); } }
+            module.exports = { Count, Broken, helper: () => 1 };
+        `);
+        fs.writeFileSync(path.join(dir, "system.json"), JSON.stringify({ a: 1 }));
+    });
+
+    this.afterEach(function() {
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("commands", function() {
+
+        it("detects, processes and reverts, keeping the queue in the state file", async function() {
+
+            let detected = await cli(["detect", "-c", "fixes.js", "-s", "system.json", "--state", "state.jsonl"]);
+            assert.equal(detected.code, 0, "detect should succeed");
+            assert.match(detected.out, /^Detected 1 anomaly:\n  Count \(.+\)\n1 queued, 0 paused, 0 dirty\.\n$/, "detect should list what it found");
+            assert.equal(read("state.jsonl").trim().split("\n").length, 1, "the state file should have the anomaly");
+
+            let processed = await cli(["process", "-c", "fixes.js", "-s", "system.json", "--state", "state.jsonl"]);
+            assert.equal(processed.code, 0, "process should succeed");
+            assert.match(processed.out, /^# gnomalies process\n/, "process should write the report");
+            assert.deepEqual(JSON.parse(read("system.json")), { a: 1, count: 1 }, "the system should be fixed");
+            assert.equal(JSON.parse(read("state.jsonl")).state, "resolved", "the state file should be updated");
+
+            let reverted = await cli(["revert", "-c", "fixes.js", "-s", "system.json", "--state", "state.jsonl", "--json"]);
+            assert.equal(reverted.code, 0, "a successful revert should exit 0");
+            assert.deepEqual(JSON.parse(reverted.out).report.counts, { reverted: 1 }, "revert should write the report as JSON");
+            assert.deepEqual(JSON.parse(read("system.json")), { a: 1 }, "the system should be reverted");
+
+            let again = await cli(["process", "--detect", "-c", "fixes.js", "-s", "system.json", "--state", "state.jsonl"]);
+            assert.equal(again.code, 0, "the reverted anomaly should not fail later runs");
+            assert.deepEqual(JSON.parse(read("system.json")), { a: 1, count: 1 }, "the system should be fixed again");
+        });
+
+        it("plans without changing anything", async function() {
+
+            fs.writeFileSync(path.join(dir, "system.json"), JSON.stringify({ broken: true }));
+            let planned = await cli(["plan", "-c", "fixes.js", "-s", "system.json", "--state", "state.jsonl", "--json"]);
+
+            let json = JSON.parse(planned.out);
+            assert.equal(planned.code, 1, "a plan with errors should exit 1");
+            assert.deepEqual(json.steps.map((step) => [step.name, step.changes.map((change) => change.path), step.error]), [["Count", ["count"], null], ["Broken", [], "nope"]], "plan should list the steps");
+            assert.deepEqual(JSON.parse(read("system.json")), { broken: true }, "the system should not change");
+            assert.equal(fs.existsSync(path.join(dir, "state.jsonl")), false, "no state should be written");
+        });
+
+        it("reads the system from stdin, and exits 1 when anomalies are left paused or dirty", async function() {
+
+            let result = await cli(["process", "--detect", "-c", "fixes.js", "-o", "-"], JSON.stringify({ broken: true }));
+            assert.equal(result.code, 1, "a paused anomaly should exit 1");
+            assert.deepEqual(JSON.parse(result.out), { broken: true, count: 1 }, "the system should be written to stdout");
+            assert.match(result.err, /\| Broken \| 1 \| 1 \| 0 \| reverted: 1 \|/, "the report should go to stderr");
+        });
+    });
+
+    describe("errors", function() {
+
+        it("exits 2 on bad usage or input", async function() {
+
+            assert.equal((await cli([])).code, 2, "no command should exit 2");
+            assert.match((await cli(["fix", "-c", "fixes.js"])).err, /^gnomalies: Unknown command: fix\n\nUsage:/, "unknown commands should show usage");
+            assert.match((await cli(["detect"])).err, /--classes is required/, "classes should be required");
+            assert.match((await cli(["process", "-c", "fixes.js"])).err, /--output is required when the system is read from stdin/, "stdin systems need an output");
+            assert.match((await cli(["detect", "-c", "fixes.js"], "{")).err, /Unable to parse system/, "bad JSON should be reported");
+            assert.equal((await cli(["detect", "-c", "system.json", "-s", "system.json"])).code, 2, "modules without classes should exit 2");
+        });
+
+        it("shows help", async function() {
+
+            let result = await cli(["--help"]);
+            assert.equal(result.code, 0, "help should exit 0");
+            assert.equal(result.out, Cli.usage, "help should show usage");
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { Diff } = require("../index.js");
+const { KeyExtractor } = require("../lib/KeyExtractor");
+const assert = require("assert");
+
+
+describe("Diff", function() {
+
+    describe("digest()", function() {
+
+        it("maps each key's full name to a hash", function() {
+
+            let digest = Diff.digest(KeyExtractor.extract({ a: 1, b: { c: "c" } }));
+            assert.deepEqual(Object.keys(digest).sort(), ["a", "b.c"], "digest should contain every key");
+            assert.equal(digest.a.length, 64, "digest values should be SHA256 hex strings");
+        });
+
+        it("distinguishes values of different types", function() {
+
+            let a = Diff.digest(KeyExtractor.extract({ a: 1 }));
+            let b = Diff.digest(KeyExtractor.extract({ a: "1" }));
+            assert.notEqual(a.a, b.a, "1 and \"1\" should have different digests");
+        });
+    });
+
+    describe("compare()", function() {
+
+        it("reports added, removed and changed keys", function() {
+
+            let before = Diff.digest(KeyExtractor.extract({ a: 1, b: 2, c: 3 }));
+            let after = Diff.digest(KeyExtractor.extract({ a: 1, b: 20, d: 4 }));
+            let diff = Diff.compare(before, after);
+
+            assert.deepEqual(diff.added, ["d"], "d should be added");
+            assert.deepEqual(diff.removed, ["c"], "c should be removed");
+            assert.deepEqual(diff.changed, ["b"], "b should be changed");
+            assert.equal(diff.empty, false, "diff should not be empty");
+        });
+
+        it("is empty for identical digests", function() {
+
+            let digest = Diff.digest(KeyExtractor.extract({ a: 1 }));
+            assert.equal(Diff.compare(digest, digest).empty, true, "diff should be empty");
+        });
+
+        it("handles keys named after Object.prototype properties", function() {
+
+            assert.deepEqual(Diff.compare({}, { constructor: "h" }).added, ["constructor"], "constructor should be added");
+            assert.deepEqual(Diff.compare({ toString: "h" }, {}).removed, ["toString"], "toString should be removed");
+
+            let before = Diff.digest(KeyExtractor.extract(JSON.parse('{ "__proto__": 1, "constructor": 2 }')));
+            let after = Diff.digest(KeyExtractor.extract(JSON.parse('{ "__proto__": 10, "constructor": 2 }')));
+            assert.deepEqual(Object.keys(before).sort(), ["__proto__", "constructor"], "__proto__ should be kept in the digest");
+            assert.deepEqual(Diff.compare(before, after).changed, ["__proto__"], "__proto__ should be changed");
+            assert.deepEqual(Diff.compare(JSON.parse(JSON.stringify(before)), after).changed, ["__proto__"], "digests should survive JSON");
+        });
+
+        it("throws if a digest is missing", function() {
+
+            assert.throws(() => Diff.compare(null, {}), { message: "'before' parameter must be a digest" });
+        });
+    });
+
+    describe("toJSON() / toString()", function() {
+
+        it("serializes and summarizes the differences", function() {
+
+            let diff = new Diff({ added: ["a"], changed: ["b", "c"] });
+            assert.deepEqual(JSON.parse(JSON.stringify(diff)), { added: ["a"], removed: [], changed: ["b", "c"] }, "toJSON() should contain all lists");
+            assert.equal(`${diff}`, "added: a; removed: (none); changed: b, c", "toString() should summarize the lists");
+        });
+    });
+
+});
@@ -45,9 +45,9 @@ let objects = [
 let paths = [
 
     [ new Key("test", "string") ],
-    [ new Key("a", "string"), new Key("b.A", "string") ],
+    [ new Key("a", "string"), new Key("A", "string", "b") ],
     [ new Key("a_map", "map"), new Key("a_set", "set"), new Key("a_date", "date") ],
-    [ new Key("an_array.0.item_one", "string"), new Key("an_array.0.item_two", "string"), new Key("an_array.1.item_three", "string"), new Key("an_array.1.item_four", "string"), new Key("a_string", "string"), new Key("a_number", "number"), new Key("a_boolean", "boolean"), new Key("a_null", "null"), new Key("a_undefined", "undefined"), new Key("a_map", "map"), new Key("a_set", "set"), new Key("a_date", "date"), new Key("a_function", "function") ]
+    [ new Key("item_one", "string", "an_array.0"), new Key("item_two", "string", "an_array.0"), new Key("item_three", "string", "an_array.1"), new Key("item_four", "string", "an_array.1"), new Key("a_string", "string"), new Key("a_number", "number"), new Key("a_boolean", "boolean"), new Key("a_null", "null"), new Key("a_undefined", "undefined"), new Key("a_map", "map"), new Key("a_set", "set"), new Key("a_date", "date"), new Key("a_function", "function") ]
 ];
 
 describe("Key", function() {
@@ -80,6 +80,52 @@ describe("Key", function() {
             assert.equal(sorted[2].compare(new Key("c", "string")), 0, "Key.compare() should work to sort an array of Keys");
         });
     });
+
+    describe("paths", function() {
+
+        it("escapes dots and backslashes in names", function() {
+
+            assert.equal(new Key("c", "number", ["a.b"]).fullname, "a\\.b.c", "dots should be escaped");
+            assert.equal(new Key("c\\d", "number", "a").fullname, "a.c\\\\d", "backslashes should be escaped");
+            assert.deepEqual(new Key("c", "number", "a\\.b").segments, ["a.b", "c"], "string paths should be parsed");
+        });
+
+        it("parses escaped paths", function() {
+
+            assert.deepEqual(Key.parse("a\\.b.c\\\\.d"), ["a.b", "c\\", "d"], "should unescape segments");
+            assert.deepEqual(Key.parse(""), [], "empty path has no segments");
+            assert.throws(() => Key.parse("a\\"), /ends with an escape/, "should reject a trailing escape");
+        });
+
+        it("writes and parses JSON Pointers", function() {
+
+            let key = new Key("c~d", "number", ["a/b"]);
+            assert.equal(key.pointer, "/a~1b/c~0d", "should escape / and ~");
+            assert.deepEqual(Key.parse(key.pointer), ["a/b", "c~d"], "should round trip");
+            assert.deepEqual(Key.parse("/a.b//0"), ["a.b", "", "0"], "should keep dots and empty segments");
+            assert.throws(() => Key.parse("/a~2"), /Invalid JSON Pointer/, "should reject bad escapes");
+        });
+
+        it("escapes a leading / so full names aren't read as JSON Pointers", function() {
+
+            let key = new Key("/b", "number", ["/a"]);
+            assert.equal(key.fullname, "\\/a.\\/b", "a / at the start of a segment should be escaped");
+            assert.deepEqual(Key.parse(key.fullname), ["/a", "/b"], "should round trip");
+            assert.equal(new Key("a/b", "number").fullname, "a/b", "other slashes should not be escaped");
+        });
+
+        it("sorts array indices numerically", function() {
+
+            let keys = ["a.10", "a.2", "a.b", "a.1.x", "a.01"].map((name) => new Key(name.split(".").pop(), "number", name.split(".").slice(0, -1)));
+            assert.deepEqual(keys.sort(Key.compare).map((key) => key.fullname), ["a.01", "a.1.x", "a.2", "a.10", "a.b"], "indices should sort as numbers");
+        });
+
+        it("sorts parents before their children", function() {
+
+            assert.equal(Key.compare(new Key("a", "number"), new Key("b", "number", "a")), -1, "a should sort before a.b");
+            assert.equal(Key.compare(new Key("a-c", "number"), new Key("b", "number", "a")), 1, "a-c should sort after a.b");
+        });
+    });
 });
 
 
@@ -121,7 +167,7 @@ describe("KeyExtractor", function() {
             map.set("b", "b");
 
             let extracted = KeyExtractor.extract({ a_map : map }).sort(Key.compare);
-            let expected = [ new Key("a_map.a", "string"), new Key("a_map.b", "string") ].sort(Key.compare);
+            let expected = [ new Key("a", "string", "a_map"), new Key("b", "string", "a_map") ].sort(Key.compare);
 
             assert.equal(extracted.length, expected.length, "KeyExtractor.extract() should return the correct number of keys");
             assert.equal(extracted[0].compare(expected[0]), 0, "KeyExtractor.extract() should return the correct keys");
@@ -169,7 +215,7 @@ describe("KeyExtractor", function() {
             set.add(1);
 
             let extracted = KeyExtractor.extract({ a_set : set }).sort(Key.compare);
-            let expected = [ new Key("a_set.0", "string"), new Key("a_set.1", "string"), new Key("a_set.2", "number") ].sort(Key.compare);
+            let expected = [ new Key("0", "string", "a_set"), new Key("1", "string", "a_set"), new Key("2", "number", "a_set") ].sort(Key.compare);
 
             assert.equal(extracted.length, expected.length, "KeyExtractor.extract() should return the correct number of keys");
             assert.equal(extracted[0].compare(expected[0]), 0, "KeyExtractor.extract() should return the correct keys");
@@ -194,7 +240,7 @@ describe("KeyExtractor", function() {
             map.set("_an_object", { a : "a", b : "b", _a_map : new Map([ [ "a", "a" ], [ "b", "b" ] ]) });
 
             let extracted = KeyExtractor.extract(map).sort(Key.compare);
-            let expected = [ new Key("a", "string"), new Key("b", "string"), new Key("_an_object.a", "string"), new Key("_an_object.b", "string"), new Key("_an_object._a_map.a", "string"), new Key("_an_object._a_map.b", "string") ].sort(Key.compare);
+            let expected = [ new Key("a", "string"), new Key("b", "string"), new Key("a", "string", "_an_object"), new Key("b", "string", "_an_object"), new Key("a", "string", "_an_object._a_map"), new Key("b", "string", "_an_object._a_map") ].sort(Key.compare);
 
             assert.equal(extracted.length, expected.length, "KeyExtractor.extract() should return the correct number of keys");
             assert.equal(extracted[0].compare(expected[0]), 0, "KeyExtractor.extract() should return the correct keys");
@@ -242,6 +288,113 @@ describe("KeyExtractor", function() {
             assert.equal(extracted[1].value, "chocolate", "KeyExtractor.extract() should return the correct value for each key");
         });
 
+        it("turns circular references into back-references", function() {
+
+            let system = { name : "root", child : { name : "child" } };
+            system.child.parent = system;
+            system.child.self = system.child;
+            system.list = [system.child];
+
+            let keys = KeyExtractor.extract(system).sort(Key.compare);
+            let refs = keys.filter((key) => key.type == "ref").map((key) => [key.fullname, key.value.$ref]);
+
+            assert.deepEqual(refs, [["child.parent", ""], ["child.self", "/child"], ["list.0.parent", ""], ["list.0.self", "/list/0"]], "references should point back to their targets");
+            assert.deepEqual(keys.filter((key) => key.type != "ref").map((key) => key.fullname), ["child.name", "list.0.name", "name"], "shared objects should be extracted where they appear");
+        });
+
+        it("follows cycles through maps and sets", function() {
+
+            let map = new Map();
+            let set = new Set([map]);
+            map.set("set", set);
+
+            let keys = KeyExtractor.extract({ map : map });
+            assert.deepEqual(keys.map((key) => [key.fullname, key.type, key.value]), [["map.set.0", "ref", { $ref : "/map" }]], "should refer back to the map");
+        });
+
+        it("enforces max_depth", function() {
+
+            let deep = {};
+            let node = deep;
+            for (let i = 0; i < 20; i++) node = node.next = {};
+            node.value = 1;
+
+            assert.equal(KeyExtractor.extract(deep, { max_depth : 21 }).length, 1, "21 levels should be allowed");
+            assert.throws(() => KeyExtractor.extract(deep, { max_depth : 20 }), /next.value is more than 20 levels deep/, "should say where the limit was hit");
+            assert.equal(KeyExtractor.extract(deep, { max_depth : null }).length, 1, "null should mean no limit");
+        });
+
+        it("enforces max_keys", function() {
+
+            let system = { a : 1, b : 2, c : { d : 3 } };
+
+            assert.equal(KeyExtractor.extract(system, { max_keys : 3 }).length, 3, "3 keys should be allowed");
+            assert.throws(() => KeyExtractor.extract(system, { max_keys : 2 }), /more than 2 keys \(stopped at c.d\)/, "should say where the limit was hit");
+        });
+
+        it("rejects invalid limits", function() {
+
+            assert.throws(() => KeyExtractor.extract({}, { max_depth : 0 }), /Invalid 'max_depth' parameter/, "should reject max_depth 0");
+            assert.throws(() => KeyExtractor.extract({}, { max_keys : 1.5 }), /Invalid 'max_keys' parameter/, "should reject fractional max_keys");
+        });
+
+        it("treats dates, bigints, buffers and typed arrays as typed leaves", function() {
+
+            let system = { d : new Date(0), n : 10n, b : Buffer.from("hi"), f : new Float32Array([1.5, 2]), u : new Uint8Array([1]), ab : new ArrayBuffer(2) };
+            let keys = KeyExtractor.extract(system);
+
+            assert.deepEqual(keys.map((key) => [key.fullname, key.type]), [["d", "date"], ["n", "bigint"], ["b", "buffer"], ["f", "float32array"], ["u", "uint8array"], ["ab", "arraybuffer"]], "should type each value");
+            assert.deepEqual(keys.map((key) => key.canonical), [
+                ["date", "1970-01-01T00:00:00.000Z"], ["bigint", "10"], ["buffer", "aGk="], ["float32array", ["1.5", "2"]], ["uint8array", ["1"]], ["arraybuffer", "AAA="]
+            ], "should encode each value canonically");
+        });
+
+        it("encodes values of different types differently", function() {
+
+            let encodings = [1, "1", 1n, true, "true", null, undefined, -0, 0, NaN].map((value) => JSON.stringify(KeyExtractor.encode(value)));
+            assert.equal(new Set(encodings).size, encodings.length, "every encoding should be different");
+        });
+
+        it("extracts symbol keys, and non-enumerable properties if asked", function() {
+
+            let id = Symbol("id");
+            let system = { [id] : 1, a : [1] };
+            Object.defineProperty(system, "hidden", { value : 2, enumerable : false });
+
+            assert.deepEqual(KeyExtractor.extract(system).map((key) => key.fullname), ["a.0", "Symbol(id)"], "should extract symbol keys but not hidden ones");
+            assert.deepEqual(KeyExtractor.extract(system, { non_enumerable : true }).map((key) => key.fullname), ["a.0", "hidden", "Symbol(id)"], "should extract hidden keys, but not array lengths");
+            assert.deepEqual(KeyExtractor.extract({ s : Symbol("x") })[0].canonical, ["symbol", "Symbol(x)"], "should encode symbol values");
+        });
+
+        it("uses registered encoders", function() {
+
+            class Money { constructor(cents) { this.cents = cents; } }
+            KeyExtractor.register("money", (value) => value instanceof Money, (value) => (value.cents / 100).toFixed(2));
+            try {
+
+                let keys = KeyExtractor.extract({ price : new Money(150) });
+                assert.deepEqual(keys.map((key) => [key.fullname, key.canonical]), [["price", ["money", "1.50"]]], "should treat Money as a leaf and encode it");
+
+            } finally {
+
+                assert.equal(KeyExtractor.unregister("money"), true, "should unregister the encoder");
+            }
+
+            assert.deepEqual(KeyExtractor.extract({ price : new Money(150) }).map((key) => key.fullname), ["price.cents"], "should walk Money again once unregistered");
+            assert.throws(() => KeyExtractor.register("", () => true, () => 1), /Invalid encoder name/, "should reject an empty name");
+        });
+
+        it("keeps dotted names apart from nested keys", function() {
+
+            let flat = KeyExtractor.extract({ "a.b" : 1 });
+            let nested = KeyExtractor.extract({ a : { b : 1 } });
+
+            assert.equal(flat[0].fullname, "a\\.b", "dotted name should be escaped");
+            assert.equal(nested[0].fullname, "a.b", "nested key should not be escaped");
+            assert.equal(flat[0].pointer, "/a.b", "dotted name should be one pointer segment");
+            assert.equal(nested[0].pointer, "/a/b", "nested key should be two pointer segments");
+        });
+
 
     });
 
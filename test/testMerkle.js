@@ -0,0 +1,128 @@
+const { Merkle, Recorder } = require("../index.js");
+const assert = require("assert");
+
+
+// Make changes through a recording proxy, then update a copy of the tree from the journal
+function changed(tree, system, change) {
+
+    let journal = [];
+    change(new Recorder(journal).wrap(system));
+    return tree.clone().update(system, journal.map((entry) => entry.path.map((segment) => String(Recorder.decode(segment)))));
+}
+
+
+describe("Merkle", function() {
+
+    describe("build()", function() {
+
+        it("gives the same root for the same keys, whatever their order", function() {
+
+            let a = new Merkle().build({ a: 1, b: { c: [1, 2], d: "d" } });
+            let b = new Merkle().build({ b: { d: "d", c: [1, 2] }, a: 1 });
+            assert.equal(a.root, b.root, "roots should match");
+            assert.deepEqual(a.keys.map((key) => key.fullname), ["a", "b.c.0", "b.c.1", "b.d"], "keys should be sorted");
+        });
+
+        it("distinguishes values of different types, and where they are", function() {
+
+            let root = new Merkle().build({ a: 1 }).root;
+            assert.notEqual(new Merkle().build({ a: "1" }).root, root, "1 and \"1\" should have different roots");
+            assert.notEqual(new Merkle().build({ b: 1 }).root, root, "the same value under a different key should have a different root");
+            assert.notEqual(new Merkle().build({ a: { "": 1 } }).root, root, "a value one level down should have a different root");
+        });
+
+        it("uses the algorithm it is given", function() {
+
+            let sha256 = new Merkle().build({ a: 1 });
+            let sha512 = new Merkle({ algorithm: "sha512" }).build({ a: 1 });
+            assert.equal(sha256.root.length, 64, "sha256 root should be 64 hex characters");
+            assert.equal(sha512.root.length, 128, "sha512 root should be 128 hex characters");
+            assert.throws(() => new Merkle({ algorithm: "nope" }), /Unsupported hash algorithm: nope/, "unknown algorithms should throw");
+        });
+
+        it("leaves out functions and keys that are not selected", function() {
+
+            let tree = new Merkle({ select: (keys) => keys.filter((key) => key.name != "skip") }).build({ a: 1, f: () => 1, b: { skip: 2 } });
+            assert.deepEqual(tree.keys.map((key) => key.fullname), ["a"], "only a should be in the tree");
+            assert.equal(tree.hash("b"), null, "a subtree with nothing selected should not be in the tree");
+        });
+
+        it("hashes subtrees, by escaped path or JSON Pointer", function() {
+
+            let tree = new Merkle().build({ "a.b": { c: 1 }, d: { c: 1 } });
+            assert.equal(tree.hash("a\\.b"), tree.hash("d"), "subtrees with the same keys should have the same hash");
+            assert.equal(tree.hash("/a.b"), tree.hash("a\\.b"), "JSON Pointers should work");
+            assert.equal(tree.hash(), tree.root, "the empty path should be the root");
+            assert.equal(tree.hash("e"), null, "missing paths should be null");
+        });
+    });
+
+    describe("update()", function() {
+
+        it("gives the same root as a full build", function() {
+
+            let system = { a: { b: 1, c: [1, 2, 3] }, d: new Map([["e", { f: 1 }]]), g: { h: 1 } };
+            let tree = new Merkle().build(system);
+            let updated = changed(tree, system, (s) => { s.a.b = 2; s.a.c.pop(); s.d.get("e").f = 2; s.d.set("i", {}); delete s.g.h; });
+
+            assert.equal(updated.root, new Merkle().build(system).root, "root should match a full build");
+            assert.notEqual(updated.root, tree.root, "root should have changed");
+            assert.deepEqual(updated.keys.map((key) => key.fullname), ["a.b", "a.c.0", "a.c.1", "d.e.f", "d.i", "g"], "keys should match the system");
+        });
+
+        it("only rehashes the subtrees that changed, and leaves the original tree alone", function() {
+
+            let system = { a: { b: 1 }, c: { d: 1 } };
+            let tree = new Merkle().build(system);
+            let root = tree.root, c = tree.hash("c");
+            let updated = changed(tree, system, (s) => { s.a.b = 2; });
+
+            assert.equal(updated.hash("c"), c, "c should keep its hash");
+            assert.notEqual(updated.hash("a"), tree.hash("a"), "a should have a new hash");
+            assert.equal(tree.root, root, "the original tree should not change");
+        });
+
+        it("rehashes every copy of a shared container", function() {
+
+            let shared = { x: 1 };
+            let system = { a: shared, b: { c: shared } };
+            let tree = new Merkle().build(system);
+            let updated = changed(tree, system, (s) => { s.a.x = 2; });
+
+            assert.equal(updated.root, new Merkle().build(system).root, "root should match a full build");
+            assert.equal(updated.hash("a"), updated.hash("b.c"), "both copies should have the new hash");
+        });
+
+        it("handles circular references", function() {
+
+            let system = { a: { b: 1 } };
+            system.a.self = system.a;
+            let tree = new Merkle().build(system);
+            let updated = changed(tree, system, (s) => { s.a.b = 2; s.a.c = { up: system }; });
+
+            assert.equal(updated.root, new Merkle().build(system).root, "root should match a full build");
+        });
+
+        it("rebuilds if the tree hasn't been built", function() {
+
+            assert.equal(new Merkle().update({ a: 1 }, [["a"]]).root, new Merkle().build({ a: 1 }).root, "root should match a full build");
+        });
+    });
+
+    describe("compare()", function() {
+
+        it("finds the highest subtrees that differ", function() {
+
+            let a = new Merkle().build({ a: { b: { c: 1, d: 1 } }, e: 1, f: { g: 1 } });
+            let b = new Merkle().build({ a: { b: { c: 2, d: 1 } }, e: 1, h: { i: 1 } });
+            assert.deepEqual(Merkle.compare(a, b), ["a.b.c", "f", "h"], "changed, removed and added subtrees should be reported");
+            assert.deepEqual(Merkle.compare(a, a.clone()), [], "identical trees should have no differences");
+        });
+
+        it("refuses trees that can't be compared", function() {
+
+            assert.throws(() => Merkle.compare(new Merkle(), new Merkle().build({})), /must be a built Merkle tree/);
+            assert.throws(() => Merkle.compare(new Merkle().build({}), new Merkle({ algorithm: "sha512" }).build({})), /different algorithms/);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const { Metrics } = require("../index.js");
+const assert = require("assert");
+
+
+let metrics;
+
+describe("Metrics", function() {
+
+    this.beforeEach(function() {
+
+        metrics = new Metrics({ buckets: [0.1, 1] });
+    });
+
+    describe("counters", function() {
+
+        it("counts events per class", function() {
+
+            metrics.increment("Fix", "detected");
+            metrics.increment("Fix", "detected", 2);
+            metrics.increment("Other", "paused");
+
+            assert.equal(metrics.count("Fix", "detected"), 3, "Fix should have been detected 3 times");
+            assert.equal(metrics.count("Fix", "paused"), 0, "Fix should not have been paused");
+            assert.deepEqual(metrics.classes, ["Fix", "Other"], "both classes should have metrics");
+            assert.throws(() => metrics.increment("Fix", "exploded"), /Invalid event: exploded/);
+            assert.throws(() => metrics.increment("", "detected"), /Invalid class name/);
+        });
+    });
+
+    describe("histograms", function() {
+
+        it("puts observations in buckets, by outcome", function() {
+
+            metrics.observe("Fix", "action", 0.05);
+            metrics.observe("Fix", "action", 0.5);
+            metrics.observe("Fix", "action", 5);
+            metrics.observe("Fix", "action", 0.2, "error");
+
+            assert.deepEqual(metrics.histogram("Fix", "action"), { buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }, { le: Infinity, count: 3 }], sum: 5.55, count: 3 }, "buckets should be cumulative");
+            assert.equal(metrics.histogram("Fix", "action", "error").count, 1, "errors should be kept apart");
+            assert.equal(metrics.histogram("Fix", "revert"), null, "phases without observations should be null");
+            assert.throws(() => metrics.observe("Fix", "lunch", 1), /Invalid phase: lunch/);
+            assert.throws(() => new Metrics({ buckets: [1, 0.5] }), /Invalid 'buckets' parameter/);
+        });
+
+        it("times phases, with spans", async function() {
+
+            let spans = [];
+            let tracer = { startSpan: (name, options) => { let span = { name: name, attributes: options.attributes, ended: false, end() { this.ended = true; }, recordException(e) { this.exception = e; }, setStatus(status) { this.status = status; } }; spans.push(span); return span; } };
+            metrics = new Metrics({ tracer: tracer });
+
+            assert.equal(await metrics.time("Fix", "evaluate", async () => 42, { "gnomalies.anomaly_id": "1" }), 42, "time() should return the result");
+            await assert.rejects(metrics.time("Fix", "revert", async () => { throw new Error("nope"); }), /nope/);
+
+            assert.equal(metrics.histogram("Fix", "evaluate").count, 1, "evaluate should be timed");
+            assert.equal(metrics.histogram("Fix", "revert", "error").count, 1, "the failed revert should be timed as an error");
+            assert.deepEqual(spans[0].attributes, { "gnomalies.class": "Fix", "gnomalies.phase": "evaluate", "gnomalies.anomaly_id": "1" }, "span should have attributes");
+            assert.equal(spans[0].name, "gnomalies.evaluate", "span should be named after the phase");
+            assert.equal(spans.every((span) => span.ended), true, "spans should be ended");
+            assert.equal(spans[1].exception.message, "nope", "exception should be recorded");
+            assert.deepEqual(spans[1].status, { code: 2, message: "nope" }, "span should have an error status");
+            assert.throws(() => new Metrics({ tracer: {} }), /startSpan/);
+        });
+    });
+
+    describe("exporters", function() {
+
+        it("renders the Prometheus text format", function() {
+
+            metrics.increment("Fix", "resolved");
+            metrics.increment("Say \"hi\"\\now", "paused");
+            metrics.observe("Fix", "action", 0.05);
+
+            let text = metrics.to_prometheus({ prefix: "remediation" });
+            assert.match(text, /^# HELP remediation_anomalies_total .+\n# TYPE remediation_anomalies_total counter\n/, "counter should have help and type");
+            assert.match(text, /\nremediation_anomalies_total\{class="Fix",event="resolved"\} 1\n/, "counter should be rendered");
+            assert.match(text, /\nremediation_anomalies_total\{class="Fix",event="dirty"\} 0\n/, "every event should be rendered");
+            assert.match(text, /\nremediation_anomalies_total\{class="Say \\"hi\\"\\\\now",event="paused"\} 1\n/, "labels should be escaped");
+            assert.match(text, /\n# TYPE remediation_phase_duration_seconds histogram\n/, "histogram should have a type");
+            assert.match(text, /\nremediation_phase_duration_seconds_bucket\{class="Fix",phase="action",outcome="success",le="0.1"\} 1\n/, "buckets should be rendered");
+            assert.match(text, /\nremediation_phase_duration_seconds_bucket\{class="Fix",phase="action",outcome="success",le="\+Inf"\} 1\n/, "+Inf bucket should be rendered");
+            assert.match(text, /\nremediation_phase_duration_seconds_count\{class="Fix",phase="action",outcome="success"\} 1\n$/, "count should be rendered");
+            assert.throws(() => metrics.to_prometheus({ prefix: "not valid" }), /Invalid 'prefix' parameter/);
+        });
+
+        it("converts to JSON and resets", function() {
+
+            metrics.increment("Fix", "actioned");
+            metrics.observe("Fix", "action", 0.5);
+
+            let json = JSON.parse(JSON.stringify(metrics));
+            assert.deepEqual(json.counters, { Fix: { detected: 0, actioned: 1, resolved: 0, reverted: 0, paused: 0, dirty: 0 } }, "counters should be in the JSON");
+            assert.equal(json.histograms.Fix.action.success.count, 1, "histograms should be in the JSON");
+            assert.deepEqual(metrics.reset().classes, [], "reset() should forget everything");
+        });
+    });
+});
@@ -1,4 +1,4 @@
-const { Anomaly, Processor } = require("../index.js");
+const { Anomaly, Processor, Metrics, NominalError, FatalError } = require("../index.js");
 const assert = require("assert");
 
 
@@ -29,6 +29,20 @@ describe("Processor", function() {
             assert.equal(processor.anomalies.length, 1, "detect() should have instantiated an object");
             assert(processor.anomalies[0] instanceof TestAnomaly, "detect() should have instantiated the correct object");
         });
+
+        it("does not pass the system to the anomaly constructor", async function() {
+
+            class TestAnomaly extends Anomaly {}
+            TestAnomaly._detect = function() { return true;}
+
+            const processor = new Processor([TestAnomaly]);
+            await processor.detect({ verdict: "approved", journal: [{ op: "set" }], record_changes: true, keep_digests: true, pause_reason: "no", paused: true, state: "resolved", id: "system" });
+
+            let anomaly = processor.anomalies[0];
+            assert.deepEqual([anomaly.state, anomaly.paused, anomaly.pause_reason, anomaly.verdict], ["preaction", false, null, null], "the anomaly should start fresh");
+            assert.deepEqual([anomaly.record_changes, anomaly.keep_digests, anomaly.journal], [false, false, []], "the system should not change how the anomaly works");
+            assert.notEqual(anomaly.id, "system", "the anomaly should get its own id");
+        });
     });
 
     describe("process()", function() {
@@ -83,6 +97,22 @@ describe("Processor", function() {
                 
                 assert.equal(processor.anomalies[0].paused, true, "anomaly was paused due to throw in _action()");
                 assert.equal(processor.anomalies[0].dirty, true, "anomaly was dirty due to improper reversion");
+                assert.equal(processor.anomalies[0].state, "failed", "anomaly should be in the failed state");
+        });
+
+        it("pause reason includes the drift if digests were kept", async function() {
+                
+            class TestAnomaly extends Anomaly {}
+            TestAnomaly.prototype._action = async function(system) { system.test = "modified"; throw new Error("test"); }
+
+            const processor = new Processor();
+            processor.anomalies.push(new TestAnomaly({ keep_digests: true }));
+            let reason;
+            processor.on("pause", (e) => reason = e.reason);
+            await processor.process({ "test": "test" });
+
+            assert.equal(processor.anomalies[0].dirty, true, "anomaly was dirty due to improper reversion");
+            assert.match(reason, /\(drift: added: \(none\); removed: \(none\); changed: test\)$/, "pause reason should include the drift");
         });
 
         it("anomaly is paused clean if _revert() does not properly revert after _action throws", async function() {
@@ -99,6 +129,25 @@ describe("Processor", function() {
             assert.equal(processor.anomalies[0].dirty, false, "anomaly was clean due to proper reversion");
         });
 
+        it("reverts systems with async snapshots", async function() {
+
+            class Store {
+                constructor() { this.data = { test: "test" }; }
+                async [Anomaly.toSnapshot]() { return this.data; }
+            }
+
+            class TestAnomaly extends Anomaly {}
+            TestAnomaly.prototype._action = async function(system) { system.data.test = "modified"; throw new Error("test"); }
+            TestAnomaly.prototype._revert = async function(system) { system.data.test = "test"; }
+
+            const processor = new Processor();
+            processor.anomalies.push(new TestAnomaly());
+            await processor.process(new Store());
+
+            assert.equal(processor.anomalies[0].paused, true, "anomaly was paused due to throw in _action()");
+            assert.equal(processor.anomalies[0].dirty, false, "anomaly was clean due to proper reversion");
+        });
+
     });
 
     describe("serialize() / deserialize()", function() {
@@ -128,6 +177,1019 @@ describe("Processor", function() {
             assert(deserialized.anomalies[2] instanceof TestAnomaly3, "deserialized anomalies should be the same type");
         });
 
+        it("anomalies in the postaction state can still be reverted", async function() {
+
+            class TestAnomaly extends Anomaly {
+                undo = null;
+                static get persisted() { return [...super.persisted, "undo"]; }
+                async _action(system) { this.undo = system.test; system.test = "modified"; }
+                async _revert(system) { system.test = this.undo; }
+            }
+
+            let system = { "test": "test" };
+            const processor = new Processor([TestAnomaly]);
+            processor.anomalies.push(new TestAnomaly());
+            await processor.anomalies[0].action(system);
+
+            const deserialized = new Processor([TestAnomaly]).deserialize(processor.serialize());
+            assert.equal(deserialized.anomalies[0].state, "postaction", "anomaly should still be in the postaction state");
+            await deserialized.anomalies[0].revert(system);
+            assert.equal(system.test, "test", "system should be reverted");
+        });
+
+        it("recorded changes can be reverted", async function() {
+
+            class TestAnomaly extends Anomaly {
+                async _action(system) { system.test = "modified"; }
+            }
+
+            let system = { "test": "test" };
+            const processor = new Processor([TestAnomaly]);
+            processor.anomalies.push(new TestAnomaly({ record_changes: true }));
+            await processor.anomalies[0].action(system);
+
+            const deserialized = new Processor([TestAnomaly]).deserialize(processor.serialize());
+            await deserialized.anomalies[0].revert(system);
+            assert.equal(system.test, "test", "system should be reverted");
+        });
+
+    });
+
+    describe("schema versioning and migrations", function() {
+
+        it("serialize() records the format and schema versions", async function() {
+
+            class TestAnomaly extends Anomaly { static get schema_version() { return 3; } }
+
+            const processor = new Processor([TestAnomaly]);
+            processor.anomalies.push(new TestAnomaly());
+            let record = JSON.parse(processor.serialize());
+
+            assert.equal(record.format, Processor.format_version, "record should carry the format version");
+            assert.equal(record.schema_version, 3, "record should carry the class schema version");
+        });
+
+        it("loads unversioned records", async function() {
+
+            class TestAnomaly extends Anomaly {}
+
+            const processor = new Processor([TestAnomaly]).deserialize(JSON.stringify({ name: "TestAnomaly", id: "abc" }));
+            assert.equal(processor.anomalies[0].id, "abc", "record should have been loaded");
+        });
+
+        it("refuses old records with fingerprints that can't match", async function() {
+
+            class TestAnomaly extends Anomaly {}
+
+            const processor = new Processor([TestAnomaly]);
+            let old = { name: "TestAnomaly", format: 1, state: "resolved", fingerprints: { preaction: "a", postaction: "b" } };
+            assert.throws(() => processor.deserialize(JSON.stringify(old)), { message: "Line 1: Fingerprints in format version 1 records can't be checked by format 2 - finish this anomaly with the version that saved it" });
+            assert.throws(() => processor.deserialize(JSON.stringify({ name: "TestAnomaly", digests: { preaction: { a: "x" } } })), /Fingerprints in format version 0 records/);
+
+            processor.deserialize(JSON.stringify({ name: "TestAnomaly", format: 1, fingerprints: { preaction: null, postaction: null } }));
+            assert.equal(processor.anomalies.length, 1, "records without fingerprints should still load");
+        });
+
+        it("chains migrations up to the current schema version", async function() {
+
+            class TestAnomaly extends Anomaly {
+                undo = null;
+                static get schema_version() { return 3; }
+                static get persisted() { return [...super.persisted, "undo"]; }
+            }
+
+            const processor = new Processor([TestAnomaly])
+                .add_migration(TestAnomaly, 1, (record) => { record.old_undo = record.legacy; delete record.legacy; return record; })
+                .add_migration("TestAnomaly", 2, (record) => ({ ...record, undo: record.old_undo }));
+            processor.deserialize(JSON.stringify({ name: "TestAnomaly", legacy: "value" }));
+
+            assert.equal(processor.anomalies[0].undo, "value", "both migrations should have run");
+        });
+
+        it("throws if a migration is missing", async function() {
+
+            class TestAnomaly extends Anomaly { static get schema_version() { return 2; } }
+
+            const processor = new Processor([TestAnomaly]);
+            assert.throws(() => processor.deserialize(JSON.stringify({ name: "TestAnomaly" })), { message: "Line 1: No migration for TestAnomaly from schema version 1" });
+        });
+
+        it("throws on records from the future", async function() {
+
+            class TestAnomaly extends Anomaly {}
+
+            const processor = new Processor([TestAnomaly]);
+            assert.throws(() => processor.deserialize(JSON.stringify({ name: "TestAnomaly", schema_version: 2 })), { message: "Line 1: Unsupported schema version 2 for TestAnomaly (expected 1 or lower)" });
+            assert.throws(() => processor.deserialize(JSON.stringify({ name: "TestAnomaly", format: 99 })), { message: `Line 1: Unsupported format version 99 (expected ${Processor.format_version} or lower)` });
+        });
+
+        it("loads renamed classes through aliases", async function() {
+
+            class NewName extends Anomaly {}
+
+            const processor = new Processor([NewName]).add_alias("OldName", NewName);
+            processor.deserialize(JSON.stringify({ name: "OldName" }));
+
+            assert(processor.anomalies[0] instanceof NewName, "record should have been loaded as the new class");
+            assert.equal(JSON.parse(processor.serialize()).name, "NewName", "record should be saved under the new name");
+        });
+    });
+
+
+    describe("deserialize() / recover() with bad data", function() {
+
+        class TestAnomaly extends Anomaly {}
+        let good = JSON.stringify({ name: "TestAnomaly" });
+
+        it("deserialize() skips blank lines and a trailing newline", async function() {
+
+            const processor = new Processor([TestAnomaly]).deserialize(good + "\n\n" + good + "\n");
+            assert.equal(processor.anomalies.length, 2, "both records should be loaded");
+        });
+
+        it("deserialize() reports the line number of a bad record and loads nothing", async function() {
+
+            const processor = new Processor([TestAnomaly]);
+            assert.throws(() => processor.deserialize(good + "\n" + JSON.stringify({ name: "Nope" })), { message: "Line 2: Unknown class: Nope" });
+            assert.equal(processor.anomalies.length, 0, "nothing should be loaded");
+        });
+
+        it("recover() loads good records and quarantines the rest", async function() {
+
+            const processor = new Processor([TestAnomaly]);
+            let report = processor.recover([good, "{ not json", "", JSON.stringify({ name: "Nope" }), "[]", good].join("\n"));
+
+            assert.equal(report.loaded.length, 2, "two records should be loaded");
+            assert.equal(processor.anomalies.length, 2, "loaded records should be added to .anomalies");
+            assert.deepEqual(report.quarantined.map((q) => q.line), [2, 4, 5], "bad records should be quarantined with their line numbers");
+            assert.equal(report.quarantined[0].text, "{ not json", "quarantined records should keep their raw text");
+            assert.match(report.quarantined[0].error, /JSON/, "quarantined records should keep the parse error");
+            assert.equal(report.quarantined[1].error, "Unknown class: Nope", "unknown classes should be quarantined");
+            assert.equal(report.quarantined[2].error, "Record is not an object", "non-objects should be quarantined");
+            assert.deepEqual(processor.quarantine, report.quarantined, "quarantined records should be kept in .quarantine");
+        });
+
+        it("reset() clears the quarantine", async function() {
+
+            const processor = new Processor([TestAnomaly]);
+            processor.recover("{ not json");
+            processor.reset();
+            assert.equal(processor.quarantine.length, 0, "quarantine should be empty");
+        });
+    });
+
+
+    describe("dependencies and priorities", function() {
+
+        it("orders classes by priority, then by constructor order", async function() {
+
+            class A extends Anomaly {}
+            class B extends Anomaly { static get priority() { return 10; } }
+            class C extends Anomaly {}
+
+            assert.deepEqual(new Processor([A, B, C]).ordered_classes, [B, A, C], "B should come first");
+        });
+
+        it("orders classes by runs_after and runs_before before priority", async function() {
+
+            class Encoding extends Anomaly {}
+            class Dedupe extends Anomaly { static get priority() { return 10; } static get runs_after() { return [Encoding]; } }
+            class Cleanup extends Anomaly { static get runs_before() { return ["Encoding"]; } }
+
+            assert.deepEqual(new Processor([Dedupe, Encoding, Cleanup]).ordered_classes, [Cleanup, Encoding, Dedupe], "dependencies should come first");
+        });
+
+        it("throws on dependency cycles", async function() {
+
+            class A extends Anomaly { static get runs_after() { return ["B"]; } }
+            class B extends Anomaly { static get runs_after() { return ["C"]; } }
+            class C extends Anomaly { static get runs_after() { return ["B"]; } }
+
+            assert.throws(() => new Processor([A, B, C]), { message: "Dependency cycle: B -> C -> B" });
+        });
+
+        it("processes anomalies in dependency order", async function() {
+
+            let order = [];
+            class Encoding extends Anomaly { async _action() { order.push("Encoding"); } }
+            class Dedupe extends Anomaly { static get runs_after() { return [Encoding]; } async _action() { order.push("Dedupe"); } }
+
+            const processor = new Processor([Dedupe, Encoding]);
+            processor.anomalies.push(new Dedupe(), new Encoding());
+            await processor.process({});
+
+            assert.deepEqual(order, ["Encoding", "Dedupe"], "Encoding should be processed first");
+        });
+
+        it("skips dependents of paused anomalies", async function() {
+
+            let called = false;
+            class Encoding extends Anomaly { async _action() { throw new Error("test"); } }
+            class Dedupe extends Anomaly { static get runs_after() { return [Encoding]; } async _action() { called = true; } }
+            class Unrelated extends Anomaly {}
+
+            const processor = new Processor([Encoding, Dedupe, Unrelated]);
+            processor.anomalies.push(new Encoding(), new Dedupe(), new Unrelated());
+            let reasons = [];
+            processor.on("pause", (e) => reasons.push(e.reason));
+            await processor.process({});
+
+            assert.equal(called, false, "Dedupe should not have been actioned");
+            assert.equal(processor.anomalies[1].paused, true, "Dedupe should be paused");
+            assert.equal(processor.anomalies[1].state, "skipped", "Dedupe should be in the skipped state");
+            assert.equal(processor.anomalies[0].state, "reverted", "Encoding should be in the reverted state");
+            assert.deepEqual(processor.anomalies_with_state("skipped"), [processor.anomalies[1]], "anomalies_with_state() should find skipped anomalies");
+
+            await processor.anomalies[1].resume("checked");
+            assert.equal(processor.anomalies[1].state, "preaction", "resuming should make Dedupe ready to process again");
+            assert.equal(processor.anomalies[2].state, "resolved", "Unrelated should have been processed");
+            assert.match(reasons[1], /^skipped: depends on Encoding \(.*\) which is paused$/, "pause reason should name the blocking anomaly");
+        });
+    });
+
+
+    describe("revert()", function() {
+
+        it("reverts actioned anomalies, most recent first, without pausing them", async function() {
+
+            let order = [];
+            class A extends Anomaly { async _action(system) { system.a = 1; } async _revert(system) { order.push("A"); delete system.a; } }
+            class B extends Anomaly { async _action(system) { system.b = 1; } async _revert(system) { order.push("B"); delete system.b; } }
+
+            const system = {};
+            const processor = new Processor([A, B]);
+            processor.anomalies.push(new A(), new B());
+            await processor.process(system);
+            processor.anomalies.push(new A());
+
+            let result = await processor.revert(system);
+            assert.deepEqual(order, ["B", "A"], "anomalies should be reverted in reverse order");
+            assert.deepEqual(result.reverted, processor.anomalies.slice(0, 2).reverse(), "reverted anomalies should be listed");
+            assert.deepEqual(system, {}, "system should be reverted");
+            assert.deepEqual(processor.anomalies.map((anomaly) => [anomaly.state, anomaly.paused]), [["reverted", false], ["reverted", false], ["preaction", false]], "unprocessed anomalies should be left alone");
+            assert.equal(processor.report.ok, true, "a successful revert should not need attention");
+            assert.deepEqual(processor.report.counts, { reverted: 2, preaction: 1 }, "revert() should leave a report");
+        });
+    });
+
+    describe("metrics", function() {
+
+        it("counts and times each class's anomalies", async function() {
+
+            class Fix extends Anomaly { static _detect(system) { return !system.a; } async _action(system) { system.a = 1; } }
+            class Broken extends Anomaly { static _detect(system) { return !system.b; } async _action(system) { system.b = 1; throw new Error("test"); } async _revert(system) { delete system.b; } }
+            class Dirty extends Anomaly { static _detect(system) { return !system.c; } async _action(system) { system.c = 1; throw new Error("test"); } }
+
+            const processor = new Processor([Fix, Broken, Dirty]);
+            await processor.plan({});
+            assert.deepEqual(processor.metrics.classes, [], "plan() should not be measured");
+
+            await processor.detect({});
+            await processor.process({});
+            let metrics = processor.metrics;
+
+            assert.deepEqual([metrics.count("Fix", "detected"), metrics.count("Fix", "actioned"), metrics.count("Fix", "resolved"), metrics.count("Fix", "paused")], [1, 1, 1, 0], "Fix should be resolved");
+            assert.deepEqual([metrics.count("Broken", "actioned"), metrics.count("Broken", "reverted"), metrics.count("Broken", "paused"), metrics.count("Broken", "dirty")], [1, 1, 1, 0], "Broken should be reverted and paused");
+            assert.deepEqual([metrics.count("Dirty", "paused"), metrics.count("Dirty", "dirty")], [1, 1], "Dirty should be paused and dirty");
+            assert.equal(metrics.histogram("Fix", "detect").count, 1, "detection should be timed");
+            assert.equal(metrics.histogram("Fix", "evaluate").count, 1, "evaluation should be timed");
+            assert.equal(metrics.histogram("Broken", "action", "error").count, 1, "the failed action should be timed as an error");
+            assert.equal(metrics.histogram("Dirty", "revert", "error").count, 1, "the failed revert should be timed as an error");
+            assert.match(metrics.to_prometheus(), /gnomalies_anomalies_total\{class="Dirty",event="dirty"\} 1/, "metrics should render");
+        });
+
+        it("can be shared, and traced", async function() {
+
+            class Fix extends Anomaly { async _action(system) { system.a = 1; } }
+
+            let spans = [];
+            const metrics = new Metrics({ tracer: { startSpan: (name, options) => { spans.push({ name: name, ...options.attributes }); return { end() {} }; } } });
+            const processor = new Processor([Fix], { metrics: metrics });
+            processor.anomalies.push(new Fix());
+            await processor.process({}, {}, { correlation_id: "run-1" });
+
+            assert.equal(processor.metrics, metrics, "processor should use the metrics it was given");
+            assert.deepEqual(spans.map((span) => span.name), ["gnomalies.action", "gnomalies.evaluate"], "action and evaluate should have spans");
+            assert.equal(spans[0]["gnomalies.correlation_id"], "run-1", "spans should have the correlation id");
+            assert.equal(spans[0]["gnomalies.anomaly_id"], processor.anomalies[0].id, "spans should have the anomaly id");
+            assert.throws(() => new Processor([], { metrics: {} }), /Invalid 'metrics' parameter/);
+        });
     });
 
-});
\ No newline at end of file
+    describe("report", function() {
+
+        it("is null until something is processed", async function() {
+
+            assert.equal(new Processor().report, null, "report should be null");
+        });
+
+        it("describes the last process() call", async function() {
+
+            class Fix extends Anomaly { async _action(system) { system.a = 1; } }
+            class Broken extends Anomaly { async _action(system) { system.b = 1; throw new Error("test"); } async _revert(system) { delete system.b; } }
+
+            const processor = new Processor([Fix, Broken]);
+            processor.anomalies.push(new Fix(), new Broken());
+            await processor.process({});
+            let report = processor.report;
+
+            assert.deepEqual(report.counts, { resolved: 1, reverted: 1 }, "report should count states");
+            assert.deepEqual(report.paused.map((entry) => entry.name), ["Broken"], "Broken should be paused");
+            assert.equal(report.paused[0].reason, "fatal error: test", "pause reason should be reported");
+            assert.equal(report.anomalies[0].fingerprints.postaction, processor.anomalies[0].fingerprints.postaction, "fingerprints should be reported");
+            assert.deepEqual(Object.keys(report.anomalies[0].durations), ["action", "evaluate"], "Fix should have action and evaluate durations");
+            assert.deepEqual(Object.keys(report.anomalies[1].durations), ["action", "revert"], "Broken should have action and revert durations");
+        });
+
+        it("reports pause reasons that are no longer in the history", async function() {
+
+            class Broken extends Anomaly {
+                static get history_retention() { return { ...super.history_retention, max_entries : 1 }; }
+                async _action(system) { throw new Error("test"); }
+            }
+
+            const processor = new Processor([Broken]);
+            processor.anomalies.push(new Broken());
+            await processor.process({});
+            processor.anomalies[0].log.info("looked at, left paused");
+            await processor.process({});
+
+            assert(!processor.anomalies[0].history.some((entry) => entry.message.startsWith("pause()")), "the pause should have been dropped from the history");
+            assert.equal(processor.report.paused[0].reason, "fatal error: test", "pause reason should be reported");
+        });
+
+        it("tags log entries made during the call with its correlation id", async function() {
+
+            let calls = 0;
+            class Flaky extends Anomaly { static get retries() { return 1; } async _action(system) { if(++calls < 2) throw new NominalError("busy"); } }
+
+            const processor = new Processor([Flaky]);
+            processor.anomalies.push(new Flaky());
+            await processor.process({}, {}, { correlation_id : "nightly-1" });
+            let anomaly = processor.anomalies[0];
+
+            assert.equal(processor.report.correlation_id, "nightly-1", "report should have the correlation id");
+            assert.equal(anomaly.correlation_id, null, "correlation id should be cleared after the call");
+            assert.equal(anomaly.query_history({ correlation_id : "nightly-1" }).length, anomaly.history.length, "every entry should have the correlation id");
+            let failed = anomaly.history.find((entry) => entry.message.startsWith("_attempt(): attempt 1"));
+            assert.equal(failed.context.phase, "action", "failed attempt should have the phase");
+            assert.equal(failed.context.attempt, 1, "failed attempt should have the attempt number");
+            assert.match(failed.context.stack, /^Error: busy\n\s+at /, "failed attempt should have the stack");
+            assert.equal(anomaly.state, "resolved", "the retry should have worked");
+
+            await processor.process({});
+            assert.match(processor.report.correlation_id, /^[0-9a-f-]{36}$/, "correlation id should default to a uuid");
+        });
+
+        it("covers every pass of run()", async function() {
+
+            class First extends Anomaly { static _detect(system) { return !system.a; } async _action(system) { system.a = 1; } }
+            class Second extends Anomaly { static _detect(system) { return system.a && !system.b; } async _action(system) { system.b = 1; } }
+
+            const processor = new Processor([First, Second]);
+            await processor.run({});
+
+            assert.deepEqual(processor.report.counts, { resolved: 2 }, "report should cover both passes");
+            assert.equal(processor.report.anomalies.every((entry) => entry.durations.action >= 0), true, "both anomalies should have been timed");
+        });
+    });
+
+    describe("run()", function() {
+
+        it("repeats detect() and process() until nothing new is detected", async function() {
+
+            class AtoB extends Anomaly { async _action(system) { system.str = system.str.replace(/a/g, "b"); } }
+            class BtoC extends Anomaly { async _action(system) { system.str = system.str.replace(/b/g, "c"); } }
+            AtoB._detect = async (system) => system.str.includes("a");
+            BtoC._detect = async (system) => system.str.includes("b");
+
+            let system = { str: "a" };
+            let report = await new Processor([BtoC, AtoB]).run(system);
+
+            assert.equal(system.str, "c", "both anomalies should have been fixed");
+            assert.deepEqual(report, { passes: 2, converged: true, cycle: null, aborted: false }, "run should converge after two passes");
+        });
+
+        it("stops after max_passes", async function() {
+
+            class Counter extends Anomaly { async _action(system) { system.n++; } }
+            Counter._detect = async () => true;
+
+            let system = { n: 0 };
+            let report = await new Processor([Counter]).run(system, undefined, { max_passes: 3 });
+
+            assert.equal(system.n, 3, "three passes should have run");
+            assert.deepEqual(report, { passes: 3, converged: false, cycle: null, aborted: false }, "run should not converge");
+        });
+
+        it("detects oscillation and pauses the anomalies involved", async function() {
+
+            class Up extends Anomaly { async _action(system) { system.str = system.str.toUpperCase(); } }
+            class Down extends Anomaly { async _action(system) { system.str = system.str.toLowerCase(); } }
+            Up._detect = async (system) => /[a-z]/.test(system.str);
+            Down._detect = async (system) => /[A-Z]/.test(system.str);
+
+            let system = { str: "a" };
+            const processor = new Processor([Up, Down]);
+            let report = await processor.run(system);
+
+            assert.equal(report.converged, false, "run should not converge");
+            assert.deepEqual(report.cycle.classes, ["Up", "Down"], "both classes should be involved");
+            assert.equal(report.cycle.from, 0, "system should have returned to its initial state...");
+            assert.equal(report.cycle.to, 2, "...after the second pass");
+            assert.equal(processor.anomalies.every((anomaly) => anomaly.paused), true, "all anomalies involved should be paused");
+        });
+
+        it("does not detect classes with paused anomalies again", async function() {
+
+            let detected = 0;
+            class Broken extends Anomaly { async _action() { throw new Error("test"); } }
+            Broken._detect = async () => { detected++; return true; };
+
+            let report = await new Processor([Broken]).run({});
+
+            assert.equal(detected, 1, "Broken should only be detected once");
+            assert.deepEqual(report, { passes: 1, converged: true, cycle: null, aborted: false }, "run should converge");
+        });
+    });
+
+
+    describe("plan()", function() {
+
+        class Shout extends Anomaly { async _action(system) { system.str = system.str.toUpperCase(); system.shouted = true; } }
+        class Trim extends Anomaly { async _action(system) { system.str = system.str.trim(); delete system.padding; } }
+        Shout._detect = async (system) => /[a-z]/.test(system.str);
+        Trim._detect = async (system) => system.str != system.str.trim();
+
+        it("lists the changes each anomaly would make", async function() {
+
+            const processor = new Processor([Trim, Shout]);
+            let plan = await processor.plan({ str: " hello ", padding: 1 });
+
+            assert.deepEqual(plan.steps.map((step) => step.name), ["Trim", "Shout"], "both anomalies should be planned in order");
+            assert.deepEqual(plan.steps[0].changes, [
+                { path: "padding", change: "removed", before: 1, after: undefined },
+                { path: "str", change: "changed", before: " hello ", after: "hello" }
+            ], "Trim should remove padding and trim str");
+            assert.deepEqual(plan.steps[1].changes, [
+                { path: "shouted", change: "added", before: undefined, after: true },
+                { path: "str", change: "changed", before: "hello", after: "HELLO" }
+            ], "Shout should see the trimmed str");
+            assert.deepEqual(plan.system, { str: "HELLO", shouted: true }, "plan should include the resulting system");
+        });
+
+        it("does not touch the system or the queue", async function() {
+
+            let system = { str: " hello ", padding: 1 };
+            const processor = new Processor([Trim, Shout]);
+            await processor.plan(system);
+
+            assert.deepEqual(system, { str: " hello ", padding: 1 }, "system should be unchanged");
+            assert.equal(processor.anomalies.length, 0, "no anomalies should be queued");
+        });
+
+        it("does not touch binary data, symbol keys or hidden properties in the system", async function() {
+
+            let tag = Symbol("tag");
+            class Poke extends Anomaly {
+                async _action(system) { system.buf[0] = 99; system.bytes[0] = 99; system.view.setUint8(0, 99); system[tag].v = 2; system.hidden.v = 2; }
+            }
+            Poke._detect = async () => true;
+
+            let system = { buf: Buffer.from([1, 2]), bytes: new Uint16Array([1, 2]), view: new DataView(new ArrayBuffer(2)), [tag]: { v: 1 } };
+            Object.defineProperty(system, "hidden", { value: { v: 1 }, enumerable: false });
+            system.self = system;
+
+            let plan = await new Processor([Poke]).plan(system);
+            assert.deepEqual([...system.buf], [1, 2], "the Buffer should be unchanged");
+            assert.deepEqual([...system.bytes], [1, 2], "the typed array should be unchanged");
+            assert.equal(system.view.getUint8(0), 0, "the DataView should be unchanged");
+            assert.equal(system[tag].v, 1, "symbol keyed values should be unchanged");
+            assert.equal(system.hidden.v, 1, "non-enumerable values should be unchanged");
+            assert.deepEqual(plan.steps[0].changes.map((change) => change.path), ["Symbol(tag).v", "buf", "bytes", "view"], "the changes should be planned");
+            assert(Buffer.isBuffer(plan.system.buf), "the copy should still have a Buffer");
+            assert.equal(plan.system.self, plan.system, "circular references should point at the copy");
+        });
+
+        it("records errors, discards their changes and skips dependents", async function() {
+
+            class Broken extends Anomaly { async _action(system) { system.str = "broken"; throw new Error("test"); } }
+            class After extends Anomaly { static get runs_after() { return [Broken]; } }
+            Broken._detect = async () => true;
+            After._detect = async () => true;
+
+            let plan = await new Processor([Broken, After]).plan({ str: "hello" });
+
+            assert.equal(plan.steps[0].error, "test", "error should be recorded");
+            assert.equal(plan.steps[1].skipped, true, "dependent should be skipped");
+            assert.deepEqual(plan.system, { str: "hello" }, "changes made before the error should be discarded");
+        });
+    });
+
+
+    describe("process() in transactional mode", function() {
+
+        class SetA extends Anomaly {
+            async _action(system) { this.undo = system.a; system.a = "A"; }
+            async _revert(system) { system.a = this.undo; }
+        }
+        class SetB extends Anomaly {
+            async _action(system) { this.undo = system.b; system.b = "B"; }
+            async _revert(system) { system.b = this.undo; }
+        }
+        class Broken extends Anomaly {
+            async _action(system) { system.c = "C"; throw new Error("test"); }
+            async _revert(system) { delete system.c; }
+        }
+
+        it("commits when nothing fails", async function() {
+
+            let system = { a: "a", b: "b" };
+            const processor = new Processor([SetA, SetB]);
+            processor.anomalies.push(new SetA(), new SetB());
+            let report = await processor.process(system, undefined, { transactional: true });
+
+            assert.deepEqual(report, { committed: true, failed: null, rolled_back: [], rollback_failures: [], aborted: false, unprocessed: [] }, "transaction should commit");
+            assert.deepEqual(system, { a: "A", b: "B" }, "both anomalies should be applied");
+        });
+
+        it("rolls back every anomaly in reverse order if one fails", async function() {
+
+            let order = [];
+            let system = { a: "a", b: "b" };
+            const processor = new Processor([SetA, SetB, Broken]);
+            processor.anomalies.push(new SetA(), new SetB(), new Broken());
+            processor.on("state", (e) => { if(e.new_state == "reverted") order.push(e.anomaly.name); });
+            let report = await processor.process(system, undefined, { transactional: true });
+
+            assert.equal(report.committed, false, "transaction should not commit");
+            assert.equal(report.failed.anomaly.name, "Broken", "Broken should be reported as the failure");
+            assert.deepEqual(order, ["Broken", "SetB", "SetA"], "anomalies should be rolled back in reverse order");
+            assert.deepEqual(system, { a: "a", b: "b" }, "system should be restored");
+            assert.equal(processor.anomalies.every((anomaly) => anomaly.paused && anomaly.state == "reverted" && !anomaly.dirty), true, "all anomalies should be paused and clean");
+        });
+
+        it("reports rollbacks that fail and leaves those anomalies dirty", async function() {
+
+            class Stubborn extends Anomaly { async _action(system) { system.d = "D"; } }
+
+            let system = { a: "a" };
+            const processor = new Processor([Stubborn, SetA, Broken]);
+            processor.anomalies.push(new Stubborn(), new SetA(), new Broken());
+            let report = await processor.process(system, undefined, { transactional: true });
+
+            assert.deepEqual(report.rolled_back.map((a) => a.name), ["Broken", "SetA"], "Broken and SetA should be rolled back");
+            assert.deepEqual(report.rollback_failures.map((f) => f.anomaly.name), ["Stubborn"], "Stubborn should fail to roll back");
+            assert.equal(processor.anomalies[0].dirty, true, "Stubborn should be dirty");
+        });
+    });
+
+
+    describe("retries", function() {
+
+        it("retries nominal errors, reverting between attempts", async function() {
+
+            let attempts = 0;
+            class Flaky extends Anomaly {
+                static get retries() { return 2; }
+                async _action(system) { attempts++; system.n++; if(attempts < 3) throw new NominalError("busy"); }
+                async _revert(system) { system.n--; }
+            }
+
+            let system = { n: 0 };
+            const processor = new Processor([Flaky]);
+            processor.anomalies.push(new Flaky());
+            await processor.process(system);
+
+            assert.equal(attempts, 3, "action should have been attempted three times");
+            assert.equal(system.n, 1, "failed attempts should have been reverted");
+            assert.equal(processor.anomalies[0].state, "resolved", "anomaly should be resolved");
+            assert.equal(processor.anomalies[0].history.filter((e) => /^_attempt\(\): attempt \d of 3 failed with nominal error: busy$/.test(e.message)).length, 2, "failed attempts should be in the history");
+        });
+
+        it("pauses when retries run out", async function() {
+
+            let attempts = 0;
+            class Flaky extends Anomaly {
+                static get retries() { return 1; }
+                async _action() { attempts++; throw new NominalError("busy"); }
+            }
+
+            const processor = new Processor([Flaky]);
+            processor.anomalies.push(new Flaky());
+            await processor.process({});
+
+            assert.equal(attempts, 2, "action should have been attempted twice");
+            assert.equal(processor.anomalies[0].paused, true, "anomaly should be paused");
+        });
+
+        it("does not retry fatal or unclassified errors", async function() {
+
+            let attempts = 0;
+            class Fatal extends Anomaly {
+                static get retries() { return 5; }
+                async _action() { attempts++; throw (attempts == 1 ? new FatalError("broken") : new Error("broken")); }
+            }
+
+            const processor = new Processor([Fatal]);
+            processor.anomalies.push(new Fatal(), new Fatal());
+            await processor.process({});
+
+            assert.equal(attempts, 2, "each anomaly should have been attempted once");
+            assert.equal(processor.anomalies.every((anomaly) => anomaly.paused), true, "anomalies should be paused");
+        });
+
+        it("waits for the backoff between retries", async function() {
+
+            let times = [];
+            class Slow extends Anomaly {
+                static get retries() { return 2; }
+                static get retry_backoff() { return 10; }
+                async _action() { times.push(Date.now()); throw new NominalError("busy"); }
+            }
+
+            const processor = new Processor([Slow]);
+            processor.anomalies.push(new Slow());
+            await processor.process({});
+
+            assert(times[1] - times[0] >= 9, "first retry should wait at least 10ms");
+            assert(times[2] - times[1] >= 19, "second retry should wait at least 20ms");
+        });
+    });
+
+
+    describe("timeouts and abort signals", function() {
+
+        it("treats a timed out action as a failure, reverting and pausing", async function() {
+
+            let reverted = false;
+            class Hangs extends Anomaly {
+                static get timeout() { return 10; }
+                async _action(system, opts) { system.test = "modified"; await new Promise(() => {}); }
+                async _revert(system) { reverted = true; system.test = "test"; }
+            }
+
+            const processor = new Processor([Hangs]);
+            processor.anomalies.push(new Hangs());
+            let system = { test: "test" };
+            await processor.process(system);
+
+            assert.equal(reverted, true, "_revert() should have been called");
+            assert.equal(processor.anomalies[0].paused, true, "anomaly should be paused");
+            assert.equal(processor.anomalies[0].dirty, false, "anomaly should be clean");
+            assert.equal(system.test, "test", "system should be reverted");
+        });
+
+        it("passes the signal to _detect()", async function() {
+
+            let signal;
+            class TestAnomaly extends Anomaly {}
+            TestAnomaly._detect = async (system, opts) => { signal = opts.signal; return false; };
+
+            let controller = new AbortController();
+            await new Processor([TestAnomaly]).detect({}, { signal: controller.signal });
+            assert.equal(signal, controller.signal, "_detect() should receive the signal");
+        });
+
+        it("stops between anomalies when the signal aborts and reports what is left", async function() {
+
+            let controller = new AbortController();
+            class First extends Anomaly {}
+            class Second extends Anomaly {}
+
+            const processor = new Processor([First, Second]);
+            processor.anomalies.push(new First(), new Second());
+            processor.on("state", (e) => { if(e.new_state == "resolved") controller.abort(); });
+            let report = await processor.process({}, { signal: controller.signal });
+
+            assert.equal(report.aborted, true, "report should show the abort");
+            assert.deepEqual(report.unprocessed, [processor.anomalies[1]], "Second should be unprocessed");
+            assert.equal(processor.anomalies[0].state, "resolved", "First should have finished");
+        });
+
+        it("reverts without the signal, so cleanup can finish after an abort", async function() {
+
+            let controller = new AbortController();
+            class Cancelled extends Anomaly {
+                async _action(system) { system.test = "modified"; controller.abort(new Error("cancelled")); }
+                async _revert(system, opts) { if(!opts?.signal?.aborted) system.test = "test"; }
+            }
+
+            const processor = new Processor([Cancelled]);
+            processor.anomalies.push(new Cancelled());
+            let system = { test: "test" };
+            await processor.process(system, { signal: controller.signal });
+
+            assert.equal(system.test, "test", "system should be reverted");
+            assert.equal(processor.anomalies[0].dirty, false, "anomaly should be clean");
+        });
+
+        it("rolls back a transaction when the signal aborts", async function() {
+
+            let controller = new AbortController();
+            class First extends Anomaly { async _action(system) { system.test = "modified"; } async _revert(system) { system.test = "test"; } }
+            class Second extends Anomaly {}
+
+            const processor = new Processor([First, Second]);
+            processor.anomalies.push(new First(), new Second());
+            processor.on("state", (e) => { if(e.new_state == "resolved") controller.abort(); });
+            let system = { test: "test" };
+            let report = await processor.process(system, { signal: controller.signal }, { transactional: true });
+
+            assert.equal(report.committed, false, "transaction should not commit");
+            assert.equal(report.aborted, true, "report should show the abort");
+            assert.equal(report.failed.anomaly, null, "no anomaly failed");
+            assert.deepEqual(report.rolled_back, [processor.anomalies[0]], "First should be rolled back");
+            assert.equal(system.test, "test", "system should be reverted");
+        });
+    });
+
+
+    describe("process() with concurrency", function() {
+
+        let active, peak, order;
+        class Slow extends Anomaly {
+            async _action(system) {
+                active++; peak = Math.max(peak, active); order.push(this.fingerprint_keys.join());
+                await new Promise((resolve) => setTimeout(resolve, 10));
+                for (let key of this.fingerprint_keys) system[key] = "done";
+                active--;
+            }
+        }
+
+        this.beforeEach(function() {
+            active = 0; peak = 0; order = [];
+        });
+
+        it("lets running anomalies finish before rejecting", async function() {
+
+            let appends = 0;
+            let store = { append : async () => { if(++appends == 3) throw new Error("disk full"); }, load : async () => [] };
+            const processor = new Processor([Slow], { store : store });
+            processor.anomalies.push(new Slow({ fingerprint_keys: ["a"] }), new Slow({ fingerprint_keys: ["b"] }), new Slow({ fingerprint_keys: ["c"] }));
+            let system = { a: 1, b: 2, c: 3 };
+
+            await assert.rejects(processor.process(system, undefined, { concurrency: 3 }), /disk full/);
+            let states = processor.anomalies.map((anomaly) => anomaly.state);
+            assert.equal(active, 0, "no action should still be running");
+            assert.deepEqual(states, ["resolved", "resolved", "preaction"], "the anomalies that started should have finished");
+
+            await new Promise((resolve) => setTimeout(resolve, 30));
+            assert.deepEqual(processor.anomalies.map((anomaly) => anomaly.state), states, "nothing should change after process() rejects");
+        });
+
+        it("runs anomalies with disjoint fingerprint_keys side by side, up to the limit", async function() {
+
+            const processor = new Processor([Slow]);
+            processor.anomalies.push(new Slow({ fingerprint_keys: ["a"] }), new Slow({ fingerprint_keys: ["b"] }), new Slow({ fingerprint_keys: ["c"] }));
+            let system = { a: 1, b: 2, c: 3 };
+            let report = await processor.process(system, undefined, { concurrency: 2 });
+
+            assert.equal(peak, 2, "two anomalies should have run at once");
+            assert.deepEqual(system, { a: "done", b: "done", c: "done" }, "all anomalies should be applied");
+            assert.deepEqual(report, { aborted: false, unprocessed: [] }, "nothing should be left");
+            assert.equal(processor.anomalies.every((anomaly) => anomaly.state == "resolved"), true, "all anomalies should be resolved");
+        });
+
+        it("serializes anomalies whose keys overlap, in order", async function() {
+
+            const processor = new Processor([Slow]);
+            processor.anomalies.push(new Slow({ fingerprint_keys: ["a"] }), new Slow({ fingerprint_keys: ["a", "b"] }), new Slow({ fingerprint_keys: ["b"] }));
+            await processor.process({ a: 1, b: 2 }, undefined, { concurrency: 3 });
+
+            assert.equal(peak, 1, "anomalies should have run one at a time");
+            assert.deepEqual(order, ["a", "a,b", "b"], "anomalies should keep their order");
+        });
+
+        it("treats anomalies without fingerprint_keys as overlapping everything", async function() {
+
+            class All extends Anomaly { async _action() { active++; peak = Math.max(peak, active); await new Promise((resolve) => setTimeout(resolve, 10)); active--; } }
+
+            const processor = new Processor([All]);
+            processor.anomalies.push(new All(), new All());
+            await processor.process({}, undefined, { concurrency: 2 });
+
+            assert.equal(peak, 1, "anomalies should have run one at a time");
+        });
+
+        it("compares fingerprint_keys patterns by their literal prefix", async function() {
+
+            class Pattern extends Anomaly { async _action() { active++; peak = Math.max(peak, active); await new Promise((resolve) => setTimeout(resolve, 10)); active--; } }
+            let system = { users: [{ email: "a@x" }], config: { colour: "red" } };
+
+            let processor = new Processor([Pattern]);
+            processor.anomalies.push(new Pattern({ fingerprint_keys: ["users.*.email"] }), new Pattern({ fingerprint_keys: ["config.**", "!users.**"] }));
+            await processor.process(system, undefined, { concurrency: 2 });
+            assert.equal(peak, 2, "disjoint patterns should run at once");
+
+            active = 0; peak = 0;
+            processor = new Processor([Pattern]);
+            processor.anomalies.push(new Pattern({ fingerprint_keys: ["users.*.email"] }), new Pattern({ fingerprint_keys: ["**.email"] }));
+            await processor.process(system, undefined, { concurrency: 2 });
+            assert.equal(peak, 1, "patterns starting with a wildcard should overlap everything");
+        });
+
+        it("reverts and pauses only the anomaly that failed, and forwards events", async function() {
+
+            class Broken extends Slow { async _action(system) { await super._action(system); throw new Error("test"); } async _revert(system) { system.b = 2; } }
+
+            const processor = new Processor([Slow, Broken]);
+            processor.anomalies.push(new Slow({ fingerprint_keys: ["a"] }), new Broken({ fingerprint_keys: ["b"] }));
+            let states = [];
+            processor.on("state", (e) => states.push(`${e.anomaly.name}:${e.new_state}`));
+            let system = { a: 1, b: 2 };
+            await processor.process(system, undefined, { concurrency: 2 });
+
+            assert.equal(peak, 2, "both anomalies should have run at once");
+            assert.deepEqual(system, { a: "done", b: 2 }, "only Broken should be reverted");
+            assert.equal(processor.anomalies[0].state, "resolved", "Slow should be resolved");
+            assert.equal(processor.anomalies[1].paused, true, "Broken should be paused");
+            assert(states.includes("Slow:resolved") && states.includes("Broken:postaction"), "state events should be forwarded");
+        });
+
+        it("can't be combined with transactional processing", async function() {
+
+            await assert.rejects(new Processor().process({}, undefined, { concurrency: 2, transactional: true }), { message: "Transactional processing can't be concurrent" });
+        });
+    });
+
+
+    describe("evaluate() verdicts", function() {
+
+        it("reverts and pauses on a failure verdict", async function() {
+
+            class Ineffective extends Anomaly {
+                async _action(system) { system.test = "modified"; }
+                async _revert(system) { system.test = "test"; }
+                async _evaluate() { return { verdict: "failure", notes: "did not help" }; }
+            }
+
+            const processor = new Processor([Ineffective]);
+            processor.anomalies.push(new Ineffective());
+            let system = { test: "test" };
+            await processor.process(system);
+
+            assert.equal(system.test, "test", "action should be reverted");
+            assert.equal(processor.anomalies[0].paused, true, "anomaly should be paused");
+            assert.equal(processor.anomalies[0].verdict.verdict, "failure", "verdict should be kept");
+        });
+
+        it("retries on a failure verdict that asks for a retry", async function() {
+
+            let evaluations = 0;
+            class Eventually extends Anomaly {
+                static get retries() { return 2; }
+                async _evaluate() { evaluations++; return evaluations < 2 ? { verdict: "failure", retry: true } : { verdict: "success", score: 1 }; }
+            }
+
+            const processor = new Processor([Eventually]);
+            processor.anomalies.push(new Eventually());
+            await processor.process({});
+
+            assert.equal(evaluations, 2, "anomaly should have been evaluated twice");
+            assert.equal(processor.anomalies[0].state, "resolved", "anomaly should be resolved");
+            assert.equal(JSON.parse(processor.serialize()).verdict.score, 1, "verdict should be serialized");
+        });
+    });
+
+    describe("stores", function() {
+
+        class MemoryStore {
+            constructor(records = []) { this.records = records; }
+            async append(record) { this.records.push(JSON.parse(JSON.stringify(record))); }
+            async load() { return this.records; }
+        }
+
+        class Setter extends Anomaly {
+            static get fingerprint_keys() { return ["a"]; }
+            static _detect(system) { return system.a != 1; }
+            async _action(system) { system.a = 1; }
+            async _revert(system) { system.a = 0; }
+        }
+
+        it("rejects an invalid store", async function() {
+
+            assert.throws(() => new Processor([], { store : {} }), /Invalid 'store' parameter/, "should reject a store without append() and load()");
+        });
+
+        it("records detection, the action and every state change", async function() {
+
+            let store = new MemoryStore();
+            const processor = new Processor([Setter], { store : store });
+            let system = { a : 0 };
+            await processor.detect(system);
+            await processor.process(system);
+
+            assert.deepEqual(store.records.map((r) => r.event), ["detected", "action", "state", "state"], "should record each step");
+            assert.equal(store.records[1].anomaly.state, "preaction", "action record should be written before action()");
+            assert.equal(typeof store.records[1].fingerprint, "string", "action record should have the preaction fingerprint");
+            assert.equal(store.records[3].anomaly.state, "resolved", "last record should be resolved");
+            assert.equal(store.records[0].format, undefined, "format belongs to the anomaly record");
+            assert.equal(store.records[0].anomaly.format, Processor.format_version, "anomaly record should have the format version");
+        });
+
+        it("records pauses, resumes and dirty flags", async function() {
+
+            class Stuck extends Setter {
+                async _action(system) { system.a = 2; throw new Error("no"); }
+                async _revert() { throw new Error("still no"); }
+            }
+
+            let store = new MemoryStore();
+            const processor = new Processor([Stuck], { store : store });
+            processor.anomalies.push(new Stuck());
+            await processor.process({ a : 0 });
+            await processor.anomalies[0].resume("checked");
+            await processor.flush();
+
+            let events = store.records.map((r) => r.event);
+            assert.deepEqual(events.slice(-3), ["pause", "dirty", "resume"], "should record pause, dirty and resume");
+            assert.equal(store.records[store.records.length - 2].anomaly.dirty, true, "dirty record should be dirty");
+        });
+
+        it("restores the latest state of each anomaly", async function() {
+
+            let store = new MemoryStore();
+            let system = { a : 0 };
+            const processor = new Processor([Setter], { store : store });
+            await processor.detect(system);
+            await processor.process(system);
+
+            const restored = new Processor([Setter], { store : new MemoryStore(store.records) });
+            let report = await restored.restore(system);
+
+            assert.equal(report.loaded.length, 1, "should load one anomaly");
+            assert.equal(report.interrupted.length, 0, "nothing was interrupted");
+            assert.equal(restored.anomalies[0].id, processor.anomalies[0].id, "should restore the same anomaly");
+            assert.equal(restored.anomalies[0].state, "resolved", "should restore the latest state");
+        });
+
+        it("re-checks anomalies interrupted mid-action against their fingerprints", async function() {
+
+            // Simulate a crash straight after the action record was written
+            let store = new MemoryStore();
+            const processor = new Processor([Setter], { store : store });
+            await processor.detect({ a : 0 });
+            await processor.process({ a : 0 });
+            let records = store.records.slice(0, 2);
+
+            let untouched = new Processor([Setter], { store : new MemoryStore([...records]) });
+            let report = await untouched.restore({ a : 0 });
+            assert.equal(report.interrupted.length, 1, "anomaly should be interrupted");
+            assert.equal(untouched.anomalies[0].state, "preaction", "anomaly should be ready to process again");
+            assert.equal(untouched.anomalies[0].paused, false, "anomaly should not be paused");
+
+            let changed = new Processor([Setter], { store : new MemoryStore([...records]) });
+            let drifted = { a : 5 };
+            await changed.restore(drifted);
+            assert.equal(changed.anomalies[0].state, "failed", "anomaly should be failed");
+            assert.equal(changed.anomalies[0].paused, true, "anomaly should be paused");
+            assert.equal(changed.anomalies[0].dirty, true, "anomaly should be dirty");
+
+            await changed.anomalies[0].resume("checked");
+            await changed.process(drifted);
+            assert.deepEqual(drifted, { a : 5 }, "the action should not run again on the drifted system");
+
+            let unchecked = new Processor([Setter], { store : new MemoryStore([...records]) });
+            await unchecked.restore();
+            assert.equal(unchecked.anomalies[0].paused, true, "anomaly should be paused");
+            assert.equal(unchecked.anomalies[0].dirty, false, "anomaly should not be dirty");
+        });
+
+        it("quarantines records that can't be restored", async function() {
+
+            let store = new MemoryStore([{ event : "detected", anomaly : { id : "x", name : "Unknown" } }, { event : "detected" }]);
+            const processor = new Processor([Setter], { store : store });
+            let report = await processor.restore();
+
+            assert.equal(report.loaded.length, 0, "nothing should load");
+            assert.deepEqual(report.quarantined.map((q) => q.line), [2, 1], "both records should be quarantined");
+            assert.match(report.quarantined[1].error, /Unknown class/, "should say why");
+        });
+
+        it("stops processing if the store can't be written", async function() {
+
+            let actioned = false;
+            class Careful extends Setter { async _action(system) { actioned = true; } }
+
+            const processor = new Processor([Careful], { store : { append : async () => { throw new Error("disk full"); }, load : async () => [] } });
+            processor.anomalies.push(new Careful());
+            await assert.rejects(processor.process({ a : 0 }), /Unable to write to store: disk full/, "process() should throw");
+            assert.equal(actioned, false, "action() should not run");
+        });
+
+        it("stops forwarding events when the store fails", async function() {
+
+            const processor = new Processor([Setter], { store : { append : async () => { throw new Error("disk full"); }, load : async () => [] } });
+            processor.anomalies.push(new Setter());
+            await assert.rejects(processor.process({ a : 0 }), /disk full/);
+            await assert.rejects(processor.process({ a : 0 }, undefined, { transactional : true }), /disk full/);
+            assert.deepEqual(["log", "activity", "state", "pause", "dirty"].map((event) => processor.anomalies[0].listenerCount(event)), [0, 0, 1, 1, 1], "only the store's handlers should be left attached");
+        });
+
+        it("throws on restore() without a store", async function() {
+
+            await assert.rejects(new Processor([]).restore(), /no store/, "should throw");
+        });
+    });
+});
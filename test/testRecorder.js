@@ -0,0 +1,193 @@
+const { Recorder } = require("../index.js");
+const assert = require("assert");
+
+
+/**
+ * Record changes made by fn, check that they happened, then undo them and check that the system is restored
+ */
+function round_trip(system, fn) {
+
+    let original = Recorder.decode(Recorder.encode(system));
+    let journal = [];
+    fn(new Recorder(journal).wrap(system));
+    assert.notDeepStrictEqual(system, original, "system should have been changed");
+
+    Recorder.undo(system, JSON.parse(JSON.stringify(journal)));
+    assert.deepStrictEqual(system, original, "system should have been restored");
+    return journal;
+}
+
+describe("Recorder", function() {
+
+    describe("objects", function() {
+
+        it("undoes property sets", function() {
+
+            round_trip({ a: 1, b: { c: "c" } }, (s) => { s.a = 2; s.b.c = "C"; s.d = true; });
+        });
+
+        it("undoes property deletes", function() {
+
+            round_trip({ a: 1, b: { c: "c" } }, (s) => { delete s.a; delete s.b; });
+        });
+
+        it("undoes replacement of nested objects", function() {
+
+            round_trip({ a: { b: { c: 1 } } }, (s) => { s.a = { x: 1 }; });
+        });
+
+        it("undoes replacement of objects with parent pointers", function() {
+
+            let system = { a: { b: 1 } };
+            system.a.parent = system;
+            round_trip(system, (s) => { s.a = { b: 2 }; });
+        });
+
+        it("records changes to moved and aliased objects under the path they were reached by", function() {
+
+            round_trip({ a: { v: 1 } }, (s) => { let a = s.a; s.b = a; delete s.a; s.b.v = 2; });
+            round_trip({ a: { v: 1 } }, (s) => { s.b = s.a; s.b.v = 2; s.a.w = 3; });
+        });
+
+        it("does not store proxies in the system", function() {
+
+            let system = { a: { b: 1 }, c: null };
+            let proxy = new Recorder().wrap(system);
+            proxy.c = proxy.a;
+            assert.equal(system.c, system.a, "system.c should be the raw object");
+        });
+    });
+
+    describe("arrays", function() {
+
+        it("undoes splice(), push() and shift()", function() {
+
+            round_trip({ list: [1, 2, 3, 4] }, (s) => { s.list.splice(1, 2, "x"); s.list.push(5); s.list.shift(); });
+        });
+
+        it("undoes push() onto an empty array", function() {
+
+            round_trip({ list: [] }, (s) => { s.list.push(1, 2); });
+        });
+
+        it("undoes sort()", function() {
+
+            round_trip({ list: [3, 1, 2] }, (s) => { s.list.sort(); });
+        });
+
+        it("undoes shrinking through length", function() {
+
+            round_trip({ list: ["a", "b", "c"] }, (s) => { s.list.length = 0; });
+            round_trip({ list: [1, { b: 2 }, 3] }, (s) => { s.list.length = 1; s.list.push("x"); });
+        });
+    });
+
+    describe("maps", function() {
+
+        it("undoes set(), delete() and clear()", function() {
+
+            round_trip({ m: new Map([["a", 1], [2, "two"]]) }, (s) => { s.m.set("a", 10); s.m.delete(2); s.m.set("b", 3); });
+            round_trip({ m: new Map([["a", 1], [2, "two"]]) }, (s) => { s.m.clear(); s.m.set(2, 2); });
+        });
+
+        it("undoes clear() of shared and circular values", function() {
+
+            let shared = { x: 1 };
+            let m = new Map([["a", shared], ["b", shared]]);
+            m.set("self", m);
+            let journal = [];
+            new Recorder(journal).wrap({ m: m }).m.clear();
+
+            let system = { m: m };
+            Recorder.undo(system, JSON.parse(JSON.stringify(journal)));
+            assert.deepEqual([...m.keys()], ["a", "b", "self"], "entries should be restored");
+            assert.equal(m.get("a"), m.get("b"), "shared values should be restored as one object");
+            assert.deepEqual(m.get("a"), { x: 1 }, "shared values should be restored");
+            assert.equal(m.get("self"), m, "a reference to the map should be restored to the map itself");
+        });
+
+        it("records changes to values reached through get()", function() {
+
+            round_trip({ m: new Map([["a", { b: 1 }]]) }, (s) => { s.m.get("a").b = 2; });
+        });
+
+        it("records changes to values reached by iterating", function() {
+
+            round_trip({ m: new Map([["a", { b: 1 }]]) }, (s) => { for(let [, v] of s.m) v.b = 2; });
+        });
+    });
+
+    describe("sets", function() {
+
+        it("undoes add(), delete() and clear()", function() {
+
+            round_trip({ s: new Set([1, 2]) }, (s) => { s.s.add(3); s.s.delete(1); });
+            round_trip({ s: new Set([1, 2]) }, (s) => { s.s.clear(); s.s.add(5); });
+        });
+
+        it("undoes clear() of shared and circular values", function() {
+
+            let shared = { x: 1 };
+            let set = new Set([shared, [shared]]);
+            set.add(set);
+            let journal = [];
+            new Recorder(journal).wrap({ s: set }).s.clear();
+
+            Recorder.undo({ s: set }, JSON.parse(JSON.stringify(journal)));
+            let [object, array, self] = [...set];
+            assert.equal(set.size, 3, "values should be restored");
+            assert.deepEqual(object, { x: 1 }, "shared values should be restored");
+            assert.equal(array[0], object, "shared values should be restored as one object");
+            assert.equal(self, set, "a reference to the set should be restored to the set itself");
+        });
+
+        it("exposes size", function() {
+
+            assert.equal(new Recorder().wrap({ s: new Set([1, 2]) }).s.size, 2, "size should be readable through the proxy");
+        });
+    });
+
+    describe("encode() / decode()", function() {
+
+        it("round trips tagged types through JSON", function() {
+
+            let value = { u: undefined, d: new Date(0), b: 10n, m: new Map([[1, new Set(["a"])]]), a: [null, 1, "x"] };
+            assert.deepStrictEqual(Recorder.decode(JSON.parse(JSON.stringify(Recorder.encode(value)))), value, "value should survive encoding");
+        });
+
+        it("round trips objects with keys that look like tags", function() {
+
+            let value = { a: { $date: "not a date" }, b: { $map: 1 }, c: { $$undefined: true, $ref: 0 }, $: "$" };
+            let encoded = JSON.parse(JSON.stringify(Recorder.encode(value)));
+            assert.deepStrictEqual(Recorder.decode(encoded), value, "user $ keys should not be read as tags");
+        });
+
+        it("encodes repeated and circular references", function() {
+
+            let shared = { x: 1 };
+            let value = { a: shared, b: [shared], m: new Map() };
+            value.self = value;
+            value.m.set("parent", value);
+
+            let decoded = Recorder.decode(JSON.parse(JSON.stringify(Recorder.encode(value))));
+            assert.equal(decoded.self, decoded, "a circular reference should point back to the copy");
+            assert.equal(decoded.m.get("parent"), decoded, "a circular reference through a map should point back to the copy");
+            assert.equal(decoded.b[0], decoded.a, "a repeated reference should be shared in the copy");
+            assert.deepStrictEqual(decoded, value, "value should survive encoding");
+        });
+
+        it("throws for references that can't be resolved", function() {
+
+            assert.throws(() => Recorder.decode({ a: { $ref: 5 } }), { message: "Unable to decode - reference 5 not found" });
+        });
+    });
+
+    describe("wrap()", function() {
+
+        it("throws for things that can't be recorded", function() {
+
+            assert.throws(() => new Recorder().wrap("string"), { message: "Unable to record changes - system is not an object, array, map or set" });
+        });
+    });
+
+});
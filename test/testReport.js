@@ -0,0 +1,86 @@
+const { Report } = require("../index.js");
+const assert = require("assert");
+
+
+let report;
+
+function entry(params) {
+
+    return { id: "id", name: "Fix", description: "", state: "resolved", paused: false, dirty: false, reason: null, fingerprints: { preaction: "a", postaction: "b" }, verdict: null, durations: {}, ...params };
+}
+
+
+describe("Report", function() {
+
+    this.beforeEach(function() {
+
+        report = new Report({
+            started: "2024-01-01T00:00:00.000Z",
+            finished: "2024-01-01T00:00:01.500Z",
+            anomalies: [
+                entry({ id: "1", durations: { action: 100, evaluate: 50 } }),
+                entry({ id: "2", state: "reverted", paused: true, reason: "fatal error: no <good> & \"bad\"", durations: { action: 10, revert: 5 } }),
+                entry({ id: "3", name: "Other", state: "failed", paused: true, dirty: true, reason: "revert() failed | badly" }),
+                entry({ id: "4", name: "Other", state: "skipped", paused: true, reason: "skipped: depends on Fix" })
+            ]
+        });
+    });
+
+    describe("summaries", function() {
+
+        it("counts anomalies by state and by class", function() {
+
+            assert.deepEqual(report.counts, { resolved: 1, reverted: 1, failed: 1, skipped: 1 }, "counts should be per state");
+            assert.deepEqual(report.classes.Fix, { total: 2, paused: 1, dirty: 0, states: { resolved: 1, reverted: 1 } }, "Fix outcomes should be counted");
+            assert.deepEqual(report.classes.Other, { total: 2, paused: 2, dirty: 1, states: { failed: 1, skipped: 1 } }, "Other outcomes should be counted");
+        });
+
+        it("lists paused and dirty anomalies, and totals phase durations", function() {
+
+            assert.deepEqual(report.paused.map((e) => e.id), ["2", "3", "4"], "paused should include dirty anomalies");
+            assert.deepEqual(report.dirty.map((e) => e.id), ["3"], "dirty should only include dirty anomalies");
+            assert.deepEqual(report.durations, { action: 110, evaluate: 50, revert: 5 }, "durations should be totalled per phase");
+            assert.equal(report.duration, 1500, "duration should be the length of the run");
+            assert.equal(report.ok, false, "report should need attention");
+            assert.equal(new Report({ anomalies: [entry()] }).ok, true, "a clean report should be ok");
+        });
+
+        it("rejects invalid parameters", function() {
+
+            assert.throws(() => new Report({ started: "nope" }), /Invalid 'started' parameter: nope/);
+            assert.throws(() => new Report({ anomalies: {} }), /Invalid 'anomalies' parameter/);
+        });
+    });
+
+    describe("exporters", function() {
+
+        it("round trips through JSON", function() {
+
+            let json = JSON.parse(JSON.stringify(report));
+            assert.equal(json.started, "2024-01-01T00:00:00.000Z", "started should be an ISO string");
+            assert.deepEqual(json.counts, report.counts, "counts should be included");
+            assert.deepEqual(json.dirty, [{ id: "3", name: "Other", state: "failed", reason: "revert() failed | badly" }], "dirty anomalies should be listed with their reasons");
+            assert.deepEqual(new Report(json).toJSON(), json, "a report should be rebuilt from its JSON");
+        });
+
+        it("exports Markdown", function() {
+
+            let markdown = report.to_markdown({ title: "Nightly" });
+            assert.match(markdown, /^# Nightly\n/, "title should be the heading");
+            assert.match(markdown, /\*\*3 paused, 1 dirty\.\*\*/, "summary should call out paused and dirty anomalies");
+            assert.match(markdown, /\| Other \| 2 \| 2 \| 1 \| failed: 1, skipped: 1 \|/, "classes should be tabled");
+            assert.match(markdown, /\| Other \| 3 \| failed \| yes \| revert\(\) failed \\\| badly \|/, "pipes in reasons should be escaped");
+        });
+
+        it("exports JUnit XML", function() {
+
+            let xml = report.to_junit();
+            assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="gnomalies" tests="4" failures="1" errors="1" skipped="1" time="0.165">/, "totals should be on the testsuites element");
+            assert.match(xml, /<testsuite name="Fix" tests="2" failures="1" errors="0" skipped="0" time="0.165"/, "each class should be a test suite");
+            assert.match(xml, /<testcase classname="Fix" name="Fix \(1\)" time="0.150"\/>/, "resolved anomalies should pass");
+            assert.match(xml, /<failure type="reverted" message="fatal error: no &lt;good&gt; &amp; &quot;bad&quot;"\/>/, "paused anomalies should fail, with escaped reasons");
+            assert.match(xml, /<error type="failed" message="revert\(\) failed \| badly"\/>/, "dirty anomalies should be errors");
+            assert.match(xml, /<skipped message="skipped: depends on Fix"\/>/, "skipped anomalies should be skipped");
+        });
+    });
+});
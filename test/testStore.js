@@ -0,0 +1,77 @@
+const { Anomaly, Processor, Store, FileStore } = require("../index.js");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+
+describe("Store", function() {
+
+    let dir;
+    beforeEach(function() { dir = fs.mkdtempSync(path.join(os.tmpdir(), "gnomalies-")); });
+    afterEach(function() { fs.rmSync(dir, { recursive : true, force : true }); });
+
+    it("must be extended", async function() {
+
+        await assert.rejects(new Store().append({}), /must implement append\(\)/, "append() should throw");
+        await assert.rejects(new Store().load(), /must implement load\(\)/, "load() should throw");
+    });
+
+    describe("FileStore", function() {
+
+        it("rejects invalid parameters", function() {
+
+            assert.throws(() => new FileStore(""), /Invalid path/, "should reject an empty path");
+            assert.throws(() => new FileStore("x", { sync : "yes" }), /Invalid 'sync' parameter/, "should reject a non-boolean sync");
+        });
+
+        it("loads nothing from a missing file", async function() {
+
+            assert.deepEqual(await new FileStore(path.join(dir, "missing.jsonl")).load(), [], "should load no records");
+        });
+
+        it("appends records one per line", async function() {
+
+            let file = path.join(dir, "store.jsonl");
+            let store = new FileStore(file);
+            await store.append({ n : 1 });
+            await store.append({ n : 2 });
+
+            assert.equal(fs.readFileSync(file, "utf8"), '{"n":1}\n{"n":2}\n', "should write JSONL");
+            assert.deepEqual(await new FileStore(file).load(), [{ n : 1 }, { n : 2 }], "should load the records");
+        });
+
+        it("skips a record torn by a crash", async function() {
+
+            let file = path.join(dir, "store.jsonl");
+            fs.writeFileSync(file, '{"n":1}\n{"n":');
+
+            assert.deepEqual(await new FileStore(file).load(), [{ n : 1 }], "should skip the torn record");
+        });
+
+        it("lets a processor pick up where it left off", async function() {
+
+            class Setter extends Anomaly {
+                static get fingerprint_keys() { return ["a"]; }
+                static _detect(system) { return system.a != 1; }
+                async _action(system) { system.a = 1; }
+            }
+
+            let file = path.join(dir, "store.jsonl");
+            let system = { a : 0 };
+            const processor = new Processor([Setter], { store : new FileStore(file, { sync : false }) });
+            await processor.detect(system);
+
+            // Crash part way through writing the next record
+            fs.appendFileSync(file, '{"event":"act');
+
+            const restarted = new Processor([Setter], { store : new FileStore(file) });
+            let report = await restarted.restore(system);
+            assert.equal(report.loaded.length, 1, "should restore the detected anomaly");
+
+            await restarted.process(system);
+            assert.equal(system.a, 1, "anomaly should be processed");
+            assert.equal(restarted.anomalies[0].state, "resolved", "anomaly should be resolved");
+        });
+    });
+});